@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title Base Check-In
+/// @notice One check-in per address per day. Days are counted since the Unix
+/// epoch in the caller's own time zone, so the claimed day may sit one day
+/// either side of the current UTC day. Each day is recorded on its own, so
+/// checking in for a day ahead of UTC does not block the UTC day itself.
+contract CheckIn {
+    event CheckedIn(address indexed wallet, uint256 indexed day);
+
+    mapping(address => mapping(uint256 => bool)) public checkedIn;
+
+    function checkIn(uint256 day) external {
+        uint256 utcDay = block.timestamp / 1 days;
+        require(day + 1 >= utcDay && day <= utcDay + 1, "day out of range");
+        require(!checkedIn[msg.sender][day], "already checked in");
+
+        checkedIn[msg.sender][day] = true;
+        emit CheckedIn(msg.sender, day);
+    }
+}
@@ -0,0 +1,83 @@
+// <base-checkin-streak address="0x..."> - a wallet's streak from the public
+// API, drawn as a compact streak card for personal sites:
+//
+//   <script type="module" src="https://YOUR-HOST/embed.js"></script>
+//   <base-checkin-streak address="0x..." theme="midnight"></base-checkin-streak>
+//
+// theme is one of the card themes in lib/card.js. The card links to the
+// wallet's profile in the app.
+import { isAddress } from './lib/eth.js';
+import { drawCompactStreakCard, COMPACT_CARD_SIZE } from './lib/card.js';
+
+// The app and its API are wherever this script is served from
+const APP_URL = new URL('./', import.meta.url);
+
+class BaseCheckinStreak extends HTMLElement {
+  static get observedAttributes() {
+    return ['address', 'theme'];
+  }
+
+  constructor() {
+    super();
+    const shadow = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = `
+      :host { display: inline-block; line-height: 0; }
+      a { display: inline-block; border-radius: 16px; }
+      canvas { width: ${COMPACT_CARD_SIZE.width}px; max-width: 100%; height: auto; }
+    `;
+    this.link = document.createElement('a');
+    this.link.target = '_blank';
+    this.link.rel = 'noopener';
+    this.canvas = document.createElement('canvas');
+    this.link.appendChild(this.canvas);
+    shadow.append(style, this.link);
+  }
+
+  connectedCallback() {
+    this.load();
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.load();
+  }
+
+  async load() {
+    const address = this.getAttribute('address');
+    if (!isAddress(address)) {
+      this.draw({ streak: '–', wallet: '' });
+      return;
+    }
+    this.link.href = new URL(`?user=${address}`, APP_URL).href;
+
+    let data = null;
+    try {
+      const response = await fetch(new URL(`api/v1/streak/${address}`, APP_URL));
+      if (response.ok) data = await response.json();
+    } catch (e) {
+      console.log('base-checkin-streak: could not load streak', e);
+    }
+    // The address may have changed while the request was out
+    if (this.getAttribute('address') !== address) return;
+
+    this.draw(data
+      ? { streak: data.streak, total: data.total, wallet: data.address }
+      : { streak: '–', wallet: address });
+  }
+
+  draw(card) {
+    const ratio = window.devicePixelRatio || 1;
+    const { width, height } = COMPACT_CARD_SIZE;
+    this.canvas.width = width * ratio;
+    this.canvas.height = height * ratio;
+    const ctx = this.canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+    drawCompactStreakCard(ctx, card, { theme: this.getAttribute('theme') });
+    this.canvas.setAttribute('role', 'img');
+    this.canvas.setAttribute('aria-label', `${card.streak} day streak on Base Check-In`);
+  }
+}
+
+if (!customElements.get('base-checkin-streak')) {
+  customElements.define('base-checkin-streak', BaseCheckinStreak);
+}
@@ -1,16 +1,81 @@
+import {
+  BASE_CHAIN_ID, buildCheckInTypedData, verifyCheckIn, verifyUserData, isTypedCheckIn
+} from './lib/checkin.js';
+import { bytesToHex, sameAddress } from './lib/eth.js';
+import {
+  drawStreakCard, formatAddress, formatFreezes, resolveCardTemplate, CARD_SIZES, CARD_THEMES
+} from './lib/card.js';
+import { createProofBundle, parseProofBundle, checkProofBundle, isBundleForWallet } from './lib/bundle.js';
+import {
+  normalizeIdentity, getContextAddresses, linkWallets, unlinkWallet, mergeLinkedUserData
+} from './lib/identity.js';
+import {
+  normalizeOnchainConfig, sendCheckInTransaction, waitForReceipt, fetchOnchainCheckIns
+} from './lib/onchain.js';
+import {
+  getTodayString, getYesterdayString, getBrowserTimeZone, isValidTimeZone, addDays, dayOfMonth
+} from './lib/streak.js';
+import { openStorage } from './lib/storage.js';
+import {
+  addToOutbox, getPendingEntries, getRejectedEntries, getDeliveryResult, sendOutbox as sendOutboxEntries
+} from './lib/outbox.js';
+import { buildHeatmap, shiftMonth, formatMonth } from './lib/heatmap.js';
+import { buildGroupActionMessage, GROUP_THRESHOLDS } from './lib/groups.js';
+import { evaluateAchievements, getEarnedBadges, findNewBadges } from './lib/achievements.js';
+import { computeStats, formatPercent, COMPLETION_WINDOWS, WEEKDAY_NAMES } from './lib/stats.js';
+import { createWalletRegistry } from './lib/wallets.js';
+import { AppError, toAppError, ERROR_CATEGORIES } from './lib/errors.js';
+import { findBrokenAnchor, verifyInclusion } from './lib/anchors.js';
+import {
+  buildSiweMessage, createSiweNonce, createSiweSession, createQuickAuthSession, isSessionValid,
+  SESSION_TTL_MS
+} from './lib/siwe.js';
+import {
+  SHARE_TEMPLATES, DEFAULT_SHARE_TEMPLATE, findMilestones, renderShareText, buildShareEmbeds, buildComposeUrl
+} from './lib/share.js';
+
 // Constants
-const BASE_CHAIN_ID = 8453;
-const STORAGE_KEY = 'base_checkins';
+const BASE_CHAIN_HEX = '0x' + BASE_CHAIN_ID.toString(16);
+const BASE_CHAIN_PARAMS = {
+  chainId: BASE_CHAIN_HEX,
+  chainName: 'Base',
+  nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+  rpcUrls: ['https://mainnet.base.org'],
+  blockExplorerUrls: ['https://basescan.org']
+};
+
+// Deployed CheckIn contract on Base: { contract, chainId: 8453, fromBlock }.
+// Until it is set, onchain mode is off, except in dev mode with a contract
+// passed in the URL (see scripts/deploy-checkin.js for a local dev chain).
+const ONCHAIN_CONFIG = null;
+const API_BASE = '/api';
+const API_TIMEOUT_MS = 5000;
+const FARCASTER_PROVIDER_TIMEOUT_MS = 5000;
+const TOAST_DURATION_MS = 5000;
+const SIGN_IN_STATEMENT = 'Sign in to Base Check-In to keep your daily streak.';
 
 // State
+let storage = null; // see lib/storage.js, opened first thing in init()
 let currentWallet = null;
 let currentProvider = null;
 let isConnected = false;
 let farcasterSdk = null;
 let isInFarcasterFrame = false;
+let onchainCheckIns = null; // { wallet, dates } rebuilt from event logs
+let leaderboardState = { sort: 'streak', page: 1, totalPages: 1 };
+let farcasterContext = null;
+let pendingInviteCode = null; // from a ?group= invite link, joined once signed in
+let openGroupId = null;
+let devTools = null; // ?dev=1, see lib/devtools.js
+const walletRegistry = createWalletRegistry(); // EIP-6963 announcements
 
 // Load Farcaster SDK - always try to load it first
 async function loadFarcasterSdk() {
+  if (devTools) {
+    farcasterSdk = devTools.sdk;
+    return farcasterSdk;
+  }
+
   // Check if SDK was loaded by the inline script in index.html
   if (window.farcasterSdk) {
     farcasterSdk = window.farcasterSdk;
@@ -22,7 +87,7 @@ async function loadFarcasterSdk() {
 
   // Try loading directly
   try {
-    const module = await import('https://esm.sh/@farcaster/miniapp-sdk');
+    const module = await import('./vendor/miniapp-sdk.js');
     farcasterSdk = module.sdk || null;
     return farcasterSdk;
   } catch (e) {
@@ -81,8 +146,12 @@ async function getFarcasterProvider() {
     // Use getEthereumProvider() per official Farcaster docs
     if (sdk.wallet && typeof sdk.wallet.getEthereumProvider === 'function') {
       console.log('Calling sdk.wallet.getEthereumProvider()...');
-      const provider = await withTimeout(sdk.wallet.getEthereumProvider(), 5000, null);
+      const timedOut = Symbol('timed out');
+      const provider = await withTimeout(sdk.wallet.getEthereumProvider(), FARCASTER_PROVIDER_TIMEOUT_MS, timedOut);
       console.log('Provider result:', provider);
+      if (provider === timedOut) {
+        throw new AppError('timeout', 'The Farcaster wallet did not respond. Try again in a moment.');
+      }
       return provider;
     }
 
@@ -96,6 +165,7 @@ async function getFarcasterProvider() {
     return null;
   } catch (e) {
     console.log('getFarcasterProvider error:', e);
+    if (e instanceof AppError) throw e;
     return null;
   }
 }
@@ -149,20 +219,31 @@ async function callFarcasterOpenUrl(url) {
   }
 }
 
-// Get wallet provider - MetaMask/Rabby first on localhost, then Farcaster
-async function getProvider() {
-  // On localhost or standalone browser, use MetaMask/Rabby directly
+// Get wallet provider - outside Farcaster, the wallet picked on the connect
+// screen (remembered as walletRdns), or the only one installed
+async function getProvider(rdns = storage.get('walletRdns')) {
   if (!isInFarcasterFrame) {
+    const wallets = await walletRegistry.request();
+    const wallet = (rdns && walletRegistry.get(rdns)) || (wallets.length === 1 ? wallets[0] : null);
+    if (wallet) {
+      return wallet.provider;
+    }
+    // Picked before wallets announced themselves
     if (window.ethereum) {
       return window.ethereum;
     }
-    throw new Error('Please install MetaMask or Rabby wallet.');
+    throw new AppError('no-wallet');
   }
 
   // In Farcaster frame, try Farcaster provider first
-  const farcasterProvider = await getFarcasterProvider();
-  if (farcasterProvider) {
-    return farcasterProvider;
+  let farcasterError = null;
+  try {
+    const farcasterProvider = await getFarcasterProvider();
+    if (farcasterProvider) {
+      return farcasterProvider;
+    }
+  } catch (error) {
+    farcasterError = error;
   }
 
   // Fallback to injected wallet in frame
@@ -170,35 +251,115 @@ async function getProvider() {
     return window.ethereum;
   }
 
-  throw new Error('No wallet found. Please try again in Warpcast.');
+  throw farcasterError || new AppError('no-wallet', 'No wallet found. Please try again in Warpcast.');
 }
 
 // DOM Elements
 const connectScreen = document.getElementById('connect-screen');
 const dashboardScreen = document.getElementById('dashboard-screen');
 const profileScreen = document.getElementById('profile-screen');
+const leaderboardScreen = document.getElementById('leaderboard-screen');
 const connectBtn = document.getElementById('connect-btn');
+const connectNotice = document.getElementById('connect-notice');
+const walletPicker = document.getElementById('wallet-picker');
+const walletList = document.getElementById('wallet-list');
 const checkinBtn = document.getElementById('checkin-btn');
 const disconnectBtn = document.getElementById('disconnect-btn');
 const shareBtn = document.getElementById('share-btn');
 const streakValue = document.getElementById('streak-value');
 const totalValue = document.getElementById('total-value');
+const freezeValue = document.getElementById('freeze-value');
 const statusCard = document.getElementById('status-card');
 const statusIcon = document.getElementById('status-icon');
 const statusText = document.getElementById('status-text');
 const walletAddress = document.getElementById('wallet-address');
+const integrityWarning = document.getElementById('integrity-warning');
+const syncStatus = document.getElementById('sync-status');
+const syncRejected = document.getElementById('sync-rejected');
+const timezoneSelect = document.getElementById('timezone-select');
+const onchainSetting = document.getElementById('onchain-setting');
+const onchainToggle = document.getElementById('onchain-toggle');
+const exportProofsBtn = document.getElementById('export-proofs-btn');
+const importProofsBtn = document.getElementById('import-proofs-btn');
+const importProofsInput = document.getElementById('import-proofs-input');
+const importReport = document.getElementById('import-report');
+const leaderboardBtn = document.getElementById('leaderboard-btn');
+const leaderboardBackBtn = document.getElementById('leaderboard-back-btn');
+const leaderboardTabs = document.querySelectorAll('.leaderboard-tab');
+const leaderboardViewer = document.getElementById('leaderboard-viewer');
+const leaderboardList = document.getElementById('leaderboard-list');
+const leaderboardStatus = document.getElementById('leaderboard-status');
+const leaderboardPrevBtn = document.getElementById('leaderboard-prev-btn');
+const leaderboardNextBtn = document.getElementById('leaderboard-next-btn');
+const leaderboardPage = document.getElementById('leaderboard-page');
+const identitySection = document.getElementById('identity-section');
+const identityFid = document.getElementById('identity-fid');
+const linkedWalletsList = document.getElementById('linked-wallets');
+const groupsBtn = document.getElementById('groups-btn');
+const groupScreen = document.getElementById('group-screen');
+const groupTitle = document.getElementById('group-title');
+const groupBackBtn = document.getElementById('group-back-btn');
+const groupHome = document.getElementById('group-home');
+const groupList = document.getElementById('group-list');
+const groupListStatus = document.getElementById('group-list-status');
+const groupJoinForm = document.getElementById('group-join-form');
+const groupInviteInput = document.getElementById('group-invite-input');
+const groupCreateForm = document.getElementById('group-create-form');
+const groupNameInput = document.getElementById('group-name-input');
+const groupThresholdSelect = document.getElementById('group-threshold-select');
+const groupDetail = document.getElementById('group-detail');
+const groupInvite = document.getElementById('group-invite');
+const groupInviteLink = document.getElementById('group-invite-link');
+const groupInviteBtn = document.getElementById('group-invite-btn');
+const groupRoster = document.getElementById('group-roster');
+const groupCalendar = document.getElementById('group-calendar');
+const groupChallenges = document.getElementById('group-challenges');
+const challengeForm = document.getElementById('challenge-form');
+const challengeTitleInput = document.getElementById('challenge-title-input');
+const challengeStartInput = document.getElementById('challenge-start-input');
+const challengeEndInput = document.getElementById('challenge-end-input');
+const groupLeaveBtn = document.getElementById('group-leave-btn');
+const linkWalletBtn = document.getElementById('link-wallet-btn');
+const reminderSetting = document.getElementById('reminder-setting');
+const reminderStatus = document.getElementById('reminder-status');
+const reminderBtn = document.getElementById('reminder-btn');
+const signerList = document.getElementById('signer-list');
+const historySection = document.getElementById('history-section');
+const historyList = document.getElementById('history-list');
 const calendarGrid = document.getElementById('calendar-grid');
+const statsPanel = document.getElementById('stats-panel');
+const achievementList = document.getElementById('achievement-list');
+const achievementUnlock = document.getElementById('achievement-unlock');
+const toastRegion = document.getElementById('toast-region');
+const cardBadgesToggle = document.getElementById('card-badges-toggle');
+const cardStatsToggle = document.getElementById('card-stats-toggle');
+const cardThemePicker = document.getElementById('card-theme-picker');
+const cardSizePicker = document.getElementById('card-size-picker');
 const streakCardModal = document.getElementById('streak-card-modal');
 const streakCardCanvas = document.getElementById('streak-card-canvas');
 const copyCardBtn = document.getElementById('copy-card-btn');
 const downloadCardBtn = document.getElementById('download-card-btn');
 const openCardBtn = document.getElementById('open-card-btn');
 const shareCardBtn = document.getElementById('share-card-btn');
+const shareTemplatePicker = document.getElementById('share-template-picker');
+const shareTextInput = document.getElementById('share-text-input');
 const closeModalBtn = document.getElementById('close-modal-btn');
 
 // Initialize app
 async function init() {
   try {
+    storage = await openStorage();
+    storage.onChange(handleStorageChange);
+    if (storage.readOnly) {
+      showToast('This browser has data from a newer version of Base Check-In. Reload to update; until then, nothing you do here is saved.', {
+        kind: 'error',
+        title: 'Check-ins not saved',
+        action: { label: 'Reload', run: () => window.location.reload() }
+      });
+    }
+    registerServiceWorker();
+    await startDevMode();
+
     // Detect environment using official SDK method
     isInFarcasterFrame = await detectMiniApp();
     console.log('Running in Mini App:', isInFarcasterFrame);
@@ -218,49 +379,82 @@ async function init() {
     // Setup event listeners
     setupEventListeners();
 
-    // Try to restore session from localStorage first
-    const savedWallet = localStorage.getItem('connected_wallet');
+    // Group invite link: joined from the group screen after signing in
+    if (urlParams.get('group')) {
+      pendingInviteCode = urlParams.get('group');
+    }
+
+    // Leaderboard link, with the saved wallet pinned when there is one
+    if (urlParams.get('view') === 'leaderboard') {
+      currentWallet = storage.get('connectedWallet');
+      showLeaderboard();
+      return;
+    }
+
+    // Group the FID's verified wallets before any dashboard renders
+    let context = null;
+    if (isInFarcasterFrame) {
+      context = await getFarcasterContext();
+      console.log('Farcaster context on init:', context);
+      farcasterContext = context;
+      syncFarcasterIdentity(context);
+    }
+
+    // Try to restore the saved session first
+    const savedWallet = storage.get('connectedWallet');
     if (savedWallet) {
-      currentWallet = savedWallet;
       try {
-        currentProvider = await getProvider();
+        setProvider(await getProvider());
       } catch (e) {
         console.log('Could not restore provider');
       }
-      showDashboard();
-      return;
+      if (await canResumeSession(savedWallet)) {
+        currentWallet = savedWallet;
+        isConnected = true;
+        showDashboard();
+        return;
+      }
+      showConnectNotice('Your session has expired. Connect to sign in again.');
+    } else if (pendingInviteCode) {
+      showConnectNotice('Connect your wallet to join the group you were invited to.');
     }
 
-    // In Farcaster, try to auto-connect from context
+    // In Farcaster, sign in with the FID and show the context's wallet
     if (isInFarcasterFrame) {
-      const context = await getFarcasterContext();
-      console.log('Farcaster context on init:', context);
-
       if (context && context.user) {
         const address = context.user.connectedAddress ||
           (context.user.verifiedAddresses && context.user.verifiedAddresses[0]);
         if (address) {
-          currentWallet = address;
           try {
-            currentProvider = await getProvider();
+            setProvider(await getProvider());
           } catch (e) {
             console.log('Could not get provider');
           }
-          localStorage.setItem('connected_wallet', currentWallet);
-          isConnected = true;
-          showDashboard();
-          return;
+          try {
+            await startSession(currentProvider, address);
+            currentWallet = address;
+            storage.set('connectedWallet', currentWallet);
+            isConnected = true;
+            showDashboard();
+            return;
+          } catch (e) {
+            console.log('Farcaster sign-in failed:', e);
+          }
         }
       }
     }
   } catch (error) {
     console.error('Failed to initialize:', error);
+    showError(error, { title: 'Could not start', retry: () => window.location.reload() });
   }
 }
 
 // Event Listeners
 function setupEventListeners() {
-  connectBtn.addEventListener('click', handleConnect);
+  connectBtn.addEventListener('click', () => handleConnect());
+  walletRegistry.onChange(() => {
+    if (!walletPicker.hidden) renderWalletPicker(walletRegistry.list());
+  });
   checkinBtn.addEventListener('click', handleCheckIn);
   disconnectBtn.addEventListener('click', handleDisconnect);
   shareBtn.addEventListener('click', showStreakCard);
@@ -268,7 +462,40 @@ function setupEventListeners() {
   downloadCardBtn.addEventListener('click', downloadStreakCard);
   openCardBtn.addEventListener('click', openImageInNewTab);
   shareCardBtn.addEventListener('click', shareOnFarcaster);
+  shareTextInput.addEventListener('input', () => handleShareTemplateChange(shareTextInput.value));
   closeModalBtn.addEventListener('click', closeModal);
+  cardBadgesToggle.addEventListener('change', () => generateStreakCard(getDashboardData()));
+  cardStatsToggle.addEventListener('change', () => generateStreakCard(getDashboardData()));
+  achievementUnlock.addEventListener('click', hideAchievementUnlock);
+  timezoneSelect.addEventListener('change', handleTimeZoneChange);
+  onchainToggle.addEventListener('change', handleCheckInModeChange);
+  exportProofsBtn.addEventListener('click', handleExportProofs);
+  importProofsBtn.addEventListener('click', () => importProofsInput.click());
+  importProofsInput.addEventListener('change', handleImportProofs);
+  leaderboardBtn.addEventListener('click', showLeaderboard);
+  linkWalletBtn.addEventListener('click', handleLinkWallet);
+  reminderBtn.addEventListener('click', handleEnableReminders);
+  leaderboardBackBtn.addEventListener('click', handleLeaderboardBack);
+  historySection.addEventListener('toggle', () => {
+    if (historySection.open && currentWallet) renderHistory(historyList, currentWallet);
+  });
+  groupsBtn.addEventListener('click', () => showGroupsScreen());
+  groupBackBtn.addEventListener('click', handleGroupBack);
+  groupJoinForm.addEventListener('submit', handleJoinGroup);
+  groupCreateForm.addEventListener('submit', handleCreateGroup);
+  groupInviteBtn.addEventListener('click', handleCopyInvite);
+  challengeForm.addEventListener('submit', handleAddChallenge);
+  groupLeaveBtn.addEventListener('click', handleLeaveGroup);
+  leaderboardPrevBtn.addEventListener('click', () => loadLeaderboard(leaderboardState.page - 1));
+  leaderboardNextBtn.addEventListener('click', () => loadLeaderboard(leaderboardState.page + 1));
+  window.addEventListener('online', flushOutbox);
+  window.addEventListener('offline', renderSyncStatus);
+  leaderboardTabs.forEach(tab => {
+    tab.addEventListener('click', () => {
+      leaderboardState.sort = tab.dataset.sort;
+      loadLeaderboard(1);
+    });
+  });
 
   // Touch support
   document.querySelectorAll('.btn').forEach(btn => {
@@ -276,8 +503,9 @@ function setupEventListeners() {
   });
 }
 
-// Connect wallet
-async function handleConnect() {
+// Connect wallet - rdns picks one of the announced wallets; without it
+// the picker is shown when more than one is installed
+async function handleConnect(rdns = null) {
   console.log('handleConnect called');
   connectBtn.classList.add('loading');
   connectBtn.disabled = true;
@@ -285,13 +513,31 @@ async function handleConnect() {
   try {
     console.log('isInFarcasterFrame:', isInFarcasterFrame);
 
-    // Get the wallet provider (Farcaster or MetaMask)
+    // Get the wallet provider (Farcaster or the chosen browser wallet)
     console.log('Getting provider...');
-    const provider = await getProvider();
+    let provider;
+    if (isInFarcasterFrame) {
+      provider = await getProvider();
+    } else {
+      const wallets = await walletRegistry.request();
+      if (wallets.length === 0) {
+        throw new AppError('no-wallet');
+      }
+      if (!rdns && wallets.length > 1) {
+        renderWalletPicker(wallets);
+        return;
+      }
+      const wallet = rdns ? walletRegistry.get(rdns) : wallets[0];
+      if (!wallet) {
+        throw new Error('That wallet is no longer available. Choose another one.');
+      }
+      rdns = wallet.info.rdns;
+      provider = wallet.provider;
+    }
     console.log('Provider obtained:', provider);
 
     if (!provider) {
-      throw new Error('No wallet provider available');
+      throw new AppError('no-wallet', 'No wallet provider available');
     }
 
     // Request accounts - this will prompt user to connect in Farcaster
@@ -300,86 +546,388 @@ async function handleConnect() {
     console.log('Accounts received:', accounts);
 
     if (accounts && accounts.length > 0) {
+      await startSession(provider, accounts[0]);
       currentWallet = accounts[0];
-      currentProvider = provider;
-      localStorage.setItem('connected_wallet', currentWallet);
+      setProvider(provider);
+      storage.set('connectedWallet', currentWallet);
+      storage.set('walletRdns', rdns);
+      walletPicker.hidden = true;
+      connectNotice.hidden = true;
       isConnected = true;
       console.log('Connected with wallet:', currentWallet);
       showDashboard();
     } else {
-      throw new Error('No accounts returned');
+      throw new AppError('unauthorized', 'Your wallet did not share an account.');
     }
   } catch (error) {
-    console.error('Connection failed:', error);
-    let msg = 'Failed to connect wallet.';
-    if (error && typeof error.message === 'string') {
-      msg = error.message;
-    }
-    if (!window.ethereum && !isInFarcasterFrame) {
-      msg = 'Please install MetaMask or Rabby wallet to continue.';
-    }
-    alert(msg);
+    showError(error, { title: 'Could not connect', retry: () => handleConnect(rdns) });
   } finally {
     connectBtn.classList.remove('loading');
     connectBtn.disabled = false;
   }
 }
 
+// Sign-in sessions (lib/siwe.js) - the dashboard only shows a wallet the
+// user has proven control of, and only until the session expires
+function getSessionFid(wallet) {
+  const identity = getIdentity();
+  return identity && identity.wallets.includes(wallet.toLowerCase()) ? identity.fid : null;
+}
+
+function hasValidSession(wallet) {
+  return isSessionValid(storage.get('session'), {
+    domain: window.location.host,
+    wallet,
+    fid: getSessionFid(wallet)
+  });
+}
+
+// A saved SIWE session only resumes while the wallet still has that
+// account selected. A locked wallet reports no accounts and is let through.
+async function canResumeSession(wallet) {
+  if (!hasValidSession(wallet)) return false;
+  if (storage.get('session').method !== 'siwe' || !currentProvider) return true;
+  try {
+    const accounts = await currentProvider.request({ method: 'eth_accounts' });
+    return !accounts || accounts.length === 0 || sameAddress(accounts[0], wallet);
+  } catch (e) {
+    return true;
+  }
+}
+
+// Farcaster users sign in with their FID, everyone else with SIWE
+async function startSession(provider, account) {
+  if (hasValidSession(account)) return;
+
+  const fid = farcasterContext && farcasterContext.user && Number(farcasterContext.user.fid);
+  if (isInFarcasterFrame && fid) {
+    try {
+      await signInWithFarcaster(fid);
+      // The session covers the host's wallet too, when it is one of the FID's
+      const identity = getIdentity();
+      if (identity && identity.fid === fid && getVerifiedAddresses(fid).includes(account.toLowerCase())) {
+        saveIdentity(linkWallets(identity, [account]));
+      }
+      return;
+    } catch (e) {
+      // Without the backend's word on the FID, sign in as the wallet alone
+      console.log('Farcaster sign-in not confirmed, signing in with the wallet:', e.message);
+    }
+  }
+  if (!provider) {
+    throw new Error('No wallet provider available');
+  }
+  await signInWithEthereum(provider, account);
+}
+
+async function signInWithEthereum(provider, account) {
+  const domain = window.location.host;
+  const nonce = createSiweNonce();
+  const issuedAt = Date.now();
+  const message = buildSiweMessage({
+    domain,
+    address: account,
+    statement: SIGN_IN_STATEMENT,
+    uri: window.location.origin,
+    chainId: BASE_CHAIN_ID,
+    nonce,
+    issuedAt,
+    expirationTime: issuedAt + SESSION_TTL_MS
+  });
+
+  console.log('Requesting sign-in signature...');
+  const signature = await provider.request({
+    method: 'personal_sign',
+    params: [toUtf8Hex(message), account]
+  });
+  const session = createSiweSession(message, signature, { domain, nonce, chainId: BASE_CHAIN_ID });
+  if (!session || !sameAddress(session.address, account)) {
+    throw new AppError('wrong-account', 'The sign-in signature does not match ' + formatAddress(account));
+  }
+  storage.set('session', session);
+}
+
+// Quick-auth needs no prompt; older SDKs only have Sign In with Farcaster
+async function signInWithFarcaster(fid) {
+  const sdk = await loadFarcasterSdk();
+  const domain = window.location.host;
+  let session = null;
+  if (sdk && sdk.quickAuth && typeof sdk.quickAuth.getToken === 'function') {
+    const { token } = await sdk.quickAuth.getToken();
+    session = createQuickAuthSession(token, { domain });
+  } else if (sdk && sdk.actions && typeof sdk.actions.signIn === 'function') {
+    const nonce = createSiweNonce();
+    // Signed by the custody address, which the server can look up on a hub
+    const result = await sdk.actions.signIn({ nonce, acceptAuthAddress: false });
+    session = createSiweSession(result.message, result.signature, { domain, nonce });
+  }
+
+  if (!session || session.fid !== fid) {
+    throw new Error('Farcaster sign-in failed');
+  }
+  // Only the backend can check the token's signature, or that the message
+  // was signed by the FID's custody address
+  const confirmed = await apiRequest('/sessions/farcaster', {
+    method: 'POST',
+    body: JSON.stringify({ auth: toFarcasterProof(session) })
+  });
+  if (confirmed.fid !== fid) {
+    throw new Error('The backend did not confirm the Farcaster sign-in');
+  }
+  storage.set('session', session);
+}
+
+// What the server checks to accept a request for the FID: the session's
+// quick-auth token or Sign In with Farcaster message
+function toFarcasterProof(session) {
+  if (session.method === 'quick-auth') return { token: session.token };
+  if (session.method === 'farcaster') return { message: session.message, signature: session.signature };
+  return null;
+}
+
+function getFarcasterProof(fid) {
+  const session = storage.get('session');
+  return session && session.fid === fid ? toFarcasterProof(session) : null;
+}
+
+// personal_sign takes the message as hex-encoded UTF-8
+function toUtf8Hex(text) {
+  return bytesToHex(new TextEncoder().encode(text));
+}
+
+function showConnectNotice(text) {
+  connectNotice.textContent = text;
+  connectNotice.hidden = false;
+}
+
+// Wallet picker - one button per announced wallet, the remembered one
+// marked
+function renderWalletPicker(wallets) {
+  const remembered = storage.get('walletRdns');
+  walletList.innerHTML = '';
+  for (const { info } of wallets) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'wallet-option' + (info.rdns === remembered ? ' remembered' : '');
+
+    // Icons are data URIs per EIP-6963; anything else is not loaded
+    if (typeof info.icon === 'string' && info.icon.startsWith('data:image/')) {
+      const icon = document.createElement('img');
+      icon.src = info.icon;
+      icon.alt = '';
+      button.appendChild(icon);
+    } else {
+      const placeholder = document.createElement('span');
+      placeholder.className = 'wallet-option-placeholder';
+      placeholder.textContent = '👛';
+      button.appendChild(placeholder);
+    }
+
+    const name = document.createElement('span');
+    name.textContent = info.name;
+    button.appendChild(name);
+
+    if (info.rdns === remembered) {
+      const note = document.createElement('span');
+      note.className = 'wallet-option-note';
+      note.textContent = 'last used';
+      button.appendChild(note);
+    }
+
+    button.addEventListener('click', () => handleConnect(info.rdns));
+    item.appendChild(button);
+    walletList.appendChild(item);
+  }
+  walletPicker.hidden = wallets.length === 0;
+}
+
+// Follow the connected wallet's events, so switching accounts in the
+// wallet updates the dashboard instead of signing as a stale currentWallet
+function setProvider(provider) {
+  if (provider === currentProvider) return;
+  if (currentProvider && typeof currentProvider.removeListener === 'function') {
+    currentProvider.removeListener('accountsChanged', handleAccountsChanged);
+    currentProvider.removeListener('chainChanged', handleChainChanged);
+    currentProvider.removeListener('disconnect', handleProviderDisconnect);
+  }
+  currentProvider = provider || null;
+  if (currentProvider && typeof currentProvider.on === 'function') {
+    currentProvider.on('accountsChanged', handleAccountsChanged);
+    currentProvider.on('chainChanged', handleChainChanged);
+    currentProvider.on('disconnect', handleProviderDisconnect);
+  }
+}
+
+function handleAccountsChanged(accounts) {
+  console.log('Accounts changed:', accounts);
+  if (!accounts || accounts.length === 0) {
+    handleDisconnect();
+    return;
+  }
+  if (!currentWallet || sameAddress(accounts[0], currentWallet)) return;
+
+  // The session was for the previous account
+  handleDisconnect();
+  showConnectNotice(`Your wallet switched to ${formatAddress(accounts[0])}. Connect to sign in with it.`);
+}
+
+// Check-ins switch to Base themselves; onchain history is read from the
+// configured chain, so reload it
+function handleChainChanged(chainId) {
+  console.log('Chain changed:', chainId);
+  const wallet = currentWallet;
+  refreshOnchainCheckIns(wallet).then(loaded => {
+    if (loaded && currentWallet === wallet) updateDashboard();
+  });
+}
+
+function handleProviderDisconnect(error) {
+  console.log('Wallet disconnected:', error);
+  handleDisconnect();
+}
+
 // Disconnect wallet
 function handleDisconnect() {
   currentWallet = null;
-  currentProvider = null;
+  setProvider(null);
   isConnected = false;
-  localStorage.removeItem('connected_wallet');
+  onchainCheckIns = null;
+  storage.set('connectedWallet', null);
+  storage.set('session', null);
+  connectNotice.hidden = true;
   showScreen('connect');
 }
 
-// Convert string to hex for signing
-function toHex(str) {
-  let result = '0x';
-  for (let i = 0; i < str.length; i++) {
-    result += str.charCodeAt(i).toString(16).padStart(2, '0');
+// Make sure the wallet is on the given chain (Base by default) before
+// signing, switching (or adding Base first) when it is not
+async function ensureChain(provider, targetChainId = BASE_CHAIN_ID) {
+  let chainId = null;
+  try {
+    chainId = await provider.request({ method: 'eth_chainId' });
+  } catch (e) {
+    console.log('Could not read chain id:', e);
+  }
+  if (chainId && parseInt(chainId, 16) === targetChainId) return;
+
+  const targetHex = '0x' + targetChainId.toString(16);
+  const chainName = targetChainId === BASE_CHAIN_ID ? 'the Base network' : `chain ${targetChainId}`;
+  console.log('Wallet is on chain', chainId, '- requesting switch to', targetHex);
+  try {
+    await provider.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: targetHex }]
+    });
+  } catch (error) {
+    // 4902: the wallet does not know the chain yet
+    const unknownChain = error && (error.code === 4902 || error?.data?.originalError?.code === 4902);
+    if (unknownChain && targetChainId === BASE_CHAIN_ID) {
+      await provider.request({ method: 'wallet_addEthereumChain', params: [BASE_CHAIN_PARAMS] });
+      await provider.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: BASE_CHAIN_HEX }]
+      });
+    } else {
+      throw new AppError('wrong-chain', `Please switch your wallet to ${chainName} to check in.`, { cause: error });
+    }
+  }
+}
+
+// Onchain mode - check-ins are CheckIn contract calls instead of signatures.
+// Whoever picks the contract picks where transactions go and which logs
+// count as check-ins, so it is the deployed one. Only dev mode, which runs
+// on localhost alone, takes a contract from the URL for a local chain
+// (scripts/deploy-checkin.js prints such a link), and never stores it.
+function getOnchainConfig() {
+  const deployed = normalizeOnchainConfig(ONCHAIN_CONFIG);
+  if (deployed || !devTools) return deployed;
+  const params = new URLSearchParams(window.location.search);
+  return normalizeOnchainConfig({
+    contract: params.get('checkinContract'),
+    chainId: params.get('checkinChain'),
+    fromBlock: Number(params.get('checkinFromBlock')) || 0
+  });
+}
+
+// Signatures stay the default; onchain mode is opt-in
+function isOnchainMode() {
+  return storage.get('checkinMode') === 'onchain' && !!getOnchainConfig();
+}
+
+function handleCheckInModeChange() {
+  storage.set('checkinMode', onchainToggle.checked ? 'onchain' : 'signature');
+  showDashboard();
+}
+
+async function checkInOnchain(provider, signerAddress, date) {
+  const config = getOnchainConfig();
+  await ensureChain(provider, config.chainId);
+
+  console.log('Sending onchain check-in to', config.contract);
+  const txHash = await sendCheckInTransaction(provider, {
+    contract: config.contract,
+    wallet: signerAddress,
+    date
+  });
+  console.log('Check-in transaction:', txHash);
+  await waitForReceipt(provider, txHash);
+  await refreshOnchainCheckIns(currentWallet, provider);
+}
+
+// Rebuild the onchain history from CheckedIn event logs
+async function refreshOnchainCheckIns(wallet, provider = currentProvider) {
+  const config = getOnchainConfig();
+  if (!wallet || !provider || !isOnchainMode()) {
+    onchainCheckIns = null;
+    return false;
+  }
+  try {
+    const entries = await fetchOnchainCheckIns(provider, config, wallet);
+    onchainCheckIns = { wallet, dates: entries.map(entry => entry.date) };
+    return true;
+  } catch (e) {
+    console.log('Could not load onchain check-ins:', e);
+    return false;
   }
-  return result;
+}
+
+function createNonce() {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(32)));
 }
 
 // Check in
 async function handleCheckIn() {
   if (!currentWallet) return;
 
-  const today = getTodayString();
-  const userData = getUserData(currentWallet);
+  const userData = getDashboardData();
+  const timeZone = userData.timeZone;
+  const today = getTodayString(timeZone);
 
   // Check if already checked in today
   if (userData.dates.includes(today)) {
-    alert('You have already checked in today!');
+    showToast('You have already checked in today!');
     return;
   }
+  const badgesBefore = getEarnedBadges(userData.dates, timeZone);
 
   checkinBtn.classList.add('loading');
   checkinBtn.disabled = true;
 
   try {
-    // Create message to sign
-    const message = `Base Check-In | ${currentWallet} | ${today}`;
-    const hexMessage = toHex(message);
-
-    console.log('Message:', message);
-    console.log('Hex Message:', hexMessage);
-    console.log('Wallet:', currentWallet);
-
-    let signature = null;
-
     // Get provider
-    const sdk = isInFarcasterFrame ? await loadFarcasterSdk() : null;
-    const provider = sdk?.wallet?.ethProvider || currentProvider || window.ethereum;
+    if (!currentProvider) {
+      setProvider(await getProvider());
+    }
+    const provider = currentProvider;
 
     if (!provider) {
-      throw new Error('No wallet provider available');
+      throw new AppError('no-wallet', 'No wallet provider available');
     }
 
     console.log('Provider found:', !!provider);
 
+    // The session may have expired since the dashboard opened
+    await startSession(provider, currentWallet);
+
     // First get the actual connected account from provider
     let signerAddress = currentWallet;
     try {
@@ -392,24 +940,60 @@ async function handleCheckIn() {
       console.log('Could not get accounts:', e);
     }
 
-    // Sign the message
+    if (isOnchainMode()) {
+      if (!sameAddress(signerAddress, currentWallet)) {
+        throw new AppError('wrong-account', 'Switch your wallet to ' + formatAddress(currentWallet) + ' and try again.');
+      }
+      await checkInOnchain(provider, signerAddress, today);
+      updateDashboard();
+      showStreakCard();
+      celebrateNewBadges(badgesBefore);
+      return;
+    }
+
+    // Create typed check-in to sign
+    const message = buildCheckInTypedData({
+      wallet: currentWallet,
+      date: today,
+      timeZone,
+      nonce: createNonce(),
+      origin: window.location.origin
+    });
+
+    console.log('Typed check-in:', message);
+    console.log('Wallet:', currentWallet);
+
+    // The signature is bound to Base, so the wallet has to be on it
+    await ensureChain(provider);
+
+    // Sign the typed message
     console.log('Requesting signature...');
-    signature = await provider.request({
-      method: 'personal_sign',
-      params: [hexMessage, signerAddress]
+    const signature = await provider.request({
+      method: 'eth_signTypedData_v4',
+      params: [signerAddress, JSON.stringify(message)]
     });
 
-    if (signature) {
-      console.log('Signature received:', signature);
-      saveCheckIn(currentWallet, today, signature);
-      updateDashboard();
-      showStreakCard();
-    } else {
+    if (!signature) {
       throw new Error('No signature received');
     }
+
+    console.log('Signature received:', signature);
+
+    // Only count the check-in if the signature recovers to the connected wallet
+    if (!verifyCheckIn({ wallet: currentWallet, date: today, signature, message })) {
+      throw new AppError('wrong-account', 'Signature does not match the connected wallet. Switch your wallet to ' + formatAddress(currentWallet) + ' and try again.');
+    }
+
+    saveCheckIn(currentWallet, today, signature, message);
+    updateDashboard();
+    showStreakCard();
+    celebrateNewBadges(badgesBefore);
+
+    // Record on the backend too, once it is reachable
+    queueCheckIn({ wallet: currentWallet, date: today, signature, message });
+    flushOutbox();
   } catch (error) {
-    console.error('Check-in failed:', error);
-    alert('Check-in failed: ' + (error.message || 'Unknown error'));
+    showError(error, { title: 'Check-in failed', retry: handleCheckIn });
   } finally {
     checkinBtn.classList.remove('loading');
     checkinBtn.disabled = false;
@@ -418,248 +1002,1589 @@ async function handleCheckIn() {
 
 // Data management
 function getUserData(wallet) {
-  const allData = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
-  return allData[wallet.toLowerCase()] || {
-    dates: [],
-    streak: 0,
-    total: 0,
-    lastDate: null,
-    signatures: {}
-  };
+  const onchainDates = onchainCheckIns && sameAddress(onchainCheckIns.wallet, wallet)
+    ? onchainCheckIns.dates
+    : [];
+  return verifyUserData(wallet, storage.getUser(wallet), { onchainDates });
 }
 
-function saveCheckIn(wallet, date, signature) {
-  const allData = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
-  const walletKey = wallet.toLowerCase();
-  const userData = allData[walletKey] || {
-    dates: [],
-    streak: 0,
-    total: 0,
-    lastDate: null,
-    signatures: {}
-  };
+// Another tab checked in, changed settings or disconnected
+function handleStorageChange() {
+  const savedWallet = storage.get('connectedWallet');
+  if (!dashboardScreen.classList.contains('active')) return;
 
-  // Add date
-  if (!userData.dates.includes(date)) {
-    userData.dates.push(date);
-    userData.dates.sort();
+  if (!savedWallet || !hasValidSession(savedWallet)) {
+    handleDisconnect();
+  } else {
+    currentWallet = savedWallet;
+    updateDashboard();
   }
-
-  // Save signature
-  userData.signatures[date] = signature;
-
-  // Update total
-  userData.total = userData.dates.length;
-
-  // Calculate streak
-  userData.streak = calculateStreak(userData.dates);
-  userData.lastDate = date;
-
-  allData[walletKey] = userData;
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(allData));
 }
 
-function calculateStreak(dates) {
-  if (dates.length === 0) return 0;
-
-  const sortedDates = [...dates].sort().reverse();
-  const today = getTodayString();
-  const yesterday = getYesterdayString();
-
-  // Check if streak is still active
-  if (sortedDates[0] !== today && sortedDates[0] !== yesterday) {
-    return 0;
-  }
-
-  let streak = 1;
-  for (let i = 0; i < sortedDates.length - 1; i++) {
-    const current = new Date(sortedDates[i]);
-    const next = new Date(sortedDates[i + 1]);
-    const diffDays = Math.floor((current - next) / (1000 * 60 * 60 * 24));
-
-    if (diffDays === 1) {
-      streak++;
-    } else {
-      break;
+// Only proofs are stored; streak, total and freezes are derived on read
+function saveCheckIn(wallet, date, signature, message) {
+  storage.updateUser(wallet, record => {
+    if (!record.dates.includes(date)) {
+      record.dates.push(date);
+      record.dates.sort();
     }
-  }
 
-  return streak;
+    // Save signature and the exact message it signs
+    record.signatures[date] = signature;
+    record.messages[date] = message;
+    return record;
+  });
 }
 
-// Date utilities
-function getTodayString() {
-  return new Date().toISOString().split('T')[0];
+// The user's chosen IANA zone decides where their days start and end
+function saveTimeZone(wallet, timeZone) {
+  if (!isValidTimeZone(timeZone)) return;
+  storage.updateUser(wallet, record => ({ ...record, timeZone }));
 }
 
-function getYesterdayString() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return yesterday.toISOString().split('T')[0];
+function hasStoredTimeZone(wallet) {
+  return isValidTimeZone(storage.getUser(wallet).timeZone);
 }
 
-// Screen management
-function showScreen(screen) {
-  connectScreen.classList.remove('active');
-  dashboardScreen.classList.remove('active');
-  profileScreen.classList.remove('active');
-
-  switch (screen) {
-    case 'connect':
-      connectScreen.classList.add('active');
-      break;
-    case 'dashboard':
-      dashboardScreen.classList.add('active');
-      break;
-    case 'profile':
-      profileScreen.classList.add('active');
-      break;
-  }
+function handleTimeZoneChange() {
+  if (!currentWallet) return;
+  saveTimeZone(currentWallet, timezoneSelect.value);
+  updateDashboard();
 }
 
-function showDashboard() {
-  showScreen('dashboard');
-  updateDashboard();
+function populateTimeZoneSelect(selected) {
+  if (timezoneSelect.options.length === 0) {
+    let zones = [];
+    if (typeof Intl.supportedValuesOf === 'function') {
+      zones = Intl.supportedValuesOf('timeZone');
+    }
+    zones = [...new Set(['UTC', getBrowserTimeZone(), ...zones])];
+    for (const zone of zones) {
+      const option = document.createElement('option');
+      option.value = zone;
+      option.textContent = zone.replace(/_/g, ' ');
+      timezoneSelect.appendChild(option);
+    }
+  }
+  timezoneSelect.value = selected;
 }
 
-function updateDashboard() {
+// Proof bundles - a downloadable copy of every signed check-in
+function handleExportProofs() {
   if (!currentWallet) return;
 
-  const userData = getUserData(currentWallet);
-  const today = getTodayString();
-  const checkedInToday = userData.dates.includes(today);
-
-  // Update stats
-  streakValue.textContent = userData.streak;
-  totalValue.textContent = userData.total;
-
-  // Update wallet address
-  walletAddress.textContent = formatAddress(currentWallet);
+  const bundle = createProofBundle(currentWallet, getUserData(currentWallet));
+  const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
 
-  // Update status
-  if (checkedInToday) {
-    statusCard.classList.add('checked-in');
-    statusIcon.textContent = '✓';
-    statusText.textContent = 'Checked in today!';
-    checkinBtn.textContent = 'Already Checked In';
-    checkinBtn.disabled = true;
-  } else {
-    statusCard.classList.remove('checked-in');
-    statusIcon.textContent = '○';
-    statusText.textContent = 'Not checked in yet';
-    checkinBtn.textContent = 'Check In Now';
-    checkinBtn.disabled = false;
-  }
+  const link = document.createElement('a');
+  link.download = `base-checkin-proofs-${currentWallet.toLowerCase()}.json`;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
 
-  // Render calendar
-  renderCalendar(calendarGrid, userData.dates);
+  console.log('Exported proof bundle with', bundle.entries.length, 'entries');
 }
 
-// Profile screen
-function showProfileScreen(wallet) {
-  showScreen('profile');
+async function handleImportProofs(event) {
+  const file = event.target.files && event.target.files[0];
+  event.target.value = '';
+  if (!file || !currentWallet) return;
 
-  const userData = getUserData(wallet);
+  try {
+    const bundle = parseProofBundle(await file.text());
+    if (!isBundleForWallet(bundle, currentWallet)) {
+      throw new Error(`This bundle belongs to ${formatAddress(bundle.wallet)}. Connect that wallet to import it.`);
+    }
 
-  document.getElementById('profile-wallet').textContent = wallet;
-  document.getElementById('profile-streak').textContent = userData.streak;
-  document.getElementById('profile-total').textContent = userData.total;
-  document.getElementById('profile-last-date').textContent = userData.lastDate || 'Never';
+    const report = checkProofBundle(bundle, getUserData(currentWallet).dates);
+    for (const entry of report.accepted) {
+      saveCheckIn(currentWallet, entry.date, entry.signature, entry.message);
+    }
 
-  renderCalendar(document.getElementById('profile-calendar'), userData.dates);
+    renderImportReport(report);
+    showDashboard();
+  } catch (error) {
+    console.error('Import failed:', error);
+    renderImportReport(null, error.message);
+  }
 }
 
-// Calendar rendering
-function renderCalendar(container, checkedDates) {
-  container.innerHTML = '';
-
-  const today = new Date();
-  const startDate = new Date(today);
-  startDate.setDate(startDate.getDate() - 34); // Show last 35 days
+function renderImportReport(report, errorMessage) {
+  importReport.innerHTML = '';
+  importReport.hidden = false;
 
-  for (let i = 0; i < 35; i++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + i);
-    const dateStr = date.toISOString().split('T')[0];
-
-    const dayEl = document.createElement('div');
-    dayEl.className = 'calendar-day';
-    dayEl.textContent = date.getDate();
+  const summary = document.createElement('p');
+  if (errorMessage) {
+    summary.textContent = 'Import failed: ' + errorMessage;
+    importReport.appendChild(summary);
+    return;
+  }
 
-    if (checkedDates.includes(dateStr)) {
-      dayEl.classList.add('checked');
-    }
+  summary.textContent = `Imported ${report.accepted.length} · ` +
+    `${report.duplicates.length} already saved · ${report.rejected.length} rejected`;
+  importReport.appendChild(summary);
 
-    if (dateStr === getTodayString()) {
-      dayEl.classList.add('today');
+  if (report.rejected.length > 0) {
+    const list = document.createElement('ul');
+    for (const entry of report.rejected) {
+      const item = document.createElement('li');
+      item.textContent = `${entry.date}: ${entry.reason}`;
+      list.appendChild(item);
     }
-
-    container.appendChild(dayEl);
+    importReport.appendChild(list);
   }
 }
 
-// Streak card
-function showStreakCard() {
-  if (!currentWallet) return;
-
-  const userData = getUserData(currentWallet);
-  generateStreakCard(userData);
-  streakCardModal.classList.add('active');
+// Farcaster identity - wallets linked to one FID check in together
+function getIdentity() {
+  return normalizeIdentity(storage.get('identity'));
 }
 
-function generateStreakCard(userData) {
-  const ctx = streakCardCanvas.getContext('2d');
-  const width = 600;
-  const height = 400;
-
-  // Background gradient
-  const gradient = ctx.createLinearGradient(0, 0, width, height);
-  gradient.addColorStop(0, '#0052FF');
-  gradient.addColorStop(1, '#0040CC');
-  ctx.fillStyle = gradient;
-  ctx.fillRect(0, 0, width, height);
-
-  // Add subtle pattern
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.03)';
-  for (let i = 0; i < 20; i++) {
-    const x = Math.random() * width;
-    const y = Math.random() * height;
-    ctx.beginPath();
-    ctx.arc(x, y, Math.random() * 50 + 20, 0, Math.PI * 2);
-    ctx.fill();
-  }
-
-  // Title
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-  ctx.font = 'bold 32px JetBrains Mono, monospace';
-  ctx.textAlign = 'center';
-  ctx.fillText('Base Check-In', width / 2, 60);
-
-  // Checkmark icon
-  ctx.fillStyle = 'white';
-  ctx.font = 'bold 80px Arial';
-  ctx.fillText('✓', width / 2, 160);
-
-  // Streak
-  ctx.fillStyle = 'white';
-  ctx.font = 'bold 72px JetBrains Mono, monospace';
-  ctx.fillText(`${userData.streak}`, width / 2, 260);
-
-  ctx.font = '24px JetBrains Mono, monospace';
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-  ctx.fillText('DAY STREAK', width / 2, 295);
-
-  // Wallet
-  ctx.font = '16px JetBrains Mono, monospace';
-  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-  ctx.fillText(formatAddress(currentWallet), width / 2, 350);
-
-  // Date
-  ctx.fillText(getTodayString(), width / 2, 380);
+function saveIdentity(identity) {
+  storage.set('identity', identity);
 }
 
-function downloadStreakCard() {
-  const filename = 'base-checkin-' + getTodayString() + '.png';
+// Link every address the Mini App context verifies for this FID
+function syncFarcasterIdentity(context) {
+  const user = context && context.user;
+  if (!user || !user.fid) return;
+
+  let identity = getIdentity();
+  if (!identity || identity.fid !== Number(user.fid)) {
+    identity = normalizeIdentity({ fid: user.fid, wallets: [] });
+  }
+  const addresses = getContextAddresses(user)
+    .filter(address => !identity.removed.includes(address.toLowerCase()));
+  saveIdentity(linkWallets(identity, addresses));
+}
+
+// Addresses the Mini App context vouches for as this FID's, lowercased.
+// Only these may join the FID's identity.
+function getVerifiedAddresses(fid) {
+  const user = farcasterContext && farcasterContext.user;
+  if (!user || Number(user.fid) !== fid) return [];
+  return getContextAddresses(user).map(address => address.toLowerCase());
+}
+
+// Wallets whose check-ins count for the current user, current wallet first
+function getLinkedWallets() {
+  const identity = getIdentity();
+  if (!currentWallet || !identity || !identity.wallets.includes(currentWallet.toLowerCase())) {
+    return currentWallet ? [currentWallet] : [];
+  }
+  const others = identity.wallets.filter(wallet => !sameAddress(wallet, currentWallet));
+  return [currentWallet, ...others];
+}
+
+// What the dashboard shows: the current wallet, or its whole identity
+function getDashboardData() {
+  const wallets = getLinkedWallets();
+  const own = getUserData(currentWallet);
+  if (wallets.length <= 1) return own;
+
+  const entries = wallets.map(wallet => ({ wallet, userData: getUserData(wallet) }));
+  return mergeLinkedUserData(entries, { timeZone: own.timeZone });
+}
+
+async function handleLinkWallet() {
+  const identity = getIdentity();
+  if (!identity) return;
+
+  try {
+    const provider = currentProvider || await getProvider();
+    const accounts = await provider.request({ method: 'eth_requestAccounts' });
+    const verified = getVerifiedAddresses(identity.fid);
+    const linkable = (accounts || []).filter(account => verified.includes(String(account).toLowerCase()));
+    if (linkable.length === 0) {
+      showToast(`Only addresses verified for FID ${identity.fid} can be linked. Verify this wallet in your Farcaster client first.`, {
+        kind: 'error',
+        title: 'Wallet not verified'
+      });
+      return;
+    }
+    saveIdentity(linkWallets(identity, linkable));
+    showDashboard();
+  } catch (error) {
+    showError(error, { title: 'Could not link wallet', retry: handleLinkWallet });
+  }
+}
+
+function handleUnlinkWallet(wallet) {
+  const identity = getIdentity();
+  if (!identity || sameAddress(wallet, currentWallet)) return;
+  saveIdentity(unlinkWallet(identity, wallet));
+  updateDashboard();
+}
+
+function renderIdentitySettings(userData) {
+  const identity = getIdentity();
+  const linked = identity && identity.wallets.includes(currentWallet.toLowerCase());
+  identitySection.hidden = !linked;
+  if (!linked) return;
+
+  identityFid.textContent = identity.fid;
+
+  linkedWalletsList.innerHTML = '';
+  for (const wallet of getLinkedWallets()) {
+    const days = getUserData(wallet).total;
+    const item = document.createElement('li');
+
+    const label = document.createElement('span');
+    label.textContent = `${formatAddress(wallet)} · ${days} day${days === 1 ? '' : 's'}`;
+    item.appendChild(label);
+
+    if (sameAddress(wallet, currentWallet)) {
+      const tag = document.createElement('span');
+      tag.className = 'linked-wallet-tag';
+      tag.textContent = 'connected';
+      item.appendChild(tag);
+    } else {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn btn-ghost';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => handleUnlinkWallet(wallet));
+      item.appendChild(removeBtn);
+    }
+    linkedWalletsList.appendChild(item);
+  }
+
+  // Most recent days first, with the wallet whose signature backs each
+  signerList.innerHTML = '';
+  const signers = userData.signers || {};
+  for (const date of [...userData.dates].reverse().slice(0, 14)) {
+    const item = document.createElement('li');
+    item.textContent = `${date} · ${formatAddress(signers[date] || currentWallet)}`;
+    signerList.appendChild(item);
+  }
+}
+
+// Daily reminders - adding the Mini App lets the server notify this FID
+// before the streak ends; it needs the linked wallets to know whether
+// today's check-in is done
+async function handleEnableReminders() {
+  const sdk = await loadFarcasterSdk();
+  if (!sdk || !sdk.actions) return;
+
+  reminderBtn.disabled = true;
+  try {
+    // addFrame is the pre-rename name of addMiniApp
+    const addMiniApp = sdk.actions.addMiniApp || sdk.actions.addFrame;
+    const result = await addMiniApp.call(sdk.actions);
+    // Older SDKs resolve with { added: false } instead of throwing
+    if (result && result.added === false) {
+      throw new Error(result.reason || 'App was not added');
+    }
+
+    farcasterContext = {
+      ...farcasterContext,
+      client: {
+        ...(farcasterContext && farcasterContext.client),
+        added: true,
+        notificationDetails: result && result.notificationDetails
+      }
+    };
+    await registerReminderWallets();
+  } catch (error) {
+    showError(error, { title: 'Could not turn on reminders', retry: handleEnableReminders });
+  } finally {
+    reminderBtn.disabled = false;
+    renderReminderSetting();
+  }
+}
+
+// The server only takes the FID's own wallets, with the sign-in proof
+// for the FID from the session
+async function registerReminderWallets() {
+  const fid = farcasterContext && farcasterContext.user && Number(farcasterContext.user.fid);
+  if (!fid) return;
+  const verified = getVerifiedAddresses(fid);
+  const wallets = getLinkedWallets().filter(wallet => verified.includes(wallet.toLowerCase()));
+  const auth = getFarcasterProof(fid);
+  if (wallets.length === 0 || !auth) {
+    console.log('No Farcaster sign-in or verified wallet to register reminders with');
+    return;
+  }
+  try {
+    await apiRequest('/reminders', { method: 'POST', body: JSON.stringify({ fid, wallets, auth }) });
+  } catch (e) {
+    console.log('Could not register reminder wallets:', e.message);
+  }
+}
+
+function renderReminderSetting() {
+  const client = farcasterContext && farcasterContext.client;
+  const user = farcasterContext && farcasterContext.user;
+  reminderSetting.hidden = !isInFarcasterFrame || !user || !user.fid;
+  if (reminderSetting.hidden) return;
+
+  const enabled = Boolean(client && client.notificationDetails);
+  reminderStatus.textContent = enabled
+    ? 'Streak reminders are on'
+    : 'Get a reminder before your streak ends';
+  reminderBtn.hidden = enabled;
+}
+
+// Backend API - the server holds check-ins for every wallet, local storage
+// is kept as an offline cache of what this browser has seen
+async function apiRequest(path, options = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), API_TIMEOUT_MS);
+  try {
+    const response = await fetch(API_BASE + path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
+      signal: controller.signal
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(body.error || `Request failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function fetchRemoteUserData(wallet) {
+  try {
+    return await apiRequest('/users/' + encodeURIComponent(wallet));
+  } catch (e) {
+    console.log('Backend unavailable, using local data:', e.message);
+    return null;
+  }
+}
+
+// { result, reason }, result as in getDeliveryResult (lib/outbox.js)
+async function postRemoteCheckIn(entry) {
+  try {
+    await apiRequest('/checkins', { method: 'POST', body: JSON.stringify(entry) });
+    return { result: 'sent' };
+  } catch (e) {
+    console.log('Could not send check-in to backend:', e.message);
+    return { result: getDeliveryResult(e.status), reason: e.message };
+  }
+}
+
+// Offline support - sw.js caches the app; check-ins wait in the outbox
+// until the backend takes them
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+  navigator.serviceWorker.register('sw.js')
+    .then(registration => console.log('Service worker registered:', registration.scope))
+    .catch(e => console.log('Service worker not registered:', e.message));
+}
+
+function queueCheckIn(entry) {
+  storage.set('outbox', addToOutbox(storage.get('outbox') || [], entry));
+  renderSyncStatus();
+}
+
+let outboxFlush = null;
+
+// One flush at a time; stops at the first entry that cannot be delivered
+function flushOutbox() {
+  if (!outboxFlush) {
+    outboxFlush = sendOutbox().finally(() => {
+      outboxFlush = null;
+      renderSyncStatus();
+    });
+  }
+  return outboxFlush;
+}
+
+// Refused entries stay in the outbox and are listed under the sync status
+function sendOutbox() {
+  return sendOutboxEntries({
+    load: () => storage.get('outbox') || [],
+    save: outbox => storage.set('outbox', outbox),
+    send: postRemoteCheckIn
+  });
+}
+
+function dismissRejectedCheckIns() {
+  storage.set('outbox', getPendingEntries(storage.get('outbox') || []));
+  renderSyncStatus();
+}
+
+function renderSyncStatus() {
+  if (!currentWallet) return;
+  const wallets = getLinkedWallets();
+  const outbox = (storage.get('outbox') || [])
+    .filter(entry => wallets.some(wallet => sameAddress(wallet, entry.wallet)));
+  const waiting = getPendingEntries(outbox).length;
+  renderRejectedCheckIns(getRejectedEntries(outbox));
+
+  if (waiting > 0) {
+    const what = `${waiting} check-in${waiting === 1 ? '' : 's'} waiting to sync`;
+    syncStatus.textContent = navigator.onLine ? what : `Offline · ${what}`;
+  } else if (!navigator.onLine) {
+    syncStatus.textContent = 'Offline · check-ins sync when you reconnect';
+  }
+  syncStatus.hidden = waiting === 0 && navigator.onLine;
+}
+
+// The proofs are still saved here and in exported bundles; the server just
+// does not count them
+function renderRejectedCheckIns(rejected) {
+  syncRejected.innerHTML = '';
+  syncRejected.hidden = rejected.length === 0;
+  if (rejected.length === 0) return;
+
+  const summary = document.createElement('p');
+  summary.textContent = `${rejected.length} check-in${rejected.length === 1 ? '' : 's'} not accepted by the server · kept in this browser`;
+  syncRejected.appendChild(summary);
+
+  const list = document.createElement('ul');
+  for (const entry of rejected) {
+    const item = document.createElement('li');
+    item.textContent = `${entry.date}: ${entry.rejected.reason}`;
+    list.appendChild(item);
+  }
+  syncRejected.appendChild(list);
+
+  const dismiss = document.createElement('button');
+  dismiss.className = 'btn btn-ghost';
+  dismiss.textContent = 'Dismiss';
+  dismiss.addEventListener('click', dismissRejectedCheckIns);
+  syncRejected.appendChild(dismiss);
+}
+
+// Merge backend data into the local cache. With upload, local check-ins the
+// backend has not seen yet are sent up as well. Returns false when offline.
+async function syncUserData(wallet, { upload }) {
+  if (!wallet) return false;
+
+  const remote = await fetchRemoteUserData(wallet);
+  if (!remote) return false;
+
+  const local = getUserData(wallet);
+  const remoteData = verifyUserData(wallet, remote);
+
+  // A zone picked in this browser wins over the one the backend last saw
+  if (!hasStoredTimeZone(wallet) && isValidTimeZone(remote.timeZone)) {
+    saveTimeZone(wallet, remote.timeZone);
+  }
+
+  for (const date of remoteData.dates) {
+    if (!local.dates.includes(date)) {
+      saveCheckIn(wallet, date, remoteData.signatures[date], remoteData.messages[date]);
+    }
+  }
+
+  // The backend only takes today and, just after midnight, yesterday;
+  // older local days stay in this browser and its proof bundles. What it
+  // refuses is listed with the outbox.
+  if (upload) {
+    const oldest = getYesterdayString(local.timeZone);
+    for (const date of local.dates) {
+      if (date >= oldest && !remoteData.dates.includes(date)) {
+        queueCheckIn({ wallet, date, signature: local.signatures[date], message: local.messages[date] });
+      }
+    }
+    await flushOutbox();
+  }
+
+  return true;
+}
+
+// Dev mode - mock wallet, SDK stand-in and a movable "today", driven
+// from the URL or window.devTools in the console
+async function startDevMode() {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('dev') !== '1') return;
+
+  const { createDevTools, announceDevWallet, isDevHost } = await import('./lib/devtools.js');
+  if (!isDevHost(window.location.hostname)) {
+    console.warn('Dev mode only runs on localhost');
+    return;
+  }
+  devTools = createDevTools(params);
+  announceDevWallet(devTools.provider);
+
+  // Moving the day redraws the dashboard as if the page had been left open
+  const refreshAfter = change => (...args) => {
+    change(...args);
+    console.log('Dev day offset:', devTools.getDay());
+    if (currentWallet && dashboardScreen.classList.contains('active')) updateDashboard();
+  };
+  window.devTools = {
+    ...devTools,
+    setDay: refreshAfter(devTools.setDay),
+    nextDay: refreshAfter(devTools.nextDay)
+  };
+
+  console.log('Dev mode with wallet', devTools.provider.address);
+  const offset = devTools.getDay();
+  showToast(`Wallet ${formatAddress(devTools.provider.address)}` + (offset ? `, today shifted by ${offset} days` : ''), {
+    title: 'Dev mode'
+  });
+}
+
+// Screen management
+function showScreen(screen) {
+  connectScreen.classList.remove('active');
+  dashboardScreen.classList.remove('active');
+  profileScreen.classList.remove('active');
+  leaderboardScreen.classList.remove('active');
+  groupScreen.classList.remove('active');
+
+  switch (screen) {
+    case 'connect':
+      connectScreen.classList.add('active');
+      break;
+    case 'dashboard':
+      dashboardScreen.classList.add('active');
+      break;
+    case 'profile':
+      profileScreen.classList.add('active');
+      break;
+    case 'leaderboard':
+      leaderboardScreen.classList.add('active');
+      break;
+    case 'group':
+      groupScreen.classList.add('active');
+      break;
+  }
+}
+
+function showDashboard() {
+  // Signed in from an invite link: the group screen comes first
+  if (pendingInviteCode && currentWallet) {
+    const inviteCode = pendingInviteCode;
+    pendingInviteCode = null;
+    showGroupsScreen({ inviteCode });
+    return;
+  }
+
+  showScreen('dashboard');
+
+  // First visit: start from the device's zone until the user picks one
+  if (currentWallet && !hasStoredTimeZone(currentWallet)) {
+    saveTimeZone(currentWallet, getBrowserTimeZone());
+  }
+  updateDashboard();
+
+  // Queued check-ins go first, so the sync below does not post them again
+  const wallet = currentWallet;
+  flushOutbox()
+    .then(() => Promise.all(getLinkedWallets().map(linked => syncUserData(linked, { upload: true }))))
+    .then(results => {
+      if (results.some(Boolean) && currentWallet === wallet) updateDashboard();
+    });
+  if (farcasterContext && farcasterContext.client && farcasterContext.client.added) {
+    registerReminderWallets();
+  }
+  refreshOnchainCheckIns(wallet).then(loaded => {
+    if (loaded && currentWallet === wallet) updateDashboard();
+  });
+}
+
+function updateDashboard() {
+  if (!currentWallet) return;
+
+  const userData = getDashboardData();
+  const today = getTodayString(userData.timeZone);
+  const checkedInToday = userData.dates.includes(today);
+
+  // Update stats
+  streakValue.textContent = userData.streak;
+  totalValue.textContent = userData.total;
+  freezeValue.textContent = formatFreezes(userData.freezes);
+
+  // Update wallet address
+  walletAddress.textContent = formatAddress(currentWallet);
+
+  // Update status
+  if (checkedInToday) {
+    statusCard.classList.add('checked-in');
+    statusIcon.textContent = '✓';
+    statusText.textContent = 'Checked in today!';
+    checkinBtn.textContent = 'Already Checked In';
+    checkinBtn.disabled = true;
+  } else {
+    statusCard.classList.remove('checked-in');
+    statusIcon.textContent = '○';
+    statusText.textContent = 'Not checked in yet';
+    checkinBtn.textContent = 'Check In Now';
+    checkinBtn.disabled = false;
+  }
+
+  // Flag stored dates whose proof failed verification
+  if (userData.invalidDates.length > 0) {
+    integrityWarning.textContent = `${userData.invalidDates.length} stored check-in(s) had no valid signature and were not counted.`;
+    integrityWarning.hidden = false;
+  } else {
+    integrityWarning.hidden = true;
+  }
+
+  populateTimeZoneSelect(userData.timeZone);
+  renderEmbedSnippets(currentWallet);
+
+  // Onchain mode is only offered when a CheckIn contract is configured
+  onchainSetting.hidden = !getOnchainConfig();
+  onchainToggle.checked = isOnchainMode();
+
+  // Render calendar
+  renderCalendar(calendarGrid, userData);
+  renderStats(statsPanel, userData);
+  renderAchievements(userData);
+  renderIdentitySettings(userData);
+  renderReminderSetting();
+  renderSyncStatus();
+}
+
+// Statistics - shared by the dashboard and profile screens
+function formatDays(days) {
+  const rounded = Math.round(days * 10) / 10;
+  return `${rounded} day${rounded === 1 ? '' : 's'}`;
+}
+
+function renderStats(container, userData) {
+  const stats = computeStats(userData.dates, userData.timeZone);
+  container.innerHTML = '';
+
+  const rows = [
+    ['Longest streak', stats.longest
+      ? `${formatDays(stats.longest.length)} (${stats.longest.start} → ${stats.longest.end})`
+      : '—'],
+    ['Streaks', `${stats.streaks}`],
+    ['Average streak', stats.averageStreak === null ? '—' : formatDays(stats.averageStreak)],
+    ['Average break', stats.averageBreak === null ? 'Never broken' : `${formatDays(stats.averageBreak)} missed`]
+  ];
+  const list = document.createElement('dl');
+  list.className = 'stats-list';
+  for (const [label, value] of rows) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const detail = document.createElement('dd');
+    detail.textContent = value;
+    list.append(term, detail);
+  }
+  container.appendChild(list);
+
+  // Completion rate per window, then all time
+  const rates = document.createElement('div');
+  rates.className = 'completion-rates';
+  for (const key of [...COMPLETION_WINDOWS, 'all']) {
+    const rate = document.createElement('div');
+    rate.className = 'completion-rate';
+    const value = document.createElement('strong');
+    value.textContent = formatPercent(stats.completion[key]);
+    const label = document.createElement('span');
+    label.textContent = key === 'all' ? 'all time' : `${key} days`;
+    rate.append(value, label);
+    rates.appendChild(rate);
+  }
+  container.appendChild(rates);
+
+  // Check-ins by weekday, bars relative to the busiest day
+  const histogram = document.createElement('div');
+  histogram.className = 'weekday-histogram';
+  const busiest = Math.max(1, ...stats.weekdays);
+  stats.weekdays.forEach((count, day) => {
+    const bar = document.createElement('div');
+    bar.className = 'weekday-bar';
+    bar.title = `${count} check-in${count === 1 ? '' : 's'} on ${WEEKDAY_NAMES[day]}`;
+    const countLabel = document.createElement('span');
+    countLabel.textContent = count;
+    const fill = document.createElement('div');
+    fill.className = 'weekday-bar-fill';
+    fill.style.height = `${(count / busiest) * 100}%`;
+    const dayLabel = document.createElement('span');
+    dayLabel.textContent = WEEKDAY_NAMES[day];
+    bar.append(countLabel, fill, dayLabel);
+    histogram.appendChild(bar);
+  });
+  container.appendChild(histogram);
+}
+
+// Achievements - every badge, earned ones with the day they unlocked
+function renderAchievements(userData) {
+  achievementList.innerHTML = '';
+  for (const achievement of evaluateAchievements(userData.dates, userData.timeZone)) {
+    const item = document.createElement('li');
+    item.className = 'achievement' + (achievement.unlockedOn ? '' : ' locked');
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = achievement.icon;
+    item.appendChild(icon);
+
+    const text = document.createElement('span');
+    const title = document.createElement('span');
+    title.className = 'achievement-title';
+    title.textContent = achievement.title;
+    const detail = document.createElement('span');
+    detail.className = 'achievement-detail';
+    detail.textContent = achievement.unlockedOn || achievement.description;
+    text.append(title, detail);
+    item.appendChild(text);
+
+    item.title = achievement.description;
+    achievementList.appendChild(item);
+  }
+}
+
+let achievementUnlockTimer = null;
+
+// Show each badge the check-in just unlocked, one after another
+function celebrateNewBadges(badgesBefore) {
+  const userData = getDashboardData();
+  const unlocked = findNewBadges(badgesBefore, getEarnedBadges(userData.dates, userData.timeZone));
+  if (unlocked.length === 0) return;
+  console.log('Badges unlocked:', unlocked.map(badge => badge.id));
+
+  const [badge, ...rest] = unlocked;
+  document.getElementById('achievement-unlock-icon').textContent = badge.icon;
+  document.getElementById('achievement-unlock-title').textContent = badge.title;
+  achievementUnlock.hidden = false;
+
+  clearTimeout(achievementUnlockTimer);
+  achievementUnlockTimer = setTimeout(() => {
+    hideAchievementUnlock();
+    if (rest.length > 0) celebrateNewBadges([...badgesBefore, badge]);
+  }, 3000);
+}
+
+function hideAchievementUnlock() {
+  clearTimeout(achievementUnlockTimer);
+  achievementUnlock.hidden = true;
+}
+
+// Toasts - non-blocking messages in place of alert(), which some Farcaster
+// clients suppress. duration 0 keeps a toast until it is dismissed.
+function showToast(message, { kind = 'info', title = '', action = null, duration = TOAST_DURATION_MS } = {}) {
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${kind}`;
+  toast.setAttribute('role', kind === 'error' ? 'alert' : 'status');
+
+  const body = document.createElement('div');
+  body.className = 'toast-body';
+  if (title) {
+    const heading = document.createElement('p');
+    heading.className = 'toast-title';
+    heading.textContent = title;
+    body.appendChild(heading);
+  }
+  const text = document.createElement('p');
+  text.className = 'toast-message';
+  text.textContent = message;
+  body.appendChild(text);
+  toast.appendChild(body);
+
+  let timer = null;
+  const dismiss = () => {
+    clearTimeout(timer);
+    toast.remove();
+  };
+
+  if (action) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-ghost toast-action';
+    button.textContent = action.label;
+    button.addEventListener('click', () => {
+      dismiss();
+      action.run();
+    });
+    toast.appendChild(button);
+  }
+
+  const close = document.createElement('button');
+  close.className = 'toast-close';
+  close.textContent = '×';
+  close.setAttribute('aria-label', 'Dismiss');
+  close.addEventListener('click', dismiss);
+  toast.appendChild(close);
+
+  toastRegion.appendChild(toast);
+  // A toast offering an action waits for the user
+  if (duration > 0 && !action) {
+    timer = setTimeout(dismiss, duration);
+  }
+  return dismiss;
+}
+
+// Show a failure with what its category (see lib/errors.js) lets the user
+// do about it: retry repeats the action, reconnect signs in again
+function showError(error, { title = '', retry = null } = {}) {
+  const appError = toAppError(error);
+  const category = ERROR_CATEGORIES[appError.category];
+  console.error(`${title || 'Error'} (${appError.category}):`, appError.cause || appError);
+
+  let action = null;
+  if (category.action === 'retry' && retry) {
+    action = { label: category.label, run: retry };
+  } else if (category.action === 'reconnect') {
+    action = { label: category.label, run: () => handleConnect(storage.get('walletRdns')) };
+  }
+  showToast(appError.message, { kind: 'error', title: title || category.title, action });
+}
+
+// Profile screen
+function showProfileScreen(wallet) {
+  showScreen('profile');
+  renderProfile(wallet);
+
+  // Other visitors only have this wallet's data through the backend
+  syncUserData(wallet, { upload: false }).then(synced => {
+    if (synced) renderProfile(wallet);
+    renderHistory(document.getElementById('profile-history-list'), wallet);
+  });
+}
+
+function renderProfile(wallet) {
+  const userData = getUserData(wallet);
+
+  document.getElementById('profile-wallet').textContent = wallet;
+  document.getElementById('profile-streak').textContent = userData.streak;
+  document.getElementById('profile-total').textContent = userData.total;
+  document.getElementById('profile-last-date').textContent = userData.lastDate || 'Never';
+
+  const badgeRow = document.getElementById('profile-badges');
+  badgeRow.innerHTML = '';
+  for (const badge of getEarnedBadges(userData.dates, userData.timeZone)) {
+    const item = document.createElement('li');
+    item.textContent = badge.icon;
+    item.title = `${badge.title} · ${badge.description} · ${badge.unlockedOn}`;
+    badgeRow.appendChild(item);
+  }
+
+  renderStats(document.getElementById('profile-stats-panel'), userData);
+  renderCalendar(document.getElementById('profile-calendar'), userData);
+}
+
+// Snippets for showing the streak on other sites, served by
+// server/public.js and embed.js
+function renderEmbedSnippets(wallet) {
+  const origin = window.location.origin;
+  const address = wallet.toLowerCase();
+  document.getElementById('embed-markdown').textContent =
+    `[![Base Check-In streak](${origin}/api/v1/streak/${address}/badge.svg)](${origin}/?user=${address})`;
+  document.getElementById('embed-html').textContent =
+    `<script type="module" src="${origin}/embed.js"></script>\n<base-checkin-streak address="${address}"></base-checkin-streak>`;
+}
+
+// Check-in history - each day's inclusion proof from the server's daily
+// anchor log, checked against the signatures this browser holds. Roots
+// seen once are pinned, so a re-signed log that rewrites a day still
+// shows up here.
+const HISTORY_DAYS = 14;
+
+const HISTORY_MARKS = { anchored: '✓', pending: '…', missing: '✗', rewritten: '✗' };
+
+// { status, text } per date: 'anchored', 'pending' (day not anchored
+// yet), 'missing' (anchored without this check-in, or a bad proof) or
+// 'rewritten' (the root differs from the one pinned earlier)
+function checkAnchoredDays(wallet, userData, dates, log, proofs) {
+  const pins = storage.get('anchorPins') || { signer: null, roots: {} };
+  const signer = log.signer;
+  const sameSigner = !pins.signer || sameAddress(pins.signer, signer);
+
+  // Only the part of the log that is signed and links up is trusted
+  const broken = findBrokenAnchor(log.anchors, signer);
+  const trusted = sameSigner ? (broken === -1 ? log.anchors : log.anchors.slice(0, broken)) : [];
+  const anchorsByDate = new Map(trusted.map(anchor => [anchor.date, anchor]));
+  const lastAnchored = trusted.length > 0 ? trusted[trusted.length - 1].date : '';
+
+  const results = {};
+  const roots = { ...pins.roots };
+  for (const date of dates) {
+    const anchor = anchorsByDate.get(date);
+    const checkIn = { wallet, date, signature: userData.signatures[date] };
+    if (anchor && roots[date] && roots[date] !== anchor.root) {
+      results[date] = { status: 'rewritten', text: 'anchor changed since this browser last checked it' };
+    } else if (anchor && verifyInclusion(checkIn, anchor, proofs[date], signer)) {
+      roots[date] = anchor.root;
+      results[date] = { status: 'anchored', text: `anchored with ${anchor.count} check-in${anchor.count === 1 ? '' : 's'}`, root: anchor.root };
+    } else if (!anchor && date > lastAnchored && broken === -1 && sameSigner) {
+      results[date] = { status: 'pending', text: 'waiting for the day to be anchored' };
+    } else {
+      results[date] = { status: 'missing', text: 'not in the anchor log' };
+    }
+  }
+
+  if (sameSigner) storage.set('anchorPins', { signer, roots });
+  return {
+    results,
+    warning: !sameSigner ? 'The anchor log is signed by a different key than before.'
+      : broken !== -1 ? `The anchor log does not verify from ${log.anchors[broken].date} on.`
+      : ''
+  };
+}
+
+async function renderHistory(list, wallet) {
+  const userData = getUserData(wallet);
+  const dates = userData.dates.filter(date => userData.signatures[date]).reverse().slice(0, HISTORY_DAYS);
+
+  const showMessage = text => {
+    list.innerHTML = '';
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  };
+  if (dates.length === 0) {
+    showMessage('No signed check-ins yet.');
+    return;
+  }
+  showMessage('Checking proofs...');
+
+  let log;
+  let proofs;
+  try {
+    [log, { proofs }] = await Promise.all([
+      apiRequest('/anchors'),
+      apiRequest(`/users/${encodeURIComponent(wallet)}/proofs`)
+    ]);
+  } catch (e) {
+    console.log('Could not load anchor proofs:', e.message);
+    showMessage('Proofs are unavailable offline.');
+    return;
+  }
+  if (!log.signer) {
+    showMessage('This server does not anchor check-ins.');
+    return;
+  }
+
+  const { results, warning } = checkAnchoredDays(wallet, userData, dates, log, proofs);
+  list.innerHTML = '';
+  if (warning) {
+    const item = document.createElement('li');
+    item.className = 'history-missing';
+    item.textContent = warning;
+    list.appendChild(item);
+  }
+  for (const date of dates) {
+    const { status, text, root } = results[date];
+    const item = document.createElement('li');
+    item.className = `history-${status}`;
+    const mark = document.createElement('span');
+    mark.className = 'history-mark';
+    mark.textContent = HISTORY_MARKS[status];
+    const label = document.createElement('span');
+    label.textContent = `${date} · ${text}`;
+    if (root) label.title = `Merkle root ${root}`;
+    item.append(mark, label);
+    list.appendChild(item);
+  }
+}
+
+// Leaderboard - ranks come from the backend's verified check-ins, never
+// from this browser's local storage
+const LEADERBOARD_PAGE_SIZE = 20;
+
+function showLeaderboard() {
+  showScreen('leaderboard');
+  loadLeaderboard(1);
+}
+
+function handleLeaderboardBack() {
+  if (currentWallet) {
+    showDashboard();
+  } else {
+    showScreen('connect');
+  }
+}
+
+async function loadLeaderboard(page) {
+  const { sort } = leaderboardState;
+  leaderboardTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.sort === sort));
+  leaderboardStatus.textContent = 'Loading...';
+
+  const params = new URLSearchParams({ sort, page: String(page), pageSize: String(LEADERBOARD_PAGE_SIZE) });
+  if (currentWallet) params.set('viewer', currentWallet);
+
+  let data;
+  try {
+    data = await apiRequest('/leaderboard?' + params.toString());
+  } catch (e) {
+    console.log('Could not load leaderboard:', e.message);
+    leaderboardList.innerHTML = '';
+    leaderboardViewer.hidden = true;
+    leaderboardStatus.textContent = 'Leaderboard is unavailable offline.';
+    return;
+  }
+
+  // Ignore responses for a tab the user already left
+  if (sort !== leaderboardState.sort) return;
+  leaderboardState = { sort, page: data.page, totalPages: data.totalPages };
+
+  leaderboardList.innerHTML = '';
+  for (const entry of data.entries) {
+    leaderboardList.appendChild(renderLeaderboardRow(entry, sort));
+  }
+
+  if (data.viewer) {
+    leaderboardViewer.innerHTML = '';
+    leaderboardViewer.appendChild(renderLeaderboardRow(data.viewer, sort, true));
+    leaderboardViewer.hidden = false;
+  } else {
+    leaderboardViewer.hidden = true;
+  }
+
+  leaderboardStatus.textContent = data.entries.length === 0 ? 'No check-ins yet.' : '';
+  leaderboardPage.textContent = `${data.page} / ${data.totalPages}`;
+  leaderboardPrevBtn.disabled = data.page <= 1;
+  leaderboardNextBtn.disabled = data.page >= data.totalPages;
+}
+
+function renderLeaderboardRow(entry, sort, isViewer = false) {
+  const labels = { streak: 'day streak', longest: 'longest', total: 'days' };
+
+  const row = document.createElement(isViewer ? 'div' : 'li');
+  row.className = 'leaderboard-row';
+  if (isViewer || (currentWallet && sameAddress(entry.address, currentWallet))) {
+    row.classList.add('is-viewer');
+  }
+
+  const rank = document.createElement('span');
+  rank.className = 'leaderboard-rank';
+  rank.textContent = '#' + entry.rank;
+
+  const link = document.createElement('a');
+  link.className = 'leaderboard-address';
+  link.href = '?user=' + encodeURIComponent(entry.address);
+  link.textContent = isViewer ? 'You · ' + formatAddress(entry.address) : formatAddress(entry.address);
+
+  const value = document.createElement('span');
+  value.className = 'leaderboard-value';
+  value.textContent = `${entry[sort]} ${labels[sort]}`;
+
+  row.append(rank, link, value);
+  return row;
+}
+
+// Team groups - the group streak holds while enough members check in;
+// changes are signed by the wallet and kept by the backend
+function showGroupsScreen({ inviteCode = '' } = {}) {
+  showScreen('group');
+  openGroupId = null;
+  groupTitle.textContent = 'Team Groups';
+  groupDetail.hidden = true;
+  groupHome.hidden = false;
+  groupInviteInput.value = inviteCode;
+  delete groupCalendar.dataset.endMonth;
+  renderThresholdOptions();
+  loadMyGroups();
+}
+
+function handleGroupBack() {
+  if (openGroupId) {
+    showGroupsScreen();
+  } else {
+    showDashboard();
+  }
+}
+
+function renderThresholdOptions() {
+  if (groupThresholdSelect.options.length > 0) return;
+  for (const threshold of GROUP_THRESHOLDS) {
+    const option = document.createElement('option');
+    option.value = String(threshold);
+    option.textContent = threshold === 1 ? 'everyone' : `${Math.round(threshold * 100)}% of members`;
+    groupThresholdSelect.appendChild(option);
+  }
+}
+
+function describeGroupRule(group) {
+  const share = group.threshold === 1 ? 'everyone' : `${Math.round(group.threshold * 100)}%`;
+  return `needs ${group.required} of ${group.members.length} (${share})`;
+}
+
+async function loadMyGroups() {
+  groupListStatus.textContent = 'Loading...';
+  let data;
+  try {
+    data = await apiRequest('/groups?wallet=' + encodeURIComponent(currentWallet));
+  } catch (e) {
+    console.log('Could not load groups:', e.message);
+    groupList.innerHTML = '';
+    groupListStatus.textContent = 'Groups are unavailable offline.';
+    return;
+  }
+
+  groupList.innerHTML = '';
+  for (const group of data.groups) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'group-list-item';
+
+    const name = document.createElement('span');
+    name.className = 'group-list-name';
+    name.textContent = group.name;
+    const meta = document.createElement('span');
+    meta.className = 'group-list-meta';
+    meta.textContent = `${group.checkedInToday}/${group.members.length} in today`;
+    const streak = document.createElement('span');
+    streak.className = 'leaderboard-value';
+    streak.textContent = `${group.streak} day streak`;
+
+    button.append(name, meta, streak);
+    button.addEventListener('click', () => openGroup(group.id));
+    item.appendChild(button);
+    groupList.appendChild(item);
+  }
+  groupListStatus.textContent = data.groups.length === 0 ? 'You are not in any group yet.' : '';
+}
+
+// { wallet, issuedAt, signature } for a group action, signed with the
+// connected wallet
+async function signGroupAction(action, subject) {
+  if (!currentProvider) {
+    setProvider(await getProvider());
+  }
+  const issuedAt = new Date().toISOString();
+  const message = buildGroupActionMessage({ action, wallet: currentWallet, subject, issuedAt });
+  const signature = await currentProvider.request({
+    method: 'personal_sign',
+    params: [toUtf8Hex(message), currentWallet]
+  });
+  return { wallet: currentWallet, issuedAt, signature };
+}
+
+// Invite codes only come back to members who create or join
+function rememberInvite(group) {
+  if (!group.inviteCode) return;
+  storage.set('groupInvites', { ...storage.get('groupInvites'), [group.id]: group.inviteCode });
+}
+
+function forgetInvite(groupId) {
+  const { [groupId]: removed, ...rest } = storage.get('groupInvites') || {};
+  storage.set('groupInvites', rest);
+}
+
+async function submitGroupForm(form, request) {
+  const button = form.querySelector('button[type="submit"]');
+  button.classList.add('loading');
+  button.disabled = true;
+  try {
+    await request();
+  } catch (error) {
+    showError(error, { title: 'Could not update the group', retry: () => submitGroupForm(form, request) });
+  } finally {
+    button.classList.remove('loading');
+    button.disabled = false;
+  }
+}
+
+function handleCreateGroup(event) {
+  event.preventDefault();
+  const name = groupNameInput.value.trim();
+  if (!name) return;
+
+  submitGroupForm(groupCreateForm, async () => {
+    const proof = await signGroupAction('create', name);
+    const group = await apiRequest('/groups', {
+      method: 'POST',
+      body: JSON.stringify({
+        name,
+        threshold: Number(groupThresholdSelect.value),
+        timeZone: getDashboardData().timeZone,
+        ...proof
+      })
+    });
+    groupNameInput.value = '';
+    rememberInvite(group);
+    renderGroup(group);
+  });
+}
+
+function handleJoinGroup(event) {
+  event.preventDefault();
+  const inviteCode = groupInviteInput.value.trim().toUpperCase();
+  if (!inviteCode) return;
+
+  submitGroupForm(groupJoinForm, async () => {
+    const proof = await signGroupAction('join', inviteCode);
+    const group = await apiRequest('/groups/join', {
+      method: 'POST',
+      body: JSON.stringify({ inviteCode, ...proof })
+    });
+    groupInviteInput.value = '';
+    rememberInvite(group);
+    renderGroup(group);
+  });
+}
+
+async function openGroup(id) {
+  groupListStatus.textContent = 'Loading...';
+  try {
+    renderGroup(await apiRequest('/groups/' + encodeURIComponent(id)));
+  } catch (e) {
+    console.log('Could not load group:', e.message);
+    groupListStatus.textContent = 'This group is unavailable right now.';
+  }
+}
+
+function renderGroup(group) {
+  openGroupId = group.id;
+  groupTitle.textContent = group.name;
+  groupHome.hidden = true;
+  groupDetail.hidden = false;
+
+  document.getElementById('group-streak-value').textContent = group.streak;
+  document.getElementById('group-rule').textContent = describeGroupRule(group);
+  document.getElementById('group-today-value').textContent = `${group.checkedInToday}/${group.members.length}`;
+
+  const inviteCode = (storage.get('groupInvites') || {})[group.id];
+  groupInvite.hidden = !inviteCode;
+  if (inviteCode) {
+    groupInviteLink.textContent = `${window.location.origin}/?group=${inviteCode}`;
+  }
+
+  // Roster: who is in today, judged in each member's own zone
+  groupRoster.innerHTML = '';
+  for (const member of group.members) {
+    const row = document.createElement('li');
+    row.className = 'group-member' + (member.checkedInToday ? ' checked' : '');
+    if (sameAddress(member.address, currentWallet)) row.classList.add('is-viewer');
+
+    const status = document.createElement('span');
+    status.className = 'group-member-status';
+    status.textContent = member.checkedInToday ? '✓' : '○';
+    status.title = member.checkedInToday ? 'Checked in today' : 'Not checked in yet today';
+
+    const link = document.createElement('a');
+    link.className = 'leaderboard-address';
+    link.href = '?user=' + encodeURIComponent(member.address);
+    link.textContent = formatAddress(member.address);
+
+    const streak = document.createElement('span');
+    streak.className = 'leaderboard-value';
+    streak.textContent = `${member.streak} day streak`;
+
+    row.append(status, link, streak);
+    groupRoster.appendChild(row);
+  }
+
+  renderCalendar(groupCalendar, { dates: group.days, timeZone: group.timeZone }, date => {
+    const count = group.counts[date];
+    if (!count) return `${date} · before the group started`;
+    const outcome = count.checked >= count.required ? 'group day' : 'missed';
+    return `${date} · ${count.checked}/${count.of} checked in · ${outcome}`;
+  });
+
+  renderChallenges(group);
+  resetChallengeForm(group.today);
+}
+
+function renderChallenges(group) {
+  groupChallenges.innerHTML = '';
+  for (const challenge of group.challenges) {
+    const item = document.createElement('li');
+    item.className = 'group-challenge';
+
+    const title = document.createElement('div');
+    title.className = 'group-challenge-title';
+    const name = document.createElement('span');
+    name.textContent = challenge.title;
+    const status = document.createElement('span');
+    status.className = 'group-challenge-status';
+    status.textContent = challenge.status === 'active'
+      ? `day ${challenge.elapsed} of ${challenge.length}`
+      : challenge.status;
+    title.append(name, status);
+    item.appendChild(title);
+
+    const range = document.createElement('span');
+    range.className = 'group-list-meta';
+    range.textContent = `${challenge.start} → ${challenge.end}`;
+    item.appendChild(range);
+
+    // Each member against the days elapsed so far
+    for (const member of challenge.members) {
+      const row = document.createElement('div');
+      row.className = 'challenge-progress';
+      const who = document.createElement('span');
+      who.textContent = sameAddress(member.address, currentWallet) ? 'You' : formatAddress(member.address);
+      const bar = document.createElement('div');
+      bar.className = 'challenge-progress-bar';
+      const fill = document.createElement('div');
+      fill.className = 'challenge-progress-fill';
+      fill.style.width = `${challenge.elapsed > 0 ? (member.count / challenge.elapsed) * 100 : 0}%`;
+      bar.appendChild(fill);
+      const count = document.createElement('span');
+      count.textContent = `${member.count}/${challenge.elapsed}`;
+      row.append(who, bar, count);
+      item.appendChild(row);
+    }
+
+    groupChallenges.appendChild(item);
+  }
+}
+
+// Suggest next month as a challenge, e.g. "30 days in Nov 2026"
+function resetChallengeForm(today) {
+  const month = shiftMonth(today.slice(0, 7), 1);
+  const end = addDays(`${shiftMonth(month, 1)}-01`, -1);
+  challengeTitleInput.value = '';
+  challengeTitleInput.placeholder = `${dayOfMonth(end)} days in ${formatMonth(month)}`;
+  challengeStartInput.value = `${month}-01`;
+  challengeEndInput.value = end;
+}
+
+function handleAddChallenge(event) {
+  event.preventDefault();
+  const groupId = openGroupId;
+  const title = challengeTitleInput.value.trim() || challengeTitleInput.placeholder;
+  const start = challengeStartInput.value;
+  const end = challengeEndInput.value;
+
+  submitGroupForm(challengeForm, async () => {
+    const proof = await signGroupAction('challenge', `${groupId} ${title} ${start}..${end}`);
+    const group = await apiRequest(`/groups/${groupId}/challenges`, {
+      method: 'POST',
+      body: JSON.stringify({ title, start, end, ...proof })
+    });
+    renderGroup(group);
+  });
+}
+
+async function handleCopyInvite() {
+  const link = groupInviteLink.textContent;
+  try {
+    await navigator.clipboard.writeText(link);
+    groupInviteBtn.textContent = 'Copied!';
+    setTimeout(() => { groupInviteBtn.textContent = 'Copy Invite Link'; }, 2000);
+  } catch (e) {
+    showToast(link, { title: 'Copy this invite link', duration: 0 });
+  }
+}
+
+// Asked in a toast: confirm() is suppressed inside some Farcaster clients
+function handleLeaveGroup() {
+  const groupId = openGroupId;
+  if (!groupId) return;
+  showToast('You can rejoin with an invite link.', {
+    title: 'Leave this group?',
+    action: { label: 'Leave', run: () => leaveGroup(groupId) },
+    duration: 0
+  });
+}
+
+async function leaveGroup(groupId) {
+  try {
+    const proof = await signGroupAction('leave', groupId);
+    await apiRequest(`/groups/${groupId}/leave`, { method: 'POST', body: JSON.stringify(proof) });
+    forgetInvite(groupId);
+    showGroupsScreen();
+  } catch (error) {
+    showError(error, { title: 'Could not leave the group', retry: () => leaveGroup(groupId) });
+  }
+}
+
+// Calendar heatmap - a year of days counted in the user's time zone.
+// describe gives each day's tooltip; groups pass their own.
+function renderCalendar(container, userData, describe = date => describeDay(userData, date)) {
+  const { dates: checkedDates, timeZone } = userData;
+  const frozenDates = userData.freezes ? userData.freezes.used : [];
+  const today = getTodayString(timeZone);
+  const currentMonth = today.slice(0, 7);
+
+  // The shown months stay put across re-renders of the same container
+  let endMonth = container.dataset.endMonth || currentMonth;
+  if (endMonth > currentMonth) endMonth = currentMonth;
+  container.dataset.endMonth = endMonth;
+  const heatmap = buildHeatmap(endMonth, today);
+
+  container.innerHTML = '';
+  container.classList.add('heatmap');
+
+  // Navigation: a year or a month at a time, never past this month
+  const nav = document.createElement('div');
+  nav.className = 'heatmap-nav';
+  const navigate = delta => {
+    container.dataset.endMonth = shiftMonth(endMonth, delta);
+    renderCalendar(container, userData, describe);
+  };
+  const navButton = (label, title, delta) => {
+    const button = document.createElement('button');
+    button.className = 'btn btn-ghost';
+    button.textContent = label;
+    button.title = title;
+    button.disabled = delta > 0 && endMonth === currentMonth;
+    button.addEventListener('click', () => navigate(delta));
+    return button;
+  };
+  const range = document.createElement('span');
+  range.className = 'heatmap-range';
+  range.textContent = `${formatMonth(heatmap.startMonth)} – ${formatMonth(heatmap.endMonth)}`;
+  nav.append(
+    navButton('«', 'Previous year', -12),
+    navButton('‹', 'Previous month', -1),
+    range,
+    navButton('›', 'Next month', 1),
+    navButton('»', 'Next year', 12)
+  );
+  container.appendChild(nav);
+
+  const scroller = document.createElement('div');
+  scroller.className = 'heatmap-scroll';
+  const grid = document.createElement('div');
+  grid.className = 'heatmap-grid';
+
+  // First column: weekday labels under an empty month header
+  const weekdayLabels = ['', '', 'Mon', '', 'Wed', '', 'Fri', ''];
+  for (const label of weekdayLabels) {
+    const cell = document.createElement('span');
+    cell.className = 'heatmap-label';
+    cell.textContent = label;
+    grid.appendChild(cell);
+  }
+
+  const detail = document.createElement('p');
+  detail.className = 'heatmap-detail';
+  detail.textContent = 'Tap a day for details';
+
+  heatmap.weeks.forEach((week, column) => {
+    const header = document.createElement('span');
+    header.className = 'heatmap-label heatmap-month';
+    header.textContent = heatmap.labels[column];
+    grid.appendChild(header);
+
+    for (const date of week) {
+      const dayEl = document.createElement('div');
+      dayEl.className = 'calendar-day';
+      if (!date) {
+        dayEl.classList.add('empty');
+        grid.appendChild(dayEl);
+        continue;
+      }
+
+      if (checkedDates.includes(date)) {
+        dayEl.classList.add('checked');
+      } else if (frozenDates.includes(date)) {
+        dayEl.classList.add('frozen');
+      }
+      if (date === today) dayEl.classList.add('today');
+
+      dayEl.title = describe(date);
+      dayEl.addEventListener('click', () => {
+        detail.textContent = dayEl.title;
+      });
+      grid.appendChild(dayEl);
+    }
+  });
+
+  scroller.appendChild(grid);
+  container.appendChild(scroller);
+  container.appendChild(detail);
+
+  // Most recent weeks first on narrow screens
+  scroller.scrollLeft = scroller.scrollWidth;
+}
+
+// Date plus what backs it: whose signature, of which kind, or onchain
+function describeDay(userData, date) {
+  if (userData.dates.includes(date)) {
+    const parts = [date, 'checked in'];
+    const signer = userData.signers && userData.signers[date];
+    if (signer) parts.push('signed by ' + formatAddress(signer));
+    if (userData.signatures && userData.signatures[date]) {
+      parts.push(isTypedCheckIn(userData.messages[date]) ? 'typed signature verified' : 'signed message verified');
+    } else if (userData.onchainDates && userData.onchainDates.includes(date)) {
+      parts.push('onchain');
+    }
+    return parts.join(' · ');
+  }
+  if (userData.freezes && userData.freezes.used.includes(date)) {
+    return `${date} · streak freeze used`;
+  }
+  return `${date} · no check-in`;
+}
+
+// Streak card
+function showStreakCard() {
+  if (!currentWallet) return;
+
+  const userData = getDashboardData();
+  generateStreakCard(userData);
+  renderShareTemplate();
+  streakCardModal.classList.add('active');
+}
+
+// Cast text template, kept across visits like the card template
+function getShareTemplate() {
+  return storage.get('shareTemplate') || DEFAULT_SHARE_TEMPLATE;
+}
+
+function handleShareTemplateChange(text) {
+  storage.set('shareTemplate', text);
+  renderShareTemplatePicker(text);
+}
+
+function renderShareTemplatePicker(text) {
+  shareTemplatePicker.innerHTML = '';
+  for (const preset of Object.values(SHARE_TEMPLATES)) {
+    const button = document.createElement('button');
+    button.className = 'card-picker-option' + (preset.text === text ? ' active' : '');
+    button.textContent = preset.label;
+    button.addEventListener('click', () => {
+      shareTextInput.value = preset.text;
+      handleShareTemplateChange(preset.text);
+    });
+    shareTemplatePicker.appendChild(button);
+  }
+}
+
+function renderShareTemplate() {
+  const text = getShareTemplate();
+  shareTextInput.value = text;
+  renderShareTemplatePicker(text);
+}
+
+// Theme and size picked in the card modal, kept across visits
+function getCardTemplate() {
+  return resolveCardTemplate(storage.get('cardTemplate') || undefined);
+}
+
+function handleCardTemplateChange(changes) {
+  storage.set('cardTemplate', { ...getCardTemplate(), ...changes });
+  generateStreakCard(getDashboardData());
+}
+
+function renderCardPicker(template) {
+  const renderRow = (container, options, selected, key) => {
+    container.innerHTML = '';
+    for (const [name, option] of Object.entries(options)) {
+      const button = document.createElement('button');
+      button.className = 'card-picker-option' + (name === selected ? ' active' : '');
+      button.textContent = option.label;
+      button.addEventListener('click', () => handleCardTemplateChange({ [key]: name }));
+      container.appendChild(button);
+    }
+  };
+  renderRow(cardThemePicker, CARD_THEMES, template.theme, 'theme');
+  renderRow(cardSizePicker, CARD_SIZES, template.size, 'size');
+}
+
+function generateStreakCard(userData) {
+  const template = getCardTemplate();
+  const { width, height } = CARD_SIZES[template.size];
+  streakCardCanvas.width = width;
+  streakCardCanvas.height = height;
+  renderCardPicker(template);
+
+  const ctx = streakCardCanvas.getContext('2d');
+  drawStreakCard(ctx, {
+    streak: userData.streak,
+    freezes: userData.freezes,
+    wallet: currentWallet,
+    date: getTodayString(userData.timeZone),
+    badges: cardBadgesToggle.checked
+      ? getEarnedBadges(userData.dates, userData.timeZone).map(badge => badge.icon)
+      : [],
+    stats: cardStatsToggle.checked ? computeStats(userData.dates, userData.timeZone) : null
+  }, template);
+}
+
+function downloadStreakCard() {
+  const timeZone = currentWallet ? getDashboardData().timeZone : undefined;
+  const filename = `base-checkin-${getTodayString(timeZone)}-${getCardTemplate().size}.png`;
 
   try {
     // Get PNG data URL
@@ -693,12 +2618,20 @@ function openImageInNewTab() {
     if (newTab) {
       newTab.document.write('<html><head><title>Base Check-In Card</title></head><body style="margin:0;display:flex;justify-content:center;align-items:center;min-height:100vh;background:#000;"><img src="' + dataUrl + '" style="max-width:100%;"/></body></html>');
       newTab.document.close();
-      alert('Image opened in new tab. Right-click and "Save image as..." to download.');
+      showToast('Image opened in a new tab. Right-click it and choose "Save image as..." to download.');
     } else {
-      alert('Please allow popups to save the image.');
+      showToast('Allow pop-ups for this site to save the image.', {
+        kind: 'error',
+        title: 'Pop-up blocked',
+        action: { label: 'Try again', run: openImageInNewTab }
+      });
     }
   } catch (e) {
-    alert('Could not open image. Please use Copy instead.');
+    console.error('Opening image failed:', e);
+    showToast('Could not open the image. Use Copy instead.', {
+      kind: 'error',
+      action: { label: 'Copy', run: handleCopyImage }
+    });
   }
 }
 
@@ -723,20 +2656,48 @@ async function copyImageToClipboard() {
 async function handleCopyImage() {
   const copied = await copyImageToClipboard();
   if (copied) {
-    alert('Image copied to clipboard!');
+    showToast('Image copied to clipboard!', { kind: 'success' });
   } else {
-    alert('Could not copy image. Please use Save Image instead.');
+    showToast('Could not copy the image. Use Save Image instead.', {
+      kind: 'error',
+      action: { label: 'Save Image', run: downloadStreakCard }
+    });
   }
 }
 
+// Share a cast with the card and profile attached. In a Mini App the
+// client's own composer opens through the SDK; elsewhere a compose link.
 async function shareOnFarcaster() {
   try {
-    const userData = getUserData(currentWallet);
-    const text = `Just checked in on Base! 🔵\n\n🔥 ${userData.streak} day streak\n📅 ${userData.total} total days\n\nProof of human, every day.`;
+    const userData = getDashboardData();
+    const text = renderShareText(getShareTemplate(), {
+      streak: userData.streak,
+      total: userData.total,
+      longest: userData.longest,
+      milestones: findMilestones(userData, getTodayString(userData.timeZone))
+    });
 
-    const shareUrl = `https://warpcast.com/~/compose?text=${encodeURIComponent(text)}`;
+    // The card image is rendered by the server, so it needs today's check-in
+    await flushOutbox();
+    const embeds = buildShareEmbeds(window.location.origin, {
+      wallet: currentWallet,
+      lastDate: userData.lastDate,
+      template: getCardTemplate(),
+      badges: cardBadgesToggle.checked,
+      stats: cardStatsToggle.checked
+    });
 
-    // Try Farcaster SDK first, fallback to window.open
+    const sdk = isInFarcasterFrame ? await loadFarcasterSdk() : null;
+    if (sdk && sdk.actions && typeof sdk.actions.composeCast === 'function') {
+      const result = await sdk.actions.composeCast({ text, embeds });
+      // No cast means the composer was closed without posting
+      if (!result || !result.cast) return;
+      closeModal();
+      showToast('Your streak is on Farcaster.', { kind: 'success', title: 'Cast posted' });
+      return;
+    }
+
+    const shareUrl = buildComposeUrl(text, embeds);
     const opened = await callFarcasterOpenUrl(shareUrl);
     if (!opened) {
       window.open(shareUrl, '_blank');
@@ -744,7 +2705,8 @@ async function shareOnFarcaster() {
 
     closeModal();
   } catch (error) {
-    console.error('Share failed');
+    console.error('Share failed:', error);
+    showError(error, { title: 'Could not share', retry: shareOnFarcaster });
   }
 }
 
@@ -759,12 +2721,6 @@ streakCardModal.addEventListener('click', function (e) {
   }
 });
 
-// Utilities
-function formatAddress(address) {
-  if (!address) return '';
-  return `${address.slice(0, 6)}...${address.slice(-4)}`;
-}
-
 // Initialize on load
 document.addEventListener('DOMContentLoaded', init);
 
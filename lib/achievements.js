@@ -0,0 +1,69 @@
+// Achievements: badges earned from the check-in history
+//
+// Each rule looks at the whole verified history and returns the day the
+// badge was unlocked, or null. Badges are derived on every read like the
+// streak itself, so nothing extra needs storing or syncing.
+import { computeStreak, daysBetween, DEFAULT_TIME_ZONE } from './streak.js';
+
+const COMEBACK_MIN_DAYS_AWAY = 7;
+
+function streakRule(days) {
+  return ({ dates, runs }) => dates.find(date => runs[date] >= days) || null;
+}
+
+function daysInMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+}
+
+// Every day of one calendar month checked in; freezes do not count
+function perfectMonth({ dates }) {
+  const counts = {};
+  for (const date of dates) {
+    const month = date.slice(0, 7);
+    counts[month] = (counts[month] || 0) + 1;
+    if (counts[month] === daysInMonth(month)) return date;
+  }
+  return null;
+}
+
+// Back after a week or more without checking in
+function comeback({ dates }) {
+  for (let i = 1; i < dates.length; i++) {
+    if (daysBetween(dates[i - 1], dates[i]) > COMEBACK_MIN_DAYS_AWAY) return dates[i];
+  }
+  return null;
+}
+
+export const ACHIEVEMENTS = [
+  { id: 'streak-7', icon: '🔥', title: 'On Fire', description: '7-day streak', rule: streakRule(7) },
+  { id: 'streak-30', icon: '⚡', title: 'Monthly Habit', description: '30-day streak', rule: streakRule(30) },
+  { id: 'streak-100', icon: '💯', title: 'Centurion', description: '100-day streak', rule: streakRule(100) },
+  { id: 'streak-365', icon: '👑', title: 'Full Orbit', description: '365-day streak', rule: streakRule(365) },
+  { id: 'total-50', icon: '📅', title: 'Regular', description: '50 days checked in', rule: ({ dates }) => dates[49] || null },
+  { id: 'perfect-month', icon: '🌕', title: 'Perfect Month', description: 'Every day of a calendar month', rule: perfectMonth },
+  { id: 'comeback', icon: '🔁', title: 'Comeback', description: 'Back after a week away', rule: comeback }
+];
+
+// Every achievement with unlockedOn set to its unlock day, or null
+export function evaluateAchievements(dates, timeZone = DEFAULT_TIME_ZONE) {
+  const sorted = [...new Set(dates)].sort();
+  const { runs } = computeStreak(sorted, timeZone);
+  return ACHIEVEMENTS.map(({ rule, ...achievement }) => ({
+    ...achievement,
+    unlockedOn: rule({ dates: sorted, runs })
+  }));
+}
+
+// Earned badges, oldest unlock first
+export function getEarnedBadges(dates, timeZone) {
+  return evaluateAchievements(dates, timeZone)
+    .filter(achievement => achievement.unlockedOn)
+    .sort((a, b) => a.unlockedOn.localeCompare(b.unlockedOn));
+}
+
+// Badges in after that were not earned in before
+export function findNewBadges(before, after) {
+  const earned = new Set(before.map(badge => badge.id));
+  return after.filter(badge => !earned.has(badge.id));
+}
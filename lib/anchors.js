@@ -0,0 +1,113 @@
+// Daily anchors: once a day is over, the server commits to that day's
+// verified check-ins with a Merkle root. Roots go into an append-only log
+// where every entry is signed and names the hash of the entry before it,
+// so a client holding its own check-in signatures can check they were
+// recorded, and that days already anchored were not rewritten since.
+import { keccak256 } from './keccak.js';
+import { bytesToHex, hexToBytes, concatBytes, sameAddress, hashMessage, recoverMessageAddress, signDigest } from './eth.js';
+
+// prev of the first entry in the log
+export const GENESIS_HASH = '0x' + '00'.repeat(32);
+
+// Leaves and inner nodes are hashed apart so one can't pass for the other
+const LEAF_PREFIX = new Uint8Array([0]);
+const NODE_PREFIX = new Uint8Array([1]);
+
+// Leaf for one check-in. The signature is hashed so leaves stay small and
+// the tree does not publish more than the check-in API already does.
+export function hashCheckInLeaf({ wallet, date, signature }) {
+  const signatureHash = bytesToHex(keccak256(hexToBytes(signature)));
+  const text = new TextEncoder().encode(`${wallet.toLowerCase()}|${date}|${signatureHash}`);
+  return bytesToHex(keccak256(concatBytes(LEAF_PREFIX, text)));
+}
+
+// Pairs are sorted before hashing, so a proof is just the sibling hashes
+function hashPair(a, b) {
+  const [low, high] = a < b ? [a, b] : [b, a];
+  return bytesToHex(keccak256(concatBytes(NODE_PREFIX, hexToBytes(low), hexToBytes(high))));
+}
+
+// Every layer from the sorted leaves up to the root. A node without a
+// sibling moves up a layer unchanged.
+export function buildMerkleLayers(leaves) {
+  const layers = [[...leaves].sort()];
+  while (layers[layers.length - 1].length > 1) {
+    const below = layers[layers.length - 1];
+    const layer = [];
+    for (let i = 0; i < below.length; i += 2) {
+      layer.push(i + 1 < below.length ? hashPair(below[i], below[i + 1]) : below[i]);
+    }
+    layers.push(layer);
+  }
+  return layers;
+}
+
+export function getMerkleRoot(layers) {
+  return layers[layers.length - 1][0] || GENESIS_HASH;
+}
+
+// Sibling hashes from a leaf up to the root, or null for an unknown leaf
+export function getMerkleProof(layers, leaf) {
+  let index = layers[0].indexOf(leaf);
+  if (index === -1) return null;
+
+  const proof = [];
+  for (const layer of layers.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < layer.length) proof.push(layer[sibling]);
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
+
+export function verifyMerkleProof(leaf, proof, root) {
+  if (!Array.isArray(proof)) return false;
+  try {
+    return proof.reduce((node, sibling) => hashPair(node, sibling), leaf) === root;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Text the anchor key signs for one log entry
+export function buildAnchorMessage({ date, root, count, prev }) {
+  return `Base Check-In anchor | ${date} | ${root} | ${count} | ${prev}`;
+}
+
+// What the next entry's prev must be
+export function hashAnchor(anchor) {
+  return bytesToHex(keccak256(buildAnchorMessage(anchor)));
+}
+
+// { date, root, count, prev, signature }, signed personal_sign style with
+// the server's anchor key
+export function signAnchor({ date, root, count, prev }, privateKey) {
+  const signature = signDigest(hashMessage(buildAnchorMessage({ date, root, count, prev })), privateKey);
+  return { date, root, count, prev, signature };
+}
+
+export function verifyAnchor(anchor, signer) {
+  if (!anchor || typeof anchor.signature !== 'string') return false;
+  return sameAddress(recoverMessageAddress(buildAnchorMessage(anchor), anchor.signature), signer);
+}
+
+// Index of the first entry that is not signed by signer or does not link
+// to the entry before it, or -1 when the whole log holds together
+export function findBrokenAnchor(anchors, signer) {
+  let prev = GENESIS_HASH;
+  for (let i = 0; i < anchors.length; i++) {
+    if (anchors[i].prev !== prev || !verifyAnchor(anchors[i], signer)) return i;
+    prev = hashAnchor(anchors[i]);
+  }
+  return -1;
+}
+
+// Whether a check-in this client holds the signature for is in an anchor
+export function verifyInclusion(checkIn, anchor, proof, signer) {
+  if (!verifyAnchor(anchor, signer) || anchor.date !== checkIn.date) return false;
+  try {
+    return verifyMerkleProof(hashCheckInLeaf(checkIn), proof, anchor.root);
+  } catch (e) {
+    return false;
+  }
+}
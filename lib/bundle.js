@@ -0,0 +1,87 @@
+// Portable check-in proof bundles: every signed check-in for one wallet,
+// so history survives cleared site data or a move to another browser.
+import { isAddress, sameAddress } from './eth.js';
+import { verifyCheckIn } from './checkin.js';
+
+export const BUNDLE_FORMAT = 'base-checkin-proofs';
+export const BUNDLE_VERSION = 1;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Only dates backed by a signature are exported; onchain check-ins live in
+// the contract's logs and need no bundle.
+export function createProofBundle(wallet, userData) {
+  const entries = [];
+  for (const date of userData.dates) {
+    const signature = userData.signatures[date];
+    if (!signature) continue;
+    entries.push({ date, message: userData.messages[date] ?? null, signature });
+  }
+
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    wallet,
+    exportedAt: new Date().toISOString(),
+    entries
+  };
+}
+
+// Throws with a readable message when the file is not a bundle we understand
+export function parseProofBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (e) {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+    throw new Error('File is not a Base Check-In proof bundle');
+  }
+  if (bundle.version !== BUNDLE_VERSION) {
+    throw new Error(`Unsupported bundle version ${bundle.version}`);
+  }
+  if (!isAddress(bundle.wallet)) throw new Error('Bundle has no valid wallet address');
+  if (!Array.isArray(bundle.entries)) throw new Error('Bundle has no entries');
+  return bundle;
+}
+
+// Sort bundle entries into accepted, rejected and duplicate. existingDates
+// are the wallet's already-verified dates.
+export function checkProofBundle(bundle, existingDates = []) {
+  const report = { wallet: bundle.wallet, accepted: [], rejected: [], duplicates: [] };
+  const seen = new Set(existingDates);
+
+  for (const entry of bundle.entries) {
+    const date = entry && entry.date;
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+      report.rejected.push({ date: String(date), reason: 'invalid date' });
+      continue;
+    }
+    if (seen.has(date)) {
+      report.duplicates.push(date);
+      continue;
+    }
+
+    const valid = verifyCheckIn({
+      wallet: bundle.wallet,
+      date,
+      signature: entry.signature,
+      message: entry.message || undefined
+    });
+    if (!valid) {
+      report.rejected.push({ date, reason: 'signature does not match wallet and date' });
+      continue;
+    }
+
+    seen.add(date);
+    report.accepted.push({ date, message: entry.message || undefined, signature: entry.signature });
+  }
+
+  return report;
+}
+
+export function isBundleForWallet(bundle, wallet) {
+  return sameAddress(bundle.wallet, wallet);
+}
@@ -0,0 +1,341 @@
+// Card and artwork drawing, shared by the app (browser canvas), icon.html
+// and the server's OG image route (@napi-rs/canvas), which all expose the
+// same 2D context API.
+//
+// A streak card is a theme drawn at one of CARD_SIZES. Its background
+// pattern is seeded from the wallet and date, so the same card renders
+// the same way every time and everywhere.
+
+export const CARD_SIZES = {
+  frame: { label: '3:2 Frame', width: 600, height: 400 },
+  square: { label: '1:1 Square', width: 1080, height: 1080 },
+  story: { label: '9:16 Story', width: 1080, height: 1920 }
+};
+
+export const CARD_THEMES = {
+  base: {
+    label: 'Base',
+    background: ['#0052FF', '#0040CC'],
+    pattern: 'bubbles',
+    patternColor: 'rgba(255, 255, 255, 0.03)',
+    text: '255, 255, 255'
+  },
+  midnight: {
+    label: 'Midnight',
+    background: ['#12121A', '#0A0A0F'],
+    pattern: 'dots',
+    patternColor: 'rgba(0, 82, 255, 0.35)',
+    text: '255, 255, 255'
+  },
+  sunrise: {
+    label: 'Sunrise',
+    background: ['#FF7A45', '#D6336C'],
+    pattern: 'bubbles',
+    patternColor: 'rgba(255, 255, 255, 0.06)',
+    text: '255, 255, 255'
+  },
+  paper: {
+    label: 'Paper',
+    background: ['#FFFFFF', '#EEF2FA'],
+    pattern: 'dots',
+    patternColor: 'rgba(0, 82, 255, 0.12)',
+    text: '10, 10, 15'
+  }
+};
+
+export const DEFAULT_CARD_TEMPLATE = { theme: 'base', size: 'frame' };
+
+// Unknown theme or size names fall back to the defaults
+export function resolveCardTemplate(template = {}) {
+  return {
+    theme: CARD_THEMES[template.theme] ? template.theme : DEFAULT_CARD_TEMPLATE.theme,
+    size: CARD_SIZES[template.size] ? template.size : DEFAULT_CARD_TEMPLATE.size
+  };
+}
+
+export function formatAddress(address) {
+  if (!address) return '';
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+export function formatFreezes(freezes) {
+  const available = freezes ? freezes.available : 0;
+  return `❄ ${available} freeze${available === 1 ? '' : 's'}`;
+}
+
+// Seeded 0..1 generator: FNV-1a hash of the seed feeding mulberry32
+export function createRandom(seed) {
+  let state = 2166136261;
+  for (let i = 0; i < seed.length; i++) {
+    state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+  }
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function fillBackground(ctx, theme, width, height) {
+  const gradient = ctx.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, theme.background[0]);
+  gradient.addColorStop(1, theme.background[1]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+}
+
+// scale is the card's width in 600px units, so patterns keep their density
+function drawPattern(ctx, theme, width, height, random, scale) {
+  ctx.fillStyle = theme.patternColor;
+  if (theme.pattern === 'dots') {
+    const step = 24 * scale;
+    for (let x = step / 2; x < width; x += step) {
+      for (let y = step / 2; y < height; y += step) {
+        if (random() > 0.35) continue;
+        ctx.beginPath();
+        ctx.arc(x, y, (1.5 + random() * 2) * scale, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+    return;
+  }
+
+  const count = Math.round(20 * (height / width) * 1.5);
+  for (let i = 0; i < count; i++) {
+    ctx.beginPath();
+    ctx.arc(random() * width, random() * height, (random() * 50 + 20) * scale, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Stroked check mark centred on (x, y); size is its width
+export function drawCheckmark(ctx, x, y, size, color = 'white') {
+  ctx.save();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = size * 0.17;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+  ctx.moveTo(x - size * 0.45, y);
+  ctx.lineTo(x - size * 0.15, y + size * 0.3);
+  ctx.lineTo(x + size * 0.45, y - size * 0.35);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function roundRect(ctx, x, y, width, height, radius) {
+  ctx.moveTo(x + radius, y);
+  ctx.lineTo(x + width - radius, y);
+  ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+  ctx.lineTo(x + width, y + height - radius);
+  ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+  ctx.lineTo(x + radius, y + height);
+  ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+  ctx.lineTo(x, y + radius);
+  ctx.quadraticCurveTo(x, y, x + radius, y);
+}
+
+// Baselines in 600px-wide units for each size. Taller sizes spread the
+// same blocks out instead of growing the text further.
+const LAYOUTS = {
+  frame: { title: 60, badges: 108, check: 125, streak: 260, label: 295, meta: 322, stats: 340, wallet: 350, date: 380 },
+  square: { title: 100, badges: 175, check: 245, streak: 390, label: 430, meta: 465, stats: 490, wallet: 520, date: 555 },
+  story: { title: 200, badges: 320, check: 440, streak: 620, label: 665, meta: 710, stats: 750, wallet: 900, date: 945 }
+};
+
+// The frame size has no spare line, so a stats line pushes the footer down
+const STATS_FOOTER_SHIFT = { frame: 12, square: 0, story: 0 };
+
+function formatCardStats(stats) {
+  const parts = [];
+  if (stats.longest) parts.push(`best ${stats.longest.length}`);
+  parts.push(`${Math.round(stats.completion[30] * 100)}% of last 30 days`);
+  return parts.join(' · ');
+}
+
+// card: { streak, total, freezes, wallet, date, badges, stats, seed }.
+// total is optional and shares a line with the freeze count when present.
+// badges is an optional list of badge icons drawn in a row under the
+// title, stats an optional computeStats result summarised in one line.
+// seed defaults to wallet and date. The canvas must already be the
+// template's size.
+export function drawStreakCard(ctx, card, template = DEFAULT_CARD_TEMPLATE) {
+  const { theme: themeName, size } = resolveCardTemplate(template);
+  const theme = CARD_THEMES[themeName];
+  const { width, height } = CARD_SIZES[size];
+  const layout = LAYOUTS[size];
+  const scale = width / 600;
+  const text = alpha => `rgba(${theme.text}, ${alpha})`;
+  const font = (spec, px) => `${spec} ${Math.round(px * scale)}px JetBrains Mono, monospace`;
+  const center = width / 2;
+
+  fillBackground(ctx, theme, width, height);
+  drawPattern(ctx, theme, width, height, createRandom(card.seed || `${card.wallet}|${card.date}`), scale);
+
+  // Title
+  ctx.fillStyle = text(0.9);
+  ctx.font = font('bold', 32);
+  ctx.textAlign = 'center';
+  ctx.fillText('Base Check-In', center, layout.title * scale);
+
+  // Check mark, smaller to make room for a badge row
+  const badges = card.badges || [];
+  if (badges.length > 0) {
+    ctx.fillStyle = text(1);
+    ctx.font = `${Math.round(28 * scale)}px Arial`;
+    ctx.fillText(badges.join(' '), center, layout.badges * scale);
+    drawCheckmark(ctx, center, (layout.check + 25) * scale, 44 * scale, text(1));
+  } else {
+    drawCheckmark(ctx, center, layout.check * scale, 64 * scale, text(1));
+  }
+
+  // Streak
+  ctx.fillStyle = text(1);
+  ctx.font = font('bold', 72);
+  ctx.fillText(`${card.streak}`, center, layout.streak * scale);
+
+  ctx.font = font('', 24);
+  ctx.fillStyle = text(0.8);
+  ctx.fillText('DAY STREAK', center, layout.label * scale);
+
+  // Total days and banked streak freezes
+  const meta = [];
+  if (card.total !== undefined) meta.push(`${card.total} total day${card.total === 1 ? '' : 's'}`);
+  if (card.freezes && card.freezes.available > 0) meta.push(formatFreezes(card.freezes));
+  if (meta.length > 0) {
+    ctx.font = font('', 16);
+    ctx.fillStyle = text(0.7);
+    ctx.fillText(meta.join(' · '), center, layout.meta * scale);
+  }
+
+  // Longest streak and recent completion
+  let footerShift = 0;
+  if (card.stats) {
+    ctx.font = font('', 14);
+    ctx.fillStyle = text(0.7);
+    ctx.fillText(formatCardStats(card.stats), center, layout.stats * scale);
+    footerShift = STATS_FOOTER_SHIFT[size];
+  }
+
+  // Wallet
+  ctx.font = font('', 16);
+  ctx.fillStyle = text(0.6);
+  ctx.fillText(formatAddress(card.wallet), center, (layout.wallet + footerShift) * scale);
+
+  // Date
+  ctx.fillText(card.date || '', center, (layout.date + footerShift) * scale);
+}
+
+// Compact card for embedding on other sites (embed.js): the streak card's
+// blocks side by side in a strip
+export const COMPACT_CARD_SIZE = { width: 360, height: 120 };
+
+// card: { streak, total, wallet }, as for drawStreakCard. The context is
+// drawn in COMPACT_CARD_SIZE units, so callers can scale it for HiDPI.
+export function drawCompactStreakCard(ctx, card, template = DEFAULT_CARD_TEMPLATE) {
+  const theme = CARD_THEMES[resolveCardTemplate(template).theme];
+  const { width, height } = COMPACT_CARD_SIZE;
+  const text = alpha => `rgba(${theme.text}, ${alpha})`;
+  const font = (spec, px) => `${spec} ${px}px JetBrains Mono, monospace`;
+  const left = 100;
+
+  ctx.save();
+  ctx.beginPath();
+  roundRect(ctx, 0, 0, width, height, 16);
+  ctx.clip();
+  fillBackground(ctx, theme, width, height);
+  drawPattern(ctx, theme, width, height, createRandom(card.seed || `${card.wallet}`), 0.6);
+  drawCheckmark(ctx, 52, 60, 44, text(1));
+
+  ctx.textAlign = 'left';
+  ctx.fillStyle = text(0.9);
+  ctx.font = font('bold', 13);
+  ctx.fillText('Base Check-In', left, 30);
+
+  // Streak
+  const streak = `${card.streak}`;
+  ctx.fillStyle = text(1);
+  ctx.font = font('bold', 40);
+  ctx.fillText(streak, left, 74);
+  const streakWidth = ctx.measureText(streak).width;
+  ctx.font = font('', 13);
+  ctx.fillStyle = text(0.8);
+  ctx.fillText('DAY STREAK', left + streakWidth + 10, 74);
+
+  // Wallet and total days
+  const footer = [formatAddress(card.wallet)];
+  if (card.total !== undefined) footer.push(`${card.total} total day${card.total === 1 ? '' : 's'}`);
+  ctx.font = font('', 12);
+  ctx.fillStyle = text(0.6);
+  ctx.fillText(footer.join(' · '), left, 100);
+  ctx.restore();
+}
+
+// Mini App icon: rounded square with a check mark over a week of dots
+export function drawAppIcon(ctx, size = 200) {
+  const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size);
+  gradient.addColorStop(0, '#0066FF');
+  gradient.addColorStop(1, CARD_THEMES.base.background[1]);
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  roundRect(ctx, 0, 0, size, size, size / 5);
+  ctx.fill();
+
+  // Inner highlight
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 3, size / 3, 0, Math.PI * 2);
+  ctx.fill();
+
+  drawCheckmark(ctx, size / 2, size * 0.5, size * 0.45);
+
+  // A week of days, the middle ones checked
+  const dotY = size * 0.825;
+  const spacing = size / 10;
+  const startX = size / 2 - spacing * 3;
+  for (let i = 0; i < 7; i++) {
+    ctx.fillStyle = i >= 2 && i < 6 ? 'white' : 'rgba(255, 255, 255, 0.4)';
+    ctx.beginPath();
+    ctx.arc(startX + i * spacing, dotY, size / 50, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Splash image shown while the Mini App loads
+export function drawSplash(ctx, size = 200) {
+  ctx.fillStyle = CARD_THEMES.base.background[0];
+  ctx.fillRect(0, 0, size, size);
+
+  const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 0.1)');
+  gradient.addColorStop(1, 'rgba(0, 0, 0, 0.1)');
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, size, size);
+
+  drawCheckmark(ctx, size / 2, size * 0.5, size * 0.45);
+}
+
+// Generic social preview of the app, in the streak card's frame style
+export function drawPreview(ctx) {
+  const theme = CARD_THEMES.base;
+  const { width, height } = CARD_SIZES.frame;
+
+  fillBackground(ctx, theme, width, height);
+  drawPattern(ctx, theme, width, height, createRandom('preview'), 1);
+
+  ctx.fillStyle = 'white';
+  ctx.font = 'bold 44px JetBrains Mono, monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText('Base Check-In', width / 2, 100);
+
+  drawCheckmark(ctx, width / 2, 200, 140);
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.font = '24px JetBrains Mono, monospace';
+  ctx.fillText('Daily proof of human', width / 2, 310);
+
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.font = '16px JetBrains Mono, monospace';
+  ctx.fillText('Streaks • Wallet Signatures • No Tokens', width / 2, 360);
+}
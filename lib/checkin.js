@@ -0,0 +1,210 @@
+// Check-in message format and signature verification
+import { computeStreak, isValidTimeZone, DEFAULT_TIME_ZONE } from './streak.js';
+import { isAddress, sameAddress, toChecksumAddress, recoverMessageAddress } from './eth.js';
+import { recoverTypedDataAddress } from './eip712.js';
+import { TYPED_CHECKIN_SINCE } from './config.js';
+
+export const BASE_CHAIN_ID = 8453;
+
+const MESSAGE_PREFIX = 'Base Check-In';
+const DOMAIN_NAME = 'Base Check-In';
+// Version 1 check-ins have no timeZone field and were keyed by UTC day
+const DOMAIN_VERSION = '2';
+
+const DOMAIN_TYPE = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'chainId', type: 'uint256' }
+];
+
+const CHECKIN_TYPES = {
+  '1': {
+    EIP712Domain: DOMAIN_TYPE,
+    CheckIn: [
+      { name: 'wallet', type: 'address' },
+      { name: 'date', type: 'string' },
+      { name: 'nonce', type: 'bytes32' },
+      { name: 'origin', type: 'string' }
+    ]
+  },
+  '2': {
+    EIP712Domain: DOMAIN_TYPE,
+    CheckIn: [
+      { name: 'wallet', type: 'address' },
+      { name: 'date', type: 'string' },
+      { name: 'timeZone', type: 'string' },
+      { name: 'nonce', type: 'bytes32' },
+      { name: 'origin', type: 'string' }
+    ]
+  }
+};
+
+// Legacy free-text message signed with personal_sign
+export function buildCheckInMessage(wallet, date) {
+  return `${MESSAGE_PREFIX} | ${wallet} | ${date}`;
+}
+
+// EIP-712 payload for eth_signTypedData_v4. The origin is part of the
+// signed struct since EIP712Domain has no field for a web origin.
+export function buildCheckInTypedData({ wallet, date, timeZone, nonce, origin }, version = DOMAIN_VERSION) {
+  const message = version === '1'
+    ? { wallet, date, nonce, origin }
+    : { wallet, date, timeZone, nonce, origin };
+  return {
+    types: CHECKIN_TYPES[version],
+    primaryType: 'CheckIn',
+    domain: { name: DOMAIN_NAME, version, chainId: BASE_CHAIN_ID },
+    message
+  };
+}
+
+export function isTypedCheckIn(message) {
+  return !!message && typeof message === 'object';
+}
+
+// Zone a proof was signed for; legacy proofs were all UTC days
+export function getCheckInTimeZone(message) {
+  if (isTypedCheckIn(message) && message.message && isValidTimeZone(message.message.timeZone)) {
+    return message.message.timeZone;
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+// Returns { wallet, date } or null when the text is not a check-in message
+export function parseCheckInMessage(message) {
+  if (typeof message !== 'string') return null;
+  const parts = message.split(' | ');
+  if (parts.length !== 3 || parts[0] !== MESSAGE_PREFIX) return null;
+  if (!isAddress(parts[1]) || !/^\d{4}-\d{2}-\d{2}$/.test(parts[2])) return null;
+  return { wallet: parts[1], date: parts[2] };
+}
+
+// Messages a wallet may have signed for a date. Older records did not keep
+// the signed text, and wallets differ in the address casing they hand back.
+function candidateMessages(wallet, date) {
+  const variants = [wallet, wallet.toLowerCase(), toChecksumAddress(wallet)];
+  return [...new Set(variants)].map(variant => buildCheckInMessage(variant, date));
+}
+
+// Only the app's own types, domain and chain are accepted: anything else
+// would let a signature for some other typed payload pass as a check-in.
+function verifyTypedCheckIn(wallet, date, signature, typedData) {
+  const { domain, message } = typedData;
+  if (!domain || !message) return false;
+  if (domain.name !== DOMAIN_NAME || !CHECKIN_TYPES[domain.version]) return false;
+  if (Number(domain.chainId) !== BASE_CHAIN_ID) return false;
+  if (!sameAddress(message.wallet, wallet) || message.date !== date) return false;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(message.nonce || '') || typeof message.origin !== 'string') {
+    return false;
+  }
+  if (domain.version !== '1' && !isValidTimeZone(message.timeZone)) return false;
+
+  const rebuilt = buildCheckInTypedData(message, domain.version);
+  return sameAddress(recoverTypedDataAddress(rebuilt, signature), wallet);
+}
+
+// Cache results: recovery is ~10ms and getUserData re-checks every date.
+// The server verifies whatever clients post, so the cache is capped and
+// drops the least recently used entry first.
+const VERIFY_CACHE_LIMIT = 5000;
+const verifyCache = new Map();
+
+function cacheVerification(key, valid) {
+  verifyCache.set(key, valid);
+  if (verifyCache.size > VERIFY_CACHE_LIMIT) {
+    verifyCache.delete(verifyCache.keys().next().value);
+  }
+}
+
+// A check-in proof is valid when the signed message names this wallet and
+// date and the signature recovers to the wallet.
+export function verifyCheckIn({ wallet, date, signature, message }) {
+  if (!isAddress(wallet) || typeof signature !== 'string') return false;
+
+  const messageKey = isTypedCheckIn(message) ? JSON.stringify(message) : (message || '');
+  const cacheKey = `${wallet.toLowerCase()}|${date}|${signature}|${messageKey}`;
+  if (verifyCache.has(cacheKey)) {
+    const cached = verifyCache.get(cacheKey);
+    // Map order is insertion order: re-insert to mark it recently used
+    verifyCache.delete(cacheKey);
+    verifyCache.set(cacheKey, cached);
+    return cached;
+  }
+
+  let valid = false;
+  if (isTypedCheckIn(message)) {
+    valid = verifyTypedCheckIn(wallet, date, signature, message);
+  } else if (date >= TYPED_CHECKIN_SINCE) {
+    // Legacy proofs only back days before the cutover (lib/config.js)
+    valid = false;
+  } else if (message) {
+    const parsed = parseCheckInMessage(message);
+    valid = !!parsed && sameAddress(parsed.wallet, wallet) && parsed.date === date &&
+      sameAddress(recoverMessageAddress(message, signature), wallet);
+  } else {
+    valid = candidateMessages(wallet, date).some(candidate =>
+      sameAddress(recoverMessageAddress(candidate, signature), wallet));
+  }
+
+  cacheVerification(cacheKey, valid);
+  return valid;
+}
+
+// Re-check every stored date against its signature. Dates without a valid
+// proof are dropped from the counts and reported in invalidDates. Streaks
+// run in the record's chosen zone, UTC for records that predate zones.
+// onchainDates come from contract event logs and need no signature.
+export function verifyUserData(wallet, stored, { onchainDates = [] } = {}) {
+  const signatures = stored.signatures || {};
+  const messages = stored.messages || {};
+  const dates = [];
+  const invalidDates = [];
+
+  for (const date of stored.dates || []) {
+    const valid = verifyCheckIn({
+      wallet,
+      date,
+      signature: signatures[date],
+      message: messages[date]
+    });
+    if (valid) {
+      dates.push(date);
+    } else {
+      invalidDates.push(date);
+    }
+  }
+
+  if (invalidDates.length > 0) {
+    console.warn('Ignoring check-ins without a valid signature:', invalidDates);
+  }
+
+  for (const date of onchainDates) {
+    if (!dates.includes(date)) dates.push(date);
+  }
+
+  return {
+    ...summarizeUserData({ ...stored, signatures, messages }, dates),
+    invalidDates,
+    onchainDates: [...onchainDates]
+  };
+}
+
+// Streak, longest run, total and freezes for dates already known to be
+// valid, e.g. records the server verified when they were written
+export function summarizeUserData(stored, dates = stored.dates || []) {
+  const timeZone = isValidTimeZone(stored.timeZone) ? stored.timeZone : DEFAULT_TIME_ZONE;
+  const sorted = [...dates].sort();
+  const { streak, longest, freezes } = computeStreak(sorted, timeZone);
+  return {
+    ...stored,
+    dates: sorted,
+    timeZone,
+    total: sorted.length,
+    streak,
+    longest,
+    freezes,
+    lastDate: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    signatures: stored.signatures || {},
+    messages: stored.messages || {}
+  };
+}
@@ -0,0 +1,8 @@
+// Settings the app and the server must agree on. Both import this file,
+// so a deployment changes them here and nowhere else.
+
+// First day that must be backed by an EIP-712 typed check-in. Earlier days
+// may still carry a legacy personal_sign proof, which is not bound to a
+// chain, an app origin or a nonce. Moving this earlier stops new legacy
+// proofs sooner; history already signed before it stays valid.
+export const TYPED_CHECKIN_SINCE = '2026-10-19';
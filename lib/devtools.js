@@ -0,0 +1,237 @@
+// Dev mode (?dev=1): run the app without a wallet extension or Warpcast
+//
+// A deterministic in-page EIP-1193 wallet signs with a local test key and
+// announces itself like an extension (EIP-6963). A stand-in for the Mini
+// App SDK hands the same wallet to the app when Mini App mode is on, and
+// "today" can be moved to replay check-ins across days. URL options:
+//
+//   devAccount=N   test key N, 0 to 9 (default 0)
+//   devMiniApp=1   act as a Mini App; 'hang' never answers isInMiniApp,
+//                  so detection falls back to the iframe check
+//   devProvider=hang  getEthereumProvider never answers (hits the timeout)
+//   devFid=N       FID of the Mini App user (default 1)
+//   devDay=N       shift today by N days
+//   checkinContract=0x..., checkinChain=N, checkinFromBlock=N
+//                  onchain mode against a CheckIn contract on a local chain
+//
+// Dev mode only turns on for pages served from localhost, since anyone can
+// derive the test keys. The server refuses check-ins from the dev wallets
+// unless ALLOW_DEV_WALLETS is set, and it only takes today by its own
+// clock, so check-ins on shifted days stay local either way.
+import { BASE_CHAIN_ID } from './checkin.js';
+import { bytesToHex, hexToBytes, sameAddress, hashMessage, privateKeyToAddress, signDigest } from './eth.js';
+import { signTypedData } from './eip712.js';
+import { keccak256 } from './keccak.js';
+import { buildSiweMessage } from './siwe.js';
+import { setDayOffset } from './streak.js';
+
+export const DEV_WALLET_RDNS = 'dev.basecheckin.wallet';
+
+// Farcaster signs in on Optimism
+const FARCASTER_CHAIN_ID = 10;
+const DEV_WALLET_ICON = 'data:image/svg+xml,' + encodeURIComponent(
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32"><rect width="32" height="32" rx="8" fill="#0052FF"/>' +
+  '<text x="16" y="21" font-size="12" font-family="monospace" fill="#fff" text-anchor="middle">DEV</text></svg>'
+);
+
+// Requests a real wallet would ask the user about
+const PROMPTED_METHODS = new Set(['eth_requestAccounts', 'personal_sign', 'eth_signTypedData_v4']);
+
+export const DEV_ACCOUNT_COUNT = 10;
+
+// Test keys are public by construction: never hold funds with them
+export function getDevPrivateKey(index = 0) {
+  return bytesToHex(keccak256(`base-checkin dev wallet ${index}`));
+}
+
+let devAddresses = null;
+
+// Whether the address belongs to one of the test keys
+export function isDevAddress(address) {
+  if (!devAddresses) {
+    devAddresses = new Set(Array.from({ length: DEV_ACCOUNT_COUNT },
+      (_, index) => privateKeyToAddress(getDevPrivateKey(index)).toLowerCase()));
+  }
+  return typeof address === 'string' && devAddresses.has(address.toLowerCase());
+}
+
+// localhost, loopback addresses and *.localhost names
+export function isDevHost(hostname) {
+  return hostname === 'localhost' || hostname.endsWith('.localhost') ||
+    hostname === '[::1]' || /^127(\.\d{1,3}){3}$/.test(hostname);
+}
+
+function providerError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// EIP-1193 provider for one test key. Besides request/on/removeListener
+// it has controls for the console: rejectNextRequest, setChain, disconnect.
+export function createMockProvider({ privateKey, chainId = BASE_CHAIN_ID } = {}) {
+  const address = privateKeyToAddress(privateKey).toLowerCase();
+  const listeners = {};
+  let connected = false;
+  let currentChainId = chainId;
+  let rejectNext = false;
+
+  const emit = (event, value) => (listeners[event] || []).forEach(listener => listener(value));
+  const chainHex = () => '0x' + currentChainId.toString(16);
+  const requireAccount = account => {
+    if (!connected || !sameAddress(account, address)) throw providerError(4100, 'Unknown account');
+  };
+
+  const handlers = {
+    eth_requestAccounts() {
+      connected = true;
+      return [address];
+    },
+    eth_accounts: () => connected ? [address] : [],
+    eth_chainId: () => chainHex(),
+    personal_sign([data, account]) {
+      requireAccount(account);
+      const message = /^0x[0-9a-f]*$/i.test(data) ? hexToBytes(data) : data;
+      return signDigest(hashMessage(message), privateKey);
+    },
+    eth_signTypedData_v4([account, typedData]) {
+      requireAccount(account);
+      return signTypedData(typeof typedData === 'string' ? JSON.parse(typedData) : typedData, privateKey);
+    },
+    wallet_switchEthereumChain([{ chainId: target }]) {
+      provider.setChain(parseInt(target, 16));
+      return null;
+    },
+    wallet_addEthereumChain: () => null
+  };
+
+  const provider = {
+    isDevWallet: true,
+    address,
+
+    async request({ method, params = [] }) {
+      console.log('[dev wallet]', method, params);
+      const handler = handlers[method];
+      if (!handler) throw providerError(4200, `The dev wallet does not support ${method}`);
+      if (rejectNext && PROMPTED_METHODS.has(method)) {
+        rejectNext = false;
+        throw providerError(4001, 'User rejected the request.');
+      }
+      return handler(params);
+    },
+
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+    },
+
+    removeListener(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(existing => existing !== listener);
+    },
+
+    rejectNextRequest() {
+      rejectNext = true;
+    },
+
+    setChain(id) {
+      if (id === currentChainId) return;
+      currentChainId = id;
+      emit('chainChanged', chainHex());
+    },
+
+    disconnect() {
+      connected = false;
+      emit('accountsChanged', []);
+    }
+  };
+  return provider;
+}
+
+// Announce the provider the way wallet extensions do (EIP-6963)
+export function announceDevWallet(provider, target = window) {
+  const detail = Object.freeze({
+    info: Object.freeze({ uuid: DEV_WALLET_RDNS, name: 'Dev Wallet', icon: DEV_WALLET_ICON, rdns: DEV_WALLET_RDNS }),
+    provider
+  });
+  const announce = () => target.dispatchEvent(new CustomEvent('eip6963:announceProvider', { detail }));
+  target.addEventListener('eip6963:requestProvider', announce);
+  announce();
+}
+
+// Stand-in for the Mini App SDK's sdk object, with what the app calls.
+// inMiniApp and hangProvider are described at the top of this file.
+export function createSdkStub({
+  provider, privateKey, fid = 1, inMiniApp = false, hangProvider = false,
+  openUrl = url => window.open(url, '_blank')
+}) {
+  const never = new Promise(() => {});
+  const user = {
+    fid,
+    username: `dev${fid}`,
+    displayName: 'Dev User',
+    verifiedAddresses: [provider.address]
+  };
+
+  return {
+    isInMiniApp: () => inMiniApp === 'hang' ? never : Promise.resolve(inMiniApp),
+    context: Promise.resolve({ user, client: { clientFid: 0, added: false } }),
+    wallet: {
+      getEthereumProvider: () => hangProvider ? never : Promise.resolve(provider)
+    },
+    actions: {
+      ready: async () => {},
+      openUrl: async url => {
+        console.log('[dev sdk] openUrl', url);
+        openUrl(url);
+      },
+      // Logs the cast and reports it posted
+      composeCast: async ({ text = '', embeds = [] } = {}) => {
+        console.log('[dev sdk] composeCast', { text, embeds });
+        return { cast: { hash: bytesToHex(keccak256(text + embeds.join(' '))).slice(0, 42), channelKey: null } };
+      },
+      // Sign In with Farcaster, signed by the dev key as the custody address
+      signIn: async ({ nonce }) => {
+        const message = buildSiweMessage({
+          domain: window.location.host,
+          address: provider.address,
+          statement: 'Farcaster Auth',
+          uri: window.location.origin,
+          chainId: FARCASTER_CHAIN_ID,
+          nonce,
+          issuedAt: Date.now(),
+          resources: [`farcaster://fid/${fid}`]
+        });
+        return { message, signature: signDigest(hashMessage(message), privateKey), authMethod: 'custody' };
+      }
+    }
+  };
+}
+
+// Everything dev mode needs, configured from the page's URL parameters
+export function createDevTools(params) {
+  const account = Number(params.get('devAccount'));
+  const index = Number.isInteger(account) && account >= 0 && account < DEV_ACCOUNT_COUNT ? account : 0;
+  const privateKey = getDevPrivateKey(index);
+  const provider = createMockProvider({ privateKey });
+  const miniApp = params.get('devMiniApp');
+  const sdk = createSdkStub({
+    provider,
+    privateKey,
+    fid: Number(params.get('devFid')) || 1,
+    inMiniApp: miniApp === 'hang' ? 'hang' : miniApp === '1',
+    hangProvider: params.get('devProvider') === 'hang'
+  });
+
+  let dayOffset = 0;
+  const setDay = days => {
+    dayOffset = Number(days) || 0;
+    setDayOffset(dayOffset);
+  };
+  setDay(params.get('devDay'));
+
+  return {
+    provider,
+    sdk,
+    setDay,
+    getDay: () => dayOffset,
+    // One day later, to walk a streak forward
+    nextDay: () => setDay(dayOffset + 1)
+  };
+}
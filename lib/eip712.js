@@ -0,0 +1,76 @@
+// EIP-712 typed data hashing
+import { keccak256 } from './keccak.js';
+import { hexToBytes, bigIntToBytes, concatBytes, recoverAddress, signDigest } from './eth.js';
+
+function encodeType(primaryType, types) {
+  const deps = new Set();
+  (function collect(type) {
+    if (deps.has(type) || !types[type]) return;
+    deps.add(type);
+    for (const field of types[type]) collect(field.type);
+  })(primaryType);
+  deps.delete(primaryType);
+
+  return [primaryType, ...[...deps].sort()]
+    .map(type => `${type}(${types[type].map(f => `${f.type} ${f.name}`).join(',')})`)
+    .join('');
+}
+
+function typeHash(primaryType, types) {
+  return keccak256(encodeType(primaryType, types));
+}
+
+function encodeValue(type, value, types) {
+  if (types[type]) return hashStruct(type, value, types);
+
+  if (type === 'string') return keccak256(String(value));
+  if (type === 'bytes') return keccak256(hexToBytes(value));
+  if (type === 'bool') return bigIntToBytes(value ? 1n : 0n);
+  if (type === 'address') return bigIntToBytes(BigInt(value));
+
+  const uint = /^u?int(\d*)$/.exec(type);
+  if (uint) {
+    let n = BigInt(value);
+    if (n < 0n) n = (1n << 256n) + n;
+    return bigIntToBytes(n);
+  }
+
+  const fixed = /^bytes(\d+)$/.exec(type);
+  if (fixed) {
+    const out = new Uint8Array(32);
+    out.set(hexToBytes(value).subarray(0, Number(fixed[1])));
+    return out;
+  }
+
+  throw new Error(`Unsupported EIP-712 type: ${type}`);
+}
+
+export function hashStruct(primaryType, data, types) {
+  const encoded = [typeHash(primaryType, types)];
+  for (const field of types[primaryType]) {
+    encoded.push(encodeValue(field.type, data[field.name], types));
+  }
+  return keccak256(concatBytes(...encoded));
+}
+
+// Digest signed by eth_signTypedData_v4
+export function hashTypedData({ domain, types, primaryType, message }) {
+  return keccak256(concatBytes(
+    new Uint8Array([0x19, 0x01]),
+    hashStruct('EIP712Domain', domain, types),
+    hashStruct(primaryType, message, types)
+  ));
+}
+
+export function recoverTypedDataAddress(typedData, signature) {
+  try {
+    return recoverAddress(hashTypedData(typedData), signature);
+  } catch (e) {
+    return null;
+  }
+}
+
+// For local test keys only, see signDigest
+export function signTypedData(typedData, privateKey) {
+  return signDigest(hashTypedData(typedData), privateKey);
+}
@@ -0,0 +1,134 @@
+// Errors shown to the user, sorted into categories so each one gets a
+// clear message and the right way to recover. Wallet errors carry
+// EIP-1193 / EIP-1474 codes; SDK and network failures are told apart by
+// their names and messages.
+
+export class AppError extends Error {
+  constructor(category, message = ERROR_CATEGORIES[category].message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'AppError';
+    this.category = category;
+  }
+}
+
+// action: what the toast offers. 'retry' repeats what failed, 'reconnect'
+// connects the wallet again, null offers nothing.
+export const ERROR_CATEGORIES = {
+  rejected: {
+    title: 'Request declined',
+    message: 'You declined the request in your wallet.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  pending: {
+    title: 'Wallet is busy',
+    message: 'Your wallet already has a request open. Finish or dismiss it, then try again.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  unauthorized: {
+    title: 'Wallet not connected',
+    message: 'Your wallet has not given this app access. Reconnect to continue.',
+    action: 'reconnect',
+    label: 'Reconnect'
+  },
+  unsupported: {
+    title: 'Not supported',
+    message: 'Your wallet does not support this request. Try another wallet.',
+    action: null
+  },
+  disconnected: {
+    title: 'Wallet disconnected',
+    message: 'Your wallet lost its connection. Reconnect to continue.',
+    action: 'reconnect',
+    label: 'Reconnect'
+  },
+  'wrong-chain': {
+    title: 'Wrong network',
+    message: 'Switch your wallet to the Base network and try again.',
+    action: 'retry',
+    label: 'Switch to Base'
+  },
+  'wrong-account': {
+    title: 'Wrong account',
+    message: 'Your wallet is signing with a different account.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  'no-wallet': {
+    title: 'No wallet found',
+    message: 'No wallet found. Install a browser wallet extension to continue.',
+    action: null
+  },
+  timeout: {
+    title: 'No response',
+    message: 'No response came back in time. Try again in a moment.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  network: {
+    title: 'Offline',
+    message: 'Could not reach the network. Check your connection.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  server: {
+    title: 'Server error',
+    message: 'The server could not handle the request right now.',
+    action: 'retry',
+    label: 'Try again'
+  },
+  unknown: {
+    title: 'Something went wrong',
+    message: 'Something went wrong.',
+    action: 'retry',
+    label: 'Try again'
+  }
+};
+
+const PROVIDER_CODES = {
+  4001: 'rejected',
+  4100: 'unauthorized',
+  4200: 'unsupported',
+  4900: 'disconnected',
+  4901: 'wrong-chain',
+  4902: 'wrong-chain',
+  [-32002]: 'pending'
+};
+
+// Wallets and the SDK nest the original error in different places
+function findProviderCode(error) {
+  for (let current = error, depth = 0; current && depth < 5; depth++) {
+    if (PROVIDER_CODES[current.code]) return current.code;
+    current = current.cause || (current.data && current.data.originalError) || current.error;
+  }
+  return null;
+}
+
+function categorize(error) {
+  const code = findProviderCode(error);
+  if (code !== null) return PROVIDER_CODES[code];
+  if (!error) return 'unknown';
+
+  const name = typeof error.name === 'string' ? error.name : '';
+  const message = typeof error.message === 'string' ? error.message : '';
+  // Farcaster SDK actions reject with names like 'SignIn.RejectedByUser'
+  if (name.endsWith('RejectedByUser')) return 'rejected';
+  if (name === 'AbortError' || name === 'TimeoutError') return 'timeout';
+  if (typeof error.status === 'number') return error.status >= 500 ? 'server' : 'unknown';
+  if (name === 'TypeError' && /fetch|network|load failed/i.test(message)) return 'network';
+  if (/user (rejected|denied|cancell?ed)|rejected by user/i.test(message)) return 'rejected';
+  if (/not supported|unsupported method/i.test(message)) return 'unsupported';
+  return 'unknown';
+}
+
+// Any thrown value as an AppError. Known categories get their own clear
+// message; anything else keeps the original message, which for the app's
+// own errors and API responses already says what went wrong.
+export function toAppError(error) {
+  if (error instanceof AppError) return error;
+  const category = categorize(error);
+  const original = error && typeof error.message === 'string' ? error.message : '';
+  const message = category === 'unknown' && original ? original : ERROR_CATEGORIES[category].message;
+  return new AppError(category, message, { cause: error });
+}
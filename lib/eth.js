@@ -0,0 +1,128 @@
+// Ethereum helpers: hex encoding, EIP-55 addresses, EIP-191 recovery
+import { keccak256 } from './keccak.js';
+import { recoverPublicKey, sign, getPublicKey, CURVE_ORDER } from './secp256k1.js';
+
+export function bytesToHex(bytes) {
+  let result = '0x';
+  for (let i = 0; i < bytes.length; i++) {
+    result += bytes[i].toString(16).padStart(2, '0');
+  }
+  return result;
+}
+
+export function hexToBytes(hex) {
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new Error('Invalid hex string');
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+  }
+  return bytes;
+}
+
+export function bytesToBigInt(bytes) {
+  let result = 0n;
+  for (let i = 0; i < bytes.length; i++) {
+    result = (result << 8n) | BigInt(bytes[i]);
+  }
+  return result;
+}
+
+export function bigIntToBytes(value, length = 32) {
+  const bytes = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+export function concatBytes(...parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+export function isAddress(address) {
+  return typeof address === 'string' && /^0x[0-9a-fA-F]{40}$/.test(address);
+}
+
+export function sameAddress(a, b) {
+  return isAddress(a) && isAddress(b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// EIP-55 mixed-case checksum
+export function toChecksumAddress(address) {
+  const lower = address.toLowerCase().replace(/^0x/, '');
+  const hash = bytesToHex(keccak256(lower)).slice(2);
+  let result = '0x';
+  for (let i = 0; i < lower.length; i++) {
+    result += parseInt(hash[i], 16) >= 8 ? lower[i].toUpperCase() : lower[i];
+  }
+  return result;
+}
+
+// EIP-191 version 0x45 ("personal_sign") digest
+export function hashMessage(message) {
+  const messageBytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+  const prefix = new TextEncoder().encode(`\x19Ethereum Signed Message:\n${messageBytes.length}`);
+  return keccak256(concatBytes(prefix, messageBytes));
+}
+
+// Split a 65-byte r || s || v signature
+export function parseSignature(signature) {
+  if (typeof signature !== 'string') return null;
+  let bytes;
+  try {
+    bytes = hexToBytes(signature);
+  } catch (e) {
+    return null;
+  }
+  if (bytes.length !== 65) return null;
+
+  const r = bytesToBigInt(bytes.subarray(0, 32));
+  const s = bytesToBigInt(bytes.subarray(32, 64));
+  let v = bytes[64];
+  if (v >= 27) v -= 27;
+
+  // Reject malleable high-s signatures (EIP-2)
+  if (s > CURVE_ORDER / 2n) return null;
+  return { r, s, v };
+}
+
+export function publicKeyToAddress(point) {
+  const raw = concatBytes(bigIntToBytes(point.x), bigIntToBytes(point.y));
+  return toChecksumAddress(bytesToHex(keccak256(raw).subarray(12)));
+}
+
+// Recover the signer address of a 32-byte digest, or null
+export function recoverAddress(digest, signature) {
+  const parsed = parseSignature(signature);
+  if (!parsed) return null;
+  const point = recoverPublicKey(bytesToBigInt(digest), parsed.r, parsed.s, parsed.v);
+  return point ? publicKeyToAddress(point) : null;
+}
+
+export function recoverMessageAddress(message, signature) {
+  return recoverAddress(hashMessage(message), signature);
+}
+
+export function privateKeyToAddress(privateKey) {
+  return publicKeyToAddress(getPublicKey(bytesToBigInt(hexToBytes(privateKey))));
+}
+
+// 65-byte r || s || v signature over a digest, for local test keys only
+export function signDigest(digest, privateKey) {
+  const keyBytes = hexToBytes(privateKey);
+  const deriveNonce = counter =>
+    bytesToBigInt(keccak256(concatBytes(keyBytes, digest, new Uint8Array([counter & 0xff]))));
+  const { r, s, recovery } = sign(bytesToBigInt(digest), bytesToBigInt(keyBytes), deriveNonce);
+  return bytesToHex(concatBytes(bigIntToBytes(r), bigIntToBytes(s), new Uint8Array([27 + recovery])));
+}
@@ -0,0 +1,130 @@
+// Team groups: a shared streak that holds while enough members check in,
+// and time-boxed challenges. Shared by the server, which stores groups,
+// and the app, which signs group actions and renders the results.
+import { isAddress, sameAddress, recoverMessageAddress, hashMessage, bytesToHex } from './eth.js';
+import { computeStreak, getTodayString, addDays, daysBetween, DEFAULT_TIME_ZONE } from './streak.js';
+
+export const GROUP_THRESHOLDS = [0.5, 0.75, 1];
+export const MAX_GROUP_MEMBERS = 50;
+export const MAX_GROUP_NAME_LENGTH = 40;
+export const MAX_CHALLENGE_TITLE_LENGTH = 60;
+export const MAX_CHALLENGE_DAYS = 366;
+
+// Signed group actions are accepted for this long after issuedAt
+export const ACTION_MAX_AGE_MS = 10 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Groups keep going on shared days only; no freezes
+const NO_FREEZES = { earnEvery: Infinity, cap: 0 };
+
+// Text a member signs with personal_sign to create, join or leave a group
+// or add a challenge. subject names what the action is about: the group
+// name, invite code, group id or challenge.
+export function buildGroupActionMessage({ action, wallet, subject, issuedAt }) {
+  return `Base Check-In | ${action} group | ${subject} | ${wallet.toLowerCase()} | ${issuedAt}`;
+}
+
+export function verifyGroupAction({ action, wallet, subject, issuedAt, signature }, now = Date.now()) {
+  if (!isAddress(wallet) || typeof signature !== 'string' || typeof issuedAt !== 'string') return false;
+  const time = Date.parse(issuedAt);
+  if (Number.isNaN(time) || Math.abs(now - time) > ACTION_MAX_AGE_MS) return false;
+
+  const message = buildGroupActionMessage({ action, wallet, subject, issuedAt });
+  return sameAddress(recoverMessageAddress(message, signature), wallet);
+}
+
+// Identifies a signed action so the server takes it once. Keyed by the
+// message rather than the signature, which has a second valid form.
+export function getGroupActionId({ action, wallet, subject, issuedAt }) {
+  return bytesToHex(hashMessage(buildGroupActionMessage({ action, wallet, subject, issuedAt })));
+}
+
+export function isValidThreshold(threshold) {
+  return typeof threshold === 'number' && threshold > 0 && threshold <= 1;
+}
+
+// Members needed on a day, out of those who had joined by then
+export function requiredMembers(threshold, memberCount) {
+  return Math.max(1, Math.ceil(threshold * memberCount - 1e-9));
+}
+
+// Returns an error message, or null for a valid challenge
+export function validateChallenge({ title, start, end }) {
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_CHALLENGE_TITLE_LENGTH) {
+    return `title must be 1-${MAX_CHALLENGE_TITLE_LENGTH} characters`;
+  }
+  if (!DATE_PATTERN.test(start || '') || !DATE_PATTERN.test(end || '')) {
+    return 'start and end must be YYYY-MM-DD';
+  }
+  if (end < start) return 'end must not be before start';
+  if (daysBetween(start, end) + 1 > MAX_CHALLENGE_DAYS) {
+    return `a challenge can last at most ${MAX_CHALLENGE_DAYS} days`;
+  }
+  return null;
+}
+
+// members: [{ address, joinedOn, dates }]. For each day from the first
+// join to today: how many members had joined and how many checked in.
+// A day qualifies when the checked-in share reaches the threshold.
+export function countGroupDays(members, threshold, today) {
+  const counts = {};
+  const days = [];
+  if (members.length === 0) return { counts, days };
+
+  const dateSets = members.map(member => new Set(member.dates));
+  const first = members.reduce((min, member) => member.joinedOn < min ? member.joinedOn : min, today);
+  for (let date = first; date <= today; date = addDays(date, 1)) {
+    let of = 0;
+    let checked = 0;
+    members.forEach((member, index) => {
+      if (member.joinedOn > date) return;
+      of++;
+      if (dateSets[index].has(date)) checked++;
+    });
+    if (of === 0) continue;
+
+    const required = requiredMembers(threshold, of);
+    counts[date] = { checked, of, required };
+    if (checked >= required) days.push(date);
+  }
+  return { counts, days };
+}
+
+// { streak, longest, days, counts, required } for the group. timeZone
+// decides what "today" is for the group as a whole.
+export function computeGroupStreak(members, threshold, timeZone = DEFAULT_TIME_ZONE, today = getTodayString(timeZone)) {
+  const { counts, days } = countGroupDays(members, threshold, today);
+  const { streak, longest } = computeStreak(days, timeZone, NO_FREEZES);
+  return {
+    streak,
+    longest,
+    days,
+    counts,
+    required: requiredMembers(threshold, members.length)
+  };
+}
+
+// Per-member check-ins within the challenge days elapsed so far.
+// status is 'upcoming', 'active' or 'ended'.
+export function computeChallengeProgress(challenge, members, today) {
+  const length = daysBetween(challenge.start, challenge.end) + 1;
+  let status = 'active';
+  if (today < challenge.start) status = 'upcoming';
+  else if (today > challenge.end) status = 'ended';
+
+  const last = status === 'ended' ? challenge.end : today;
+  const elapsed = status === 'upcoming' ? 0 : daysBetween(challenge.start, last) + 1;
+
+  return {
+    ...challenge,
+    status,
+    length,
+    elapsed,
+    members: members
+      .map(member => ({
+        address: member.address,
+        count: member.dates.filter(date => date >= challenge.start && date <= last).length
+      }))
+      .sort((a, b) => b.count - a.count || (a.address < b.address ? -1 : 1))
+  };
+}
@@ -0,0 +1,57 @@
+// Layout for the year heatmap: weeks as columns, weekdays as rows
+// (Sunday first), like a GitHub contribution graph. Works on zone-free
+// day strings, so it is the same in every time zone.
+import { addDays } from './streak.js';
+
+export const HEATMAP_MONTHS = 12;
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// 'YYYY-MM' shifted by a number of months
+export function shiftMonth(month, delta) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const index = year * 12 + (monthNumber - 1) + delta;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+}
+
+export function formatMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return `${MONTH_NAMES[monthNumber - 1]} ${year}`;
+}
+
+function lastDayOfMonth(month) {
+  return addDays(`${shiftMonth(month, 1)}-01`, -1);
+}
+
+function weekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// The months ending with endMonth. Days after today are left out.
+export function buildHeatmap(endMonth, today, months = HEATMAP_MONTHS) {
+  const startMonth = shiftMonth(endMonth, -(months - 1));
+  const start = `${startMonth}-01`;
+  const lastDay = lastDayOfMonth(endMonth);
+  const end = lastDay < today ? lastDay : today;
+
+  // Pad to whole weeks; padding days are null
+  const weeks = [];
+  let week = new Array(weekday(start)).fill(null);
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    week.push(date);
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
+    }
+  }
+  if (week.length > 0) weeks.push([...week, ...new Array(7 - week.length).fill(null)]);
+
+  // A month is labelled on the week its first day falls in
+  const labels = weeks.map(days => {
+    const first = days.find(date => date && date.endsWith('-01'));
+    return first ? MONTH_NAMES[Number(first.slice(5, 7)) - 1] : '';
+  });
+
+  return { startMonth, endMonth, start, end, weeks, labels };
+}
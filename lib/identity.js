@@ -0,0 +1,64 @@
+// Farcaster identities: several wallets checking in as one person (FID)
+import { isAddress } from './eth.js';
+import { summarizeUserData } from './checkin.js';
+
+// { fid, wallets, removed } with lowercased, de-duplicated addresses.
+// removed remembers wallets the user unlinked so a Farcaster context
+// listing them again does not bring them back.
+export function normalizeIdentity(identity) {
+  if (!identity) return null;
+  const fid = Number(identity.fid);
+  if (!Number.isInteger(fid) || fid <= 0) return null;
+
+  const clean = list => [...new Set((list || []).filter(isAddress).map(a => a.toLowerCase()))];
+  return { fid, wallets: clean(identity.wallets), removed: clean(identity.removed) };
+}
+
+// Addresses a Mini App context vouches for. Older SDKs give
+// verifiedAddresses as an array, newer ones as { ethAddresses }.
+export function getContextAddresses(user) {
+  if (!user) return [];
+  const verified = Array.isArray(user.verifiedAddresses)
+    ? user.verifiedAddresses
+    : (user.verifiedAddresses && user.verifiedAddresses.ethAddresses) || [];
+  return [user.connectedAddress, user.custodyAddress, ...verified].filter(isAddress);
+}
+
+export function linkWallets(identity, wallets) {
+  const added = wallets.filter(isAddress).map(a => a.toLowerCase());
+  return normalizeIdentity({
+    ...identity,
+    wallets: [...identity.wallets, ...added],
+    removed: identity.removed.filter(a => !added.includes(a))
+  });
+}
+
+export function unlinkWallet(identity, wallet) {
+  const key = wallet.toLowerCase();
+  return normalizeIdentity({
+    ...identity,
+    wallets: identity.wallets.filter(a => a !== key),
+    removed: [...identity.removed, key]
+  });
+}
+
+// Combine each linked wallet's verified data into one history. The first
+// entry wins when two wallets signed the same day; signers records which
+// wallet's proof backs each date.
+export function mergeLinkedUserData(entries, { timeZone } = {}) {
+  const signers = {};
+  const invalidDates = [];
+  for (const { wallet, userData } of entries) {
+    for (const date of userData.dates) {
+      if (!signers[date]) signers[date] = wallet;
+    }
+    invalidDates.push(...(userData.invalidDates || []));
+  }
+
+  return {
+    ...summarizeUserData({ timeZone }, Object.keys(signers)),
+    wallets: entries.map(entry => entry.wallet),
+    signers,
+    invalidDates
+  };
+}
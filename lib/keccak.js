@@ -0,0 +1,101 @@
+// Keccak-256 (the pre-standard SHA-3 variant used by Ethereum)
+// Plain BigInt lanes: slow-ish, but messages here are tiny.
+
+const MASK_64 = (1n << 64n) - 1n;
+const RATE_BYTES = 136;
+
+const ROUND_CONSTANTS = [
+  0x0000000000000001n, 0x0000000000008082n, 0x800000000000808an, 0x8000000080008000n,
+  0x000000000000808bn, 0x0000000080000001n, 0x8000000080008081n, 0x8000000000008009n,
+  0x000000000000008an, 0x0000000000000088n, 0x0000000080008009n, 0x000000008000000an,
+  0x000000008000808bn, 0x800000000000008bn, 0x8000000000008089n, 0x8000000000008003n,
+  0x8000000000008002n, 0x8000000000000080n, 0x000000000000800an, 0x800000008000000an,
+  0x8000000080008081n, 0x8000000000008080n, 0x0000000080000001n, 0x8000000080008008n
+];
+
+// Rotation offsets indexed by x + 5 * y
+const ROTATIONS = [
+  0, 1, 62, 28, 27,
+  36, 44, 6, 55, 20,
+  3, 10, 43, 25, 39,
+  41, 45, 15, 21, 8,
+  18, 2, 61, 56, 14
+].map(BigInt);
+
+function rotl(value, shift) {
+  if (shift === 0n) return value;
+  return ((value << shift) | (value >> (64n - shift))) & MASK_64;
+}
+
+function keccakF(state) {
+  const c = new Array(5);
+  const b = new Array(25);
+
+  for (let round = 0; round < 24; round++) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      c[x] = state[x] ^ state[x + 5] ^ state[x + 10] ^ state[x + 15] ^ state[x + 20];
+    }
+    for (let x = 0; x < 5; x++) {
+      const d = c[(x + 4) % 5] ^ rotl(c[(x + 1) % 5], 1n);
+      for (let y = 0; y < 25; y += 5) {
+        state[x + y] ^= d;
+      }
+    }
+
+    // Rho and Pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        b[y + 5 * ((2 * x + 3 * y) % 5)] = rotl(state[x + 5 * y], ROTATIONS[x + 5 * y]);
+      }
+    }
+
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        state[x + y] = b[x + y] ^ ((~b[(x + 1) % 5 + y] & MASK_64) & b[(x + 2) % 5 + y]);
+      }
+    }
+
+    // Iota
+    state[0] ^= ROUND_CONSTANTS[round];
+  }
+}
+
+function absorbBlock(state, block) {
+  for (let i = 0; i < RATE_BYTES / 8; i++) {
+    let lane = 0n;
+    for (let j = 7; j >= 0; j--) {
+      lane = (lane << 8n) | BigInt(block[i * 8 + j]);
+    }
+    state[i] ^= lane;
+  }
+  keccakF(state);
+}
+
+// Hash bytes (Uint8Array) or a UTF-8 string, returns a 32-byte Uint8Array
+export function keccak256(input) {
+  const data = typeof input === 'string' ? new TextEncoder().encode(input) : input;
+  const state = new Array(25).fill(0n);
+
+  // Keccak padding: 0x01 ... 0x80 (not the SHA-3 0x06 domain byte)
+  const paddedLength = (Math.floor(data.length / RATE_BYTES) + 1) * RATE_BYTES;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(data);
+  padded[data.length] ^= 0x01;
+  padded[paddedLength - 1] ^= 0x80;
+
+  for (let offset = 0; offset < paddedLength; offset += RATE_BYTES) {
+    absorbBlock(state, padded.subarray(offset, offset + RATE_BYTES));
+  }
+
+  const out = new Uint8Array(32);
+  for (let i = 0; i < 4; i++) {
+    let lane = state[i];
+    for (let j = 0; j < 8; j++) {
+      out[i * 8 + j] = Number(lane & 0xffn);
+      lane >>= 8n;
+    }
+  }
+  return out;
+}
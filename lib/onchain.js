@@ -0,0 +1,97 @@
+// Onchain check-in mode: calls to contracts/CheckIn.sol over EIP-1193
+import { keccak256 } from './keccak.js';
+import { bytesToHex, bigIntToBytes, isAddress } from './eth.js';
+import { addDays, daysBetween } from './streak.js';
+
+const EPOCH_DATE = '1970-01-01';
+
+export const CHECK_IN_SELECTOR = bytesToHex(keccak256('checkIn(uint256)').subarray(0, 4));
+export const CHECKED_IN_TOPIC = bytesToHex(keccak256('CheckedIn(address,uint256)'));
+
+// The contract stores days since the epoch; the app uses day strings
+export function dateToDayIndex(date) {
+  return daysBetween(EPOCH_DATE, date);
+}
+
+export function dayIndexToDate(day) {
+  return addDays(EPOCH_DATE, day);
+}
+
+export function encodeCheckInCall(date) {
+  return CHECK_IN_SELECTOR + bytesToHex(bigIntToBytes(BigInt(dateToDayIndex(date)))).slice(2);
+}
+
+function addressTopic(address) {
+  return '0x' + address.toLowerCase().replace(/^0x/, '').padStart(64, '0');
+}
+
+function toQuantity(value) {
+  return typeof value === 'number' ? '0x' + value.toString(16) : value;
+}
+
+// Returns a usable config or null. chainId is a number; fromBlock is the
+// deployment block so eth_getLogs does not scan the whole chain.
+export function normalizeOnchainConfig(config) {
+  if (!config || !isAddress(config.contract)) return null;
+  const chainId = Number(config.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) return null;
+  return {
+    contract: config.contract,
+    chainId,
+    fromBlock: toQuantity(config.fromBlock || 0)
+  };
+}
+
+export async function sendCheckInTransaction(provider, { contract, wallet, date }) {
+  return provider.request({
+    method: 'eth_sendTransaction',
+    params: [{ from: wallet, to: contract, data: encodeCheckInCall(date) }]
+  });
+}
+
+export async function waitForReceipt(provider, txHash, { timeoutMs = 120000, intervalMs = 1500 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const receipt = await provider.request({
+      method: 'eth_getTransactionReceipt',
+      params: [txHash]
+    });
+    if (receipt) {
+      if (receipt.status !== '0x1') {
+        throw new Error('Check-in transaction reverted');
+      }
+      return receipt;
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error('Timed out waiting for the check-in transaction');
+}
+
+export function parseCheckInLogs(logs, wallet) {
+  const entries = [];
+  for (const log of logs || []) {
+    if (!log.topics || log.topics[0] !== CHECKED_IN_TOPIC || log.topics.length < 3) continue;
+    if (log.removed) continue;
+    if (wallet && log.topics[1].toLowerCase() !== addressTopic(wallet)) continue;
+    entries.push({
+      date: dayIndexToDate(Number(BigInt(log.topics[2]))),
+      txHash: log.transactionHash,
+      blockNumber: log.blockNumber
+    });
+  }
+  return entries;
+}
+
+// Rebuild a wallet's check-in history from the contract's event logs
+export async function fetchOnchainCheckIns(provider, { contract, fromBlock }, wallet) {
+  const logs = await provider.request({
+    method: 'eth_getLogs',
+    params: [{
+      address: contract,
+      fromBlock,
+      toBlock: 'latest',
+      topics: [CHECKED_IN_TOPIC, addressTopic(wallet)]
+    }]
+  });
+  return parseCheckInLogs(logs, wallet);
+}
@@ -0,0 +1,57 @@
+// Offline check-in outbox
+//
+// Entries are { wallet, date, signature, message } waiting for the backend.
+// One the backend refuses is kept, marked { rejected: { reason, at } }, and
+// not sent again: the proof stays in this browser and the app lists it.
+
+export function isSameEntry(a, b) {
+  return a.wallet.toLowerCase() === b.wallet.toLowerCase() && a.date === b.date;
+}
+
+export function isRejected(entry) {
+  return Boolean(entry.rejected);
+}
+
+// Queue an entry in place of one for the same day. The same proof again
+// leaves the queued entry as it is, refused or not.
+export function addToOutbox(outbox, entry) {
+  const queued = outbox.find(existing => isSameEntry(existing, entry));
+  if (queued && queued.signature === entry.signature) return outbox;
+  return [...outbox.filter(existing => !isSameEntry(existing, entry)), entry];
+}
+
+export function getPendingEntries(outbox) {
+  return outbox.filter(entry => !isRejected(entry));
+}
+
+export function getRejectedEntries(outbox) {
+  return outbox.filter(isRejected);
+}
+
+// What a POST of the entry came to, from the HTTP status (none for
+// network errors and timeouts): 'sent', 'rejected' when retrying would
+// not help, or 'offline'
+export function getDeliveryResult(status) {
+  if (!status || status >= 500 || status === 408 || status === 429) return 'offline';
+  return status < 300 ? 'sent' : 'rejected';
+}
+
+// The outbox once an attempt to send entry came to result
+export function settleEntry(outbox, entry, result, { reason = '', at = Date.now() } = {}) {
+  if (result === 'sent') return outbox.filter(queued => !isSameEntry(queued, entry));
+  if (result !== 'rejected') return outbox;
+  return outbox.map(queued => isSameEntry(queued, entry)
+    ? { ...queued, rejected: { reason: reason || 'Refused by the server', at: new Date(at).toISOString() } }
+    : queued);
+}
+
+// Send pending entries in order until one cannot be delivered. send
+// resolves to { result, reason }; load and save read and write the stored
+// outbox around every attempt, so entries queued meanwhile are kept.
+export async function sendOutbox({ load, save, send }) {
+  for (const entry of getPendingEntries(load())) {
+    const { result, reason } = await send(entry);
+    if (result === 'offline') return;
+    await save(settleEntry(load(), entry, result, { reason }));
+  }
+}
@@ -0,0 +1,142 @@
+// Minimal secp256k1 for public key recovery (ecrecover)
+// Jacobian coordinates so a scalar multiply needs only one inversion.
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+export const CURVE_ORDER = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const GX = 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n;
+const GY = 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n;
+
+const G = { x: GX, y: GY, z: 1n };
+const INFINITY = { x: 0n, y: 1n, z: 0n };
+
+function mod(a, m = P) {
+  const r = a % m;
+  return r >= 0n ? r : r + m;
+}
+
+function invert(a, m = P) {
+  let low = mod(a, m);
+  let high = m;
+  let lm = 1n;
+  let hm = 0n;
+  while (low > 1n) {
+    const q = high / low;
+    [lm, hm] = [hm - lm * q, lm];
+    [low, high] = [high - low * q, low];
+  }
+  return mod(lm, m);
+}
+
+function powMod(base, exp, m = P) {
+  let result = 1n;
+  base = mod(base, m);
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+    exp >>= 1n;
+  }
+  return result;
+}
+
+function double(p) {
+  if (p.z === 0n || p.y === 0n) return INFINITY;
+  const ysq = mod(p.y * p.y);
+  const s = mod(4n * p.x * ysq);
+  const m = mod(3n * p.x * p.x);
+  const x = mod(m * m - 2n * s);
+  const y = mod(m * (s - x) - 8n * ysq * ysq);
+  const z = mod(2n * p.y * p.z);
+  return { x, y, z };
+}
+
+function add(p, q) {
+  if (p.z === 0n) return q;
+  if (q.z === 0n) return p;
+  const pz2 = mod(p.z * p.z);
+  const qz2 = mod(q.z * q.z);
+  const u1 = mod(p.x * qz2);
+  const u2 = mod(q.x * pz2);
+  const s1 = mod(p.y * qz2 * q.z);
+  const s2 = mod(q.y * pz2 * p.z);
+  if (u1 === u2) {
+    return s1 === s2 ? double(p) : INFINITY;
+  }
+  const h = mod(u2 - u1);
+  const r = mod(s2 - s1);
+  const h2 = mod(h * h);
+  const h3 = mod(h * h2);
+  const u1h2 = mod(u1 * h2);
+  const x = mod(r * r - h3 - 2n * u1h2);
+  const y = mod(r * (u1h2 - x) - s1 * h3);
+  const z = mod(h * p.z * q.z);
+  return { x, y, z };
+}
+
+function multiply(p, scalar) {
+  let result = INFINITY;
+  let addend = p;
+  let k = mod(scalar, CURVE_ORDER);
+  while (k > 0n) {
+    if (k & 1n) result = add(result, addend);
+    addend = double(addend);
+    k >>= 1n;
+  }
+  return result;
+}
+
+function toAffine(p) {
+  if (p.z === 0n) return null;
+  const zInv = invert(p.z);
+  const zInv2 = mod(zInv * zInv);
+  return { x: mod(p.x * zInv2), y: mod(p.y * zInv2 * zInv) };
+}
+
+// Recover the uncompressed public key point for a message hash.
+// hash: BigInt, r/s: BigInt, recovery: 0 or 1 (y parity of R)
+export function recoverPublicKey(hash, r, s, recovery) {
+  if (r <= 0n || r >= CURVE_ORDER || s <= 0n || s >= CURVE_ORDER) return null;
+  if (recovery !== 0 && recovery !== 1) return null;
+
+  // Lift x = r back onto the curve: y^2 = x^3 + 7
+  const ySquared = mod(r * r * r + 7n);
+  let y = powMod(ySquared, (P + 1n) / 4n);
+  if (mod(y * y) !== ySquared) return null;
+  if (Number(y & 1n) !== recovery) y = P - y;
+
+  const R = { x: r, y, z: 1n };
+  const rInv = invert(r, CURVE_ORDER);
+  const u1 = mod(-hash * rInv, CURVE_ORDER);
+  const u2 = mod(s * rInv, CURVE_ORDER);
+  return toAffine(add(multiply(G, u1), multiply(R, u2)));
+}
+
+// Sign a 32-byte digest (BigInt) with a private key (BigInt). The nonce is
+// derived from key and digest with keccak rather than RFC 6979; this is
+// for local test keys (seed data, dev wallet), not for real funds.
+export function sign(hash, privateKey, deriveNonce) {
+  if (privateKey <= 0n || privateKey >= CURVE_ORDER) throw new Error('Invalid private key');
+
+  for (let counter = 0; ; counter++) {
+    const k = mod(deriveNonce(counter), CURVE_ORDER);
+    if (k === 0n) continue;
+
+    const R = toAffine(multiply(G, k));
+    const r = mod(R.x, CURVE_ORDER);
+    if (r === 0n) continue;
+
+    let s = mod(invert(k, CURVE_ORDER) * (hash + r * privateKey), CURVE_ORDER);
+    if (s === 0n) continue;
+
+    let recovery = Number(R.y & 1n);
+    // Low-s form (EIP-2) flips the parity of R
+    if (s > CURVE_ORDER / 2n) {
+      s = CURVE_ORDER - s;
+      recovery ^= 1;
+    }
+    return { r, s, recovery };
+  }
+}
+
+export function getPublicKey(privateKey) {
+  return toAffine(multiply(G, privateKey));
+}
@@ -0,0 +1,75 @@
+// Cast text and embeds for sharing a streak. Templates fill in {streak},
+// {total}, {longest} and {milestones}; milestones are only the ones
+// reached on the day shared, so an ordinary day's cast leaves them out.
+import { computeStreak } from './streak.js';
+import { getEarnedBadges } from './achievements.js';
+
+export const SHARE_TEMPLATES = {
+  classic: {
+    label: 'Classic',
+    text: 'Just checked in on Base! 🔵\n\n🔥 {streak} day streak\n📅 {total} total days\n\n{milestones}\n\nProof of human, every day.'
+  },
+  short: {
+    label: 'Short',
+    text: '🔥 Day {streak} on Base Check-In {milestones}'
+  },
+  record: {
+    label: 'Personal best',
+    text: '{streak} days in a row on Base 🔵\nLongest streak so far: {longest}\n{milestones}'
+  }
+};
+
+export const DEFAULT_SHARE_TEMPLATE = SHARE_TEMPLATES.classic.text;
+
+// Streak lengths worth calling out on their own
+const STREAK_MILESTONES = [7, 30, 50, 100, 200, 365, 500, 1000];
+
+// What was reached on today: a round streak, a longer streak than ever
+// before, and badges unlocked today
+export function findMilestones({ dates, streak, timeZone }, today) {
+  const milestones = [];
+  if (!dates.includes(today)) return milestones;
+
+  if (STREAK_MILESTONES.includes(streak)) {
+    milestones.push(`🎯 ${streak}-day milestone`);
+  }
+  const before = computeStreak(dates.filter(date => date < today), timeZone);
+  if (streak > 1 && before.longest > 0 && streak > before.longest) {
+    milestones.push('🏆 New longest streak');
+  }
+  for (const badge of getEarnedBadges(dates, timeZone)) {
+    if (badge.unlockedOn === today) milestones.push(`${badge.icon} ${badge.title} unlocked`);
+  }
+  return milestones;
+}
+
+// Fill a template. Blank lines left by an empty placeholder are folded.
+export function renderShareText(template, { streak, total, longest, milestones = [] }) {
+  const values = { streak, total, longest, milestones: milestones.join(' · ') };
+  return template
+    .replace(/\{(streak|total|longest|milestones)\}/g, (match, key) => String(values[key]))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// The card image the server renders from its copy of the wallet's
+// check-ins, and the wallet's profile. The image URL changes with the
+// last check-in so clients that cache embeds fetch the new card.
+export function buildShareEmbeds(baseUrl, { wallet, lastDate, template, badges = false, stats = false }) {
+  const address = wallet.toLowerCase();
+  const params = new URLSearchParams({ d: lastDate || 'none', theme: template.theme, size: template.size });
+  if (badges) params.set('badges', '1');
+  if (stats) params.set('stats', '1');
+  return [
+    `${baseUrl}/og/${address}.png?${params}`,
+    `${baseUrl}/?user=${address}`
+  ];
+}
+
+// Compose link for clients without the Mini App SDK
+export function buildComposeUrl(text, embeds = []) {
+  const params = new URLSearchParams({ text });
+  for (const embed of embeds) params.append('embeds[]', embed);
+  return `https://warpcast.com/~/compose?${params}`;
+}
@@ -0,0 +1,197 @@
+// Sign-In with Ethereum (EIP-4361) sessions
+//
+// A session proves the user controls the wallet the dashboard shows. In a
+// browser the wallet signs a SIWE message; inside Farcaster the SDK's
+// quick-auth token or Sign In with Farcaster message ties it to the FID,
+// once the backend has confirmed the FID is the signer's.
+import { isAddress, sameAddress, toChecksumAddress, recoverMessageAddress, bytesToHex } from './eth.js';
+
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Allowed clock difference when checking issued-at and not-before
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const FID_RESOURCE = /^farcaster:\/\/fid\/(\d+)$/;
+
+// 32 hex characters: SIWE nonces must be alphanumeric, at least 8 long
+export function createSiweNonce() {
+  return bytesToHex(crypto.getRandomValues(new Uint8Array(16))).slice(2);
+}
+
+export function buildSiweMessage({
+  domain, address, statement, uri, chainId, nonce, issuedAt, expirationTime, resources = []
+}) {
+  // Without a statement its line is left empty, per the EIP's grammar
+  const lines = [`${domain}${HEADER_SUFFIX}`, toChecksumAddress(address), ''];
+  lines.push(...(statement ? [statement, ''] : ['']));
+  lines.push(
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`
+  );
+  if (expirationTime) lines.push(`Expiration Time: ${new Date(expirationTime).toISOString()}`);
+  if (resources.length > 0) lines.push('Resources:', ...resources.map(resource => `- ${resource}`));
+  return lines.join('\n');
+}
+
+const FIELD_NAMES = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// Returns the message's fields, or null when it is not a SIWE message
+export function parseSiweMessage(message) {
+  if (typeof message !== 'string') return null;
+  const lines = message.split('\n');
+  if (!lines[0].endsWith(HEADER_SUFFIX) || !isAddress(lines[1]) || lines[2] !== '') return null;
+
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+    resources: []
+  };
+
+  // Some signers drop the empty statement line, so accept URI right away
+  let index = 3;
+  if (lines[index] === '') {
+    index += 1;
+  } else if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    fields.statement = lines[index];
+    if (lines[index + 1] !== '') return null;
+    index += 2;
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(index + 1).map(resource => resource.replace(/^- /, ''));
+      break;
+    }
+    const separator = line.indexOf(': ');
+    const name = FIELD_NAMES[line.slice(0, separator)];
+    if (separator === -1 || !name) return null;
+    fields[name] = line.slice(separator + 2);
+  }
+
+  if (!fields.uri || fields.version !== '1' || !fields.nonce || !fields.issuedAt) return null;
+  fields.chainId = Number(fields.chainId);
+  return fields;
+}
+
+// The FID a Sign In with Farcaster message is for, or null
+export function getMessageFid(fields) {
+  for (const resource of fields.resources) {
+    const match = FID_RESOURCE.exec(resource);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+function timeOf(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// The fields of a signed message for this domain and nonce that is in its
+// validity window and recovers to its own address, or null. chainId is
+// only checked when given: Farcaster signs on Optimism, not Base.
+export function verifySiweMessage(message, signature, { domain, nonce, chainId, now = Date.now() } = {}) {
+  const fields = parseSiweMessage(message);
+  if (!fields) return null;
+  if (fields.domain !== domain) return null;
+  if (nonce && fields.nonce !== nonce) return null;
+  if (chainId !== undefined && fields.chainId !== chainId) return null;
+
+  const issuedAt = timeOf(fields.issuedAt);
+  if (issuedAt === null || issuedAt > now + CLOCK_SKEW_MS) return null;
+  if (fields.expirationTime && !(timeOf(fields.expirationTime) > now)) return null;
+  if (fields.notBefore && !(timeOf(fields.notBefore) <= now + CLOCK_SKEW_MS)) return null;
+
+  return sameAddress(recoverMessageAddress(message, signature), fields.address) ? fields : null;
+}
+
+// A session from a verified signed message: { method, address, fid,
+// message, signature, issuedAt, expiresAt }. method is 'farcaster' for
+// Sign In with Farcaster messages, which name the FID as a resource.
+// Sessions never outlive SESSION_TTL_MS, whatever the message allows.
+export function createSiweSession(message, signature, expected) {
+  const fields = verifySiweMessage(message, signature, expected);
+  if (!fields) return null;
+
+  const fid = getMessageFid(fields);
+  const issuedAt = timeOf(fields.issuedAt);
+  const expirationTime = fields.expirationTime ? timeOf(fields.expirationTime) : Infinity;
+  return {
+    method: fid ? 'farcaster' : 'siwe',
+    address: fields.address.toLowerCase(),
+    fid,
+    message,
+    signature,
+    issuedAt,
+    expiresAt: Math.min(expirationTime, issuedAt + SESSION_TTL_MS)
+  };
+}
+
+function decodeBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return new TextDecoder().decode(Uint8Array.from(atob(base64), char => char.charCodeAt(0)));
+}
+
+// A session from a Farcaster quick-auth token. The token is a JWT whose
+// subject is the FID; this only decodes it. Its signature is the auth
+// server's and is checked by the backend (POST /api/sessions/farcaster),
+// which the app asks before keeping the session.
+export function createQuickAuthSession(token, { domain, now = Date.now() } = {}) {
+  let payload;
+  try {
+    payload = JSON.parse(decodeBase64Url(token.split('.')[1]));
+  } catch (e) {
+    return null;
+  }
+  const fid = Number(payload.sub);
+  if (!Number.isInteger(fid) || fid <= 0 || payload.aud !== domain) return null;
+  if (!(payload.exp * 1000 > now)) return null;
+
+  const issuedAt = payload.iat ? payload.iat * 1000 : now;
+  return {
+    method: 'quick-auth',
+    address: null,
+    fid,
+    token,
+    issuedAt,
+    expiresAt: Math.min(payload.exp * 1000, issuedAt + SESSION_TTL_MS)
+  };
+}
+
+// Whether a stored session still signs in this wallet: not expired, for
+// this domain, and either the wallet's own SIWE session or one for the
+// FID the wallet is linked to. Message signatures are recovered again and
+// quick-auth tokens decoded again, since anything can be written to
+// storage; that an FID session's signer owns the FID was only checked by
+// the backend when it was created.
+export function isSessionValid(session, { domain, wallet, fid = null, now = Date.now() }) {
+  if (!session || !wallet || !(session.expiresAt > now)) return false;
+
+  if (session.method === 'siwe') {
+    if (!sameAddress(session.address, wallet)) return false;
+  } else if (!fid || session.fid !== fid) {
+    return false;
+  }
+
+  // Rebuilt from the proof, so an edited expiresAt does not count
+  const verified = session.method === 'quick-auth'
+    ? createQuickAuthSession(session.token, { domain, now })
+    : createSiweSession(session.message, session.signature, { domain, now });
+  return !!verified && verified.expiresAt > now &&
+    verified.method === session.method && verified.fid === session.fid;
+}
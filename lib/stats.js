@@ -0,0 +1,76 @@
+// Personal statistics derived from the check-in dates alone
+import { computeStreak, getTodayString, daysBetween, addDays, DEFAULT_TIME_ZONE } from './streak.js';
+
+export const COMPLETION_WINDOWS = [7, 30, 90];
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function weekday(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Share of the days ending today that have a check-in, 0..1
+function completionRate(dates, today, days) {
+  const from = addDays(today, -(days - 1));
+  return dates.filter(date => date >= from && date <= today).length / days;
+}
+
+// Streaks follow the same rules as the current streak, so a spent freeze
+// keeps one streak going and only unbridged gaps count as breaks.
+//
+// Returns { total, streaks, longest: { length, start, end } | null,
+// completion: { 7, 30, 90, all }, weekdays: counts Sun..Sat,
+// averageStreak, averageBreak } where averageBreak is the mean number of
+// days missed when a streak broke, null if none ever did.
+export function computeStats(dates, timeZone = DEFAULT_TIME_ZONE, today = getTodayString(timeZone)) {
+  const sorted = [...new Set(dates)].sort();
+  const { runs } = computeStreak(sorted, timeZone);
+  const weekdays = new Array(7).fill(0);
+  const breaks = [];
+  const lengths = [];
+  let longest = null;
+  let start = null;
+
+  sorted.forEach((date, index) => {
+    weekdays[weekday(date)]++;
+
+    if (runs[date] === 1) {
+      if (index > 0) {
+        lengths.push(runs[sorted[index - 1]]);
+        breaks.push(daysBetween(sorted[index - 1], date) - 1);
+      }
+      start = date;
+    }
+    // Ties go to the most recent streak
+    if (!longest || runs[date] >= longest.length) {
+      longest = { length: runs[date], start, end: date };
+    }
+  });
+  if (sorted.length > 0) lengths.push(runs[sorted[sorted.length - 1]]);
+
+  const completion = {};
+  for (const days of COMPLETION_WINDOWS) {
+    completion[days] = completionRate(sorted, today, days);
+  }
+  completion.all = sorted.length > 0
+    ? Math.min(1, sorted.length / Math.max(1, daysBetween(sorted[0], today) + 1))
+    : 0;
+
+  const average = values => values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+  return {
+    total: sorted.length,
+    streaks: lengths.length,
+    longest,
+    completion,
+    weekdays,
+    averageStreak: average(lengths),
+    averageBreak: average(breaks)
+  };
+}
+
+export function formatPercent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
@@ -0,0 +1,322 @@
+// Browser storage for check-ins and settings
+//
+// Everything lives in one versioned document, kept in memory so reads stay
+// synchronous and written through to IndexedDB, or localStorage where
+// IndexedDB is unavailable. Older documents are brought up to
+// SCHEMA_VERSION by running MIGRATIONS in order; a document from a newer
+// version of the app is left untouched and the app runs read-only.
+
+export const SCHEMA_VERSION = 3;
+
+const STORE_KEY = 'base_checkin_store';
+const CORRUPT_KEY = 'base_checkin_store_corrupt';
+// Bumped in localStorage after each IndexedDB write so other tabs get a
+// storage event, which IndexedDB does not fire itself
+const REVISION_KEY = 'base_checkin_store_revision';
+const DB_NAME = 'base-checkin';
+const DB_STORE = 'kv';
+
+// Keys used before the storage module existed
+const LEGACY_KEYS = {
+  users: 'base_checkins',
+  connectedWallet: 'connected_wallet',
+  checkinMode: 'checkin_mode',
+  onchainConfig: 'onchain_config',
+  identity: 'farcaster_identity'
+};
+
+export function emptyUserRecord() {
+  return { dates: [], signatures: {}, messages: {} };
+}
+
+function emptyDocument() {
+  return {
+    version: SCHEMA_VERSION,
+    connectedWallet: null,
+    walletRdns: null,
+    session: null,
+    outbox: [],
+    groupInvites: {},
+    anchorPins: { signer: null, roots: {} },
+    checkinMode: 'signature',
+    identity: null,
+    cardTemplate: null,
+    shareTemplate: null,
+    users: {}
+  };
+}
+
+function parseJson(text, what) {
+  if (text === null || text === undefined) return null;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    console.warn(`Ignoring corrupt ${what}:`, e.message);
+    return null;
+  }
+}
+
+// Each migration takes the document at version - 1 and returns it at
+// version. Version 0 is "nothing stored yet": the legacy localStorage keys.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    // Gather the separate legacy keys into one document
+    migrate(doc, readLegacy) {
+      const users = parseJson(readLegacy(LEGACY_KEYS.users), 'check-in history');
+      return {
+        version: 1,
+        connectedWallet: readLegacy(LEGACY_KEYS.connectedWallet),
+        checkinMode: readLegacy(LEGACY_KEYS.checkinMode) || 'signature',
+        onchainConfig: parseJson(readLegacy(LEGACY_KEYS.onchainConfig), 'onchain config'),
+        identity: parseJson(readLegacy(LEGACY_KEYS.identity), 'Farcaster identity'),
+        users: users && typeof users === 'object' ? users : {}
+      };
+    }
+  },
+  {
+    version: 2,
+    // Records keep only proofs and the zone; streak, total, lastDate and
+    // freezes are derived from the verified dates on every read
+    migrate(doc) {
+      const users = {};
+      for (const [wallet, stored] of Object.entries(doc.users)) {
+        if (!stored || !Array.isArray(stored.dates)) continue;
+        const record = {
+          dates: [...new Set(stored.dates)].sort(),
+          signatures: stored.signatures || {},
+          messages: stored.messages || {}
+        };
+        if (stored.timeZone) record.timeZone = stored.timeZone;
+        users[wallet.toLowerCase()] = record;
+      }
+      return { ...doc, version: 2, users };
+    }
+  },
+  {
+    version: 3,
+    // A CheckIn contract from a link used to be remembered for good, so one
+    // crafted link redirected every later onchain check-in. Links now only
+    // apply to the page they open.
+    migrate({ onchainConfig, ...doc }) {
+      return { ...doc, version: 3 };
+    }
+  }
+];
+
+export function migrate(doc, readLegacy = () => null) {
+  let current = doc || { version: 0 };
+  if (current.version > SCHEMA_VERSION) {
+    throw new Error(`Stored data is from a newer version (${current.version}) of the app`);
+  }
+  for (const migration of MIGRATIONS) {
+    if (migration.version > current.version) {
+      current = migration.migrate(current, readLegacy);
+    }
+  }
+  return { ...emptyDocument(), ...current };
+}
+
+// Backends store text under a key and report changes made by other tabs
+
+export function createLocalStorageBackend(storage = globalThis.localStorage) {
+  return {
+    name: 'localStorage',
+    async read(key) {
+      return storage.getItem(key);
+    },
+    async write(key, text) {
+      storage.setItem(key, text);
+    },
+    watch(key, onChange) {
+      window.addEventListener('storage', event => {
+        if (event.storageArea === storage && event.key === key) onChange();
+      });
+    }
+  };
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export async function createIndexedDbBackend(idb = globalThis.indexedDB) {
+  const opening = idb.open(DB_NAME, 1);
+  opening.onupgradeneeded = () => opening.result.createObjectStore(DB_STORE);
+  const db = await promisify(opening);
+
+  return {
+    name: 'indexedDB',
+    async read(key) {
+      const value = await promisify(db.transaction(DB_STORE).objectStore(DB_STORE).get(key));
+      return value === undefined ? null : value;
+    },
+    async write(key, text) {
+      const transaction = db.transaction(DB_STORE, 'readwrite');
+      transaction.objectStore(DB_STORE).put(text, key);
+      await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+      try {
+        localStorage.setItem(REVISION_KEY, `${Date.now()}:${Math.random()}`);
+      } catch (e) {
+        // Other tabs catch up on their next load
+      }
+    },
+    watch(key, onChange) {
+      window.addEventListener('storage', event => {
+        if (event.key === REVISION_KEY) onChange();
+      });
+    }
+  };
+}
+
+function createMemoryBackend() {
+  const items = new Map();
+  return {
+    name: 'memory',
+    async read(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    async write(key, text) {
+      items.set(key, text);
+    },
+    watch() {}
+  };
+}
+
+function readLegacyKey(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch (e) {
+    return null;
+  }
+}
+
+function removeLegacyKeys() {
+  try {
+    for (const key of Object.values(LEGACY_KEYS)) localStorage.removeItem(key);
+  } catch (e) {
+    // Nothing to clean up
+  }
+}
+
+// IndexedDB when it opens, then localStorage, then memory only (storage
+// disabled, some private modes)
+async function detectBackend() {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      return await createIndexedDbBackend();
+    } catch (e) {
+      console.log('IndexedDB unavailable:', e && e.message);
+    }
+  }
+  try {
+    const probe = `${STORE_KEY}_probe`;
+    localStorage.setItem(probe, '1');
+    localStorage.removeItem(probe);
+    return createLocalStorageBackend();
+  } catch (e) {
+    console.log('localStorage unavailable, check-ins will not persist');
+    return createMemoryBackend();
+  }
+}
+
+// Unreadable stored text is set aside under CORRUPT_KEY rather than
+// overwritten, so it can still be recovered by hand
+async function loadDocument(backend) {
+  const text = await backend.read(STORE_KEY);
+  if (text === null) return { doc: null, fresh: true };
+
+  const doc = parseJson(text, 'stored data');
+  if (doc && typeof doc === 'object' && Number.isInteger(doc.version)) {
+    return { doc, fresh: false };
+  }
+  await backend.write(CORRUPT_KEY, text);
+  return { doc: { version: SCHEMA_VERSION }, fresh: false };
+}
+
+export async function openStorage({ backend } = {}) {
+  backend = backend || await detectBackend();
+  const { doc: stored, fresh } = await loadDocument(backend);
+  // This version cannot read what a newer one saved, and writing over it
+  // would lose data once the newer version loads again. Start empty and
+  // keep changes in memory only.
+  const readOnly = !!stored && stored.version > SCHEMA_VERSION;
+  if (readOnly) {
+    console.warn(`Stored data is from a newer version (${stored.version}) of the app, not saving changes`);
+  }
+  let doc = readOnly ? emptyDocument() : migrate(stored, readLegacyKey);
+  const listeners = [];
+  let writeQueue = Promise.resolve();
+
+  function persist() {
+    if (readOnly) return writeQueue;
+    const text = JSON.stringify(doc);
+    writeQueue = writeQueue
+      .then(() => backend.write(STORE_KEY, text))
+      .catch(error => console.error('Could not save check-in data:', error));
+    return writeQueue;
+  }
+
+  // Legacy keys are only dropped once the migrated document is saved
+  if (!readOnly && (!stored || stored.version !== SCHEMA_VERSION)) {
+    try {
+      await backend.write(STORE_KEY, JSON.stringify(doc));
+      if (fresh) removeLegacyKeys();
+    } catch (error) {
+      console.error('Could not save migrated check-in data:', error);
+    }
+  }
+
+  // Another tab saved: take its document and let the app re-render
+  backend.watch(STORE_KEY, async () => {
+    try {
+      const { doc: changed } = await loadDocument(backend);
+      if (readOnly || !changed || changed.version !== SCHEMA_VERSION) return;
+      doc = migrate(changed);
+      for (const listener of listeners) listener();
+    } catch (error) {
+      console.error('Could not load check-in data saved by another tab:', error);
+    }
+  });
+
+  console.log('Storage backend:', backend.name);
+
+  return {
+    backend: backend.name,
+    readOnly,
+
+    get(name) {
+      return doc[name];
+    },
+
+    set(name, value) {
+      doc = { ...doc, [name]: value };
+      return persist();
+    },
+
+    // A copy of the wallet's record, or an empty one
+    getUser(wallet) {
+      const stored = doc.users[wallet.toLowerCase()];
+      return stored ? structuredClone(stored) : emptyUserRecord();
+    },
+
+    // update receives a copy of the record and returns the new one
+    updateUser(wallet, update) {
+      const key = wallet.toLowerCase();
+      const record = update(this.getUser(key));
+      doc = { ...doc, users: { ...doc.users, [key]: record } };
+      return persist();
+    },
+
+    onChange(listener) {
+      listeners.push(listener);
+    }
+  };
+}
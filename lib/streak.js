@@ -0,0 +1,153 @@
+// Date and streak utilities shared by the app and the server
+//
+// Check-in days are 'YYYY-MM-DD' strings for the calendar day in the
+// user's IANA time zone. History signed before zones existed was keyed by
+// UTC day; those keys are kept as they are and read as days in the user's
+// current zone, so a zone change can shift at most the day it happens on.
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function getBrowserTimeZone() {
+  try {
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return isValidTimeZone(zone) ? zone : DEFAULT_TIME_ZONE;
+  } catch (e) {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+// Calendar day of an instant in a time zone
+export function getDateString(date, timeZone = DEFAULT_TIME_ZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const get = type => parts.find(part => part.type === type).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+// Days "today" is moved by; only dev mode changes it (see lib/devtools.js)
+let dayOffset = 0;
+
+export function setDayOffset(days) {
+  dayOffset = days;
+}
+
+export function getTodayString(timeZone = DEFAULT_TIME_ZONE) {
+  return getDateString(new Date(Date.now() + dayOffset * DAY_MS), timeZone);
+}
+
+export function getYesterdayString(timeZone = DEFAULT_TIME_ZONE) {
+  return addDays(getTodayString(timeZone), -1);
+}
+
+// Day strings are zone-free once computed, so arithmetic runs in UTC
+function dayNumber(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+export function addDays(dateStr, days) {
+  return new Date((dayNumber(dateStr) + days) * DAY_MS).toISOString().split('T')[0];
+}
+
+export function daysBetween(from, to) {
+  return dayNumber(to) - dayNumber(from);
+}
+
+export function dayOfMonth(dateStr) {
+  return Number(dateStr.split('-')[2]);
+}
+
+// Streak freezes: one is earned every FREEZE_EARN_EVERY consecutive
+// check-in days (up to FREEZE_CAP banked) and is spent automatically to
+// bridge a single missed day. Two or more missed days still break the run.
+export const FREEZE_RULES = { earnEvery: 7, cap: 2 };
+
+// Replay check-ins oldest first so earning and spending are a pure function
+// of the dates. Returns the current streak, the longest run ever, the
+// freezes still banked, a ledger of every freeze earned or spent and the
+// run length reached on each check-in day.
+export function computeStreak(dates, timeZone = DEFAULT_TIME_ZONE, rules = FREEZE_RULES) {
+  const sortedDates = [...new Set(dates)].sort();
+  const earned = [];
+  const used = [];
+  const runs = {};
+  let run = 0;
+  let longest = 0;
+  let available = 0;
+  let sinceEarn = 0;
+  let prev = null;
+
+  for (const date of sortedDates) {
+    const gap = prev === null ? null : daysBetween(prev, date);
+
+    if (gap === 1) {
+      run++;
+      sinceEarn++;
+    } else if (gap === 2 && available > 0) {
+      available--;
+      used.push(addDays(prev, 1));
+      run++;
+      sinceEarn++;
+    } else {
+      // First check-in or a break; banked freezes are kept
+      run = 1;
+      sinceEarn = 1;
+    }
+
+    longest = Math.max(longest, run);
+    runs[date] = run;
+
+    if (sinceEarn >= rules.earnEvery) {
+      sinceEarn = 0;
+      if (available < rules.cap) {
+        available++;
+        earned.push(date);
+      }
+    }
+    prev = date;
+  }
+
+  let streak = 0;
+  if (prev !== null) {
+    const today = getTodayString(timeZone);
+    const sinceLast = daysBetween(prev, today);
+
+    // A day after today can only come from a zone change to a zone further
+    // west, and counts like today
+    if (sinceLast <= 1) {
+      streak = run;
+    } else if (sinceLast === 2 && available > 0) {
+      // Yesterday was missed: a freeze keeps the streak alive for today
+      available--;
+      used.push(addDays(prev, 1));
+      streak = run;
+    }
+  }
+
+  return {
+    streak,
+    longest,
+    freezes: { rules: { ...rules }, available, earned, used },
+    runs
+  };
+}
+
+export function calculateStreak(dates, timeZone = DEFAULT_TIME_ZONE) {
+  return computeStreak(dates, timeZone).streak;
+}
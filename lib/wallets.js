@@ -0,0 +1,64 @@
+// Injected wallet discovery (EIP-6963)
+//
+// Each wallet extension announces its own provider with a name, icon and
+// reverse-DNS id, so several installed wallets no longer race to own
+// window.ethereum. Wallets that predate EIP-6963 only show up as
+// window.ethereum and are listed under INJECTED_RDNS.
+
+export const INJECTED_RDNS = 'injected';
+
+const ANNOUNCE_EVENT = 'eip6963:announceProvider';
+const REQUEST_EVENT = 'eip6963:requestProvider';
+
+// Announced wallets keyed by rdns; a wallet announcing twice (page
+// reloads of the extension, repeated requests) replaces its entry
+export function createWalletRegistry(target = window) {
+  const wallets = new Map();
+  const listeners = [];
+
+  target.addEventListener(ANNOUNCE_EVENT, event => {
+    const { info, provider } = event.detail || {};
+    if (!info || !info.rdns || !provider || typeof provider.request !== 'function') return;
+    wallets.set(info.rdns, { info, provider });
+    for (const listener of listeners) listener();
+  });
+
+  function list() {
+    const announced = [...wallets.values()];
+    if (announced.length > 0 || !target.ethereum) return announced;
+    return [{
+      info: { uuid: INJECTED_RDNS, rdns: INJECTED_RDNS, name: 'Browser wallet', icon: '' },
+      provider: target.ethereum
+    }];
+  }
+
+  return {
+    list,
+
+    get(rdns) {
+      return list().find(wallet => wallet.info.rdns === rdns) || null;
+    },
+
+    // Ask wallets to announce again. Most answer during the dispatch; a
+    // slow one is waited for up to timeoutMs when nothing has answered.
+    request(timeoutMs = 300) {
+      target.dispatchEvent(new Event(REQUEST_EVENT));
+      if (wallets.size > 0) return Promise.resolve(list());
+
+      return new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          const index = listeners.indexOf(done);
+          if (index !== -1) listeners.splice(index, 1);
+          resolve(list());
+        };
+        const timer = setTimeout(done, timeoutMs);
+        listeners.push(done);
+      });
+    },
+
+    onChange(listener) {
+      listeners.push(listener);
+    }
+  };
+}
@@ -0,0 +1,63 @@
+// Regenerate the files the app needs to start without third-party hosts,
+// all committed to the repo:
+//
+//   vendor/miniapp-sdk.js   Farcaster Mini App SDK bundled as one ES module
+//   fonts/*.woff2           JetBrains Mono, served with the app
+//   icons/*.png             home screen icons for manifest.webmanifest
+//
+//   npm install && npm run assets
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+import { createCanvas } from '@napi-rs/canvas';
+import { drawAppIcon } from '../lib/card.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+
+const FONT_WEIGHTS = [400, 600, 700];
+const ICON_SIZES = [192, 512];
+
+async function bundleSdk() {
+  const { version } = require('@farcaster/miniapp-sdk/package.json');
+  const outfile = path.join(ROOT_DIR, 'vendor', 'miniapp-sdk.js');
+  await build({
+    stdin: { contents: "export { sdk } from '@farcaster/miniapp-sdk';", resolveDir: ROOT_DIR },
+    bundle: true,
+    format: 'esm',
+    platform: 'browser',
+    minify: true,
+    legalComments: 'eof',
+    banner: { js: `// @farcaster/miniapp-sdk ${version}, bundled by scripts/build-assets.js` },
+    outfile
+  });
+  console.log(`SDK ${version} -> ${path.relative(ROOT_DIR, outfile)}`);
+}
+
+async function copyFonts() {
+  const sourceDir = path.join(path.dirname(require.resolve('@fontsource/jetbrains-mono/package.json')), 'files');
+  const targetDir = path.join(ROOT_DIR, 'fonts');
+  await fs.mkdir(targetDir, { recursive: true });
+  for (const weight of FONT_WEIGHTS) {
+    const file = `jetbrains-mono-latin-${weight}-normal.woff2`;
+    await fs.copyFile(path.join(sourceDir, file), path.join(targetDir, file));
+    console.log(`Font -> fonts/${file}`);
+  }
+}
+
+async function renderIcons() {
+  const targetDir = path.join(ROOT_DIR, 'icons');
+  await fs.mkdir(targetDir, { recursive: true });
+  for (const size of ICON_SIZES) {
+    const canvas = createCanvas(size, size);
+    drawAppIcon(canvas.getContext('2d'), size);
+    await fs.writeFile(path.join(targetDir, `icon-${size}.png`), await canvas.encode('png'));
+    console.log(`Icon -> icons/icon-${size}.png`);
+  }
+}
+
+await bundleSdk();
+await copyFonts();
+await renderIcons();
@@ -0,0 +1,82 @@
+// Compile contracts/CheckIn.sol and deploy it to a local dev chain
+// (anvil or `npx hardhat node`) using the node's first unlocked account.
+//
+//   anvil
+//   npm run deploy:local
+//
+// Then open the printed URL to use onchain mode against that chain. It is
+// a dev mode link: the app only takes a contract from the URL on localhost.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import solc from 'solc';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+let rpcId = 0;
+async function rpc(method, params = []) {
+  const response = await fetch(RPC_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: ++rpcId, method, params })
+  });
+  const body = await response.json();
+  if (body.error) throw new Error(`${method} failed: ${body.error.message}`);
+  return body.result;
+}
+
+async function compile() {
+  const source = await fs.readFile(path.join(ROOT_DIR, 'contracts', 'CheckIn.sol'), 'utf8');
+  const input = {
+    language: 'Solidity',
+    sources: { 'CheckIn.sol': { content: source } },
+    settings: {
+      // Paris avoids PUSH0 so older dev chains can run the bytecode too
+      evmVersion: 'paris',
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter(e => e.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(errors.map(e => e.formattedMessage).join('\n'));
+  }
+  return output.contracts['CheckIn.sol'].CheckIn.evm.bytecode.object;
+}
+
+async function main() {
+  const bytecode = await compile();
+  const [deployer] = await rpc('eth_accounts');
+  if (!deployer) throw new Error(`No unlocked account on ${RPC_URL}`);
+
+  const chainId = parseInt(await rpc('eth_chainId'), 16);
+  // Some nodes default to a gas limit too low for a deployment
+  const deployTx = { from: deployer, data: '0x' + bytecode };
+  deployTx.gas = await rpc('eth_estimateGas', [deployTx]);
+  const txHash = await rpc('eth_sendTransaction', [deployTx]);
+
+  let receipt = null;
+  while (!receipt) {
+    receipt = await rpc('eth_getTransactionReceipt', [txHash]);
+    if (!receipt) await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  const code = await rpc('eth_getCode', [receipt.contractAddress, 'latest']);
+  if (receipt.status !== '0x1' || !code || code === '0x') {
+    throw new Error(`Deployment failed in transaction ${txHash}`);
+  }
+
+  const fromBlock = parseInt(receipt.blockNumber, 16);
+  console.log('CheckIn deployed');
+  console.log('  chain:   ', chainId);
+  console.log('  address: ', receipt.contractAddress);
+  console.log('  block:   ', fromBlock);
+  console.log(`Open ${APP_URL}/?dev=1&checkinContract=${receipt.contractAddress}&checkinChain=${chainId}&checkinFromBlock=${fromBlock}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
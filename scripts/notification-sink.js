@@ -0,0 +1,138 @@
+// Local stand-in for a Farcaster client's notification endpoint and for
+// the hub, for trying streak reminders without Warpcast. It subscribes a
+// fake FID through the app's webhook, then logs every notification it
+// receives. As the hub it registers its own app key and custody address
+// to that FID and reports WALLETS as the FID's verified addresses.
+//
+//   FARCASTER_HUB_URL=http://localhost:3030 NOTIFICATION_ORIGINS=http://localhost:3030 \
+//   PUBLIC_URL=http://localhost:3000 REMINDER_HOURS=24 REMINDER_INTERVAL_MS=10000 npm run dev
+//   WALLETS=0xabc...,0xdef... npm run notify:sink
+//
+// The wallets need a live streak and no check-in today to be reminded.
+// Tokens starting with "invalid" are answered as invalid, so the app
+// should drop them.
+import crypto from 'node:crypto';
+import http from 'node:http';
+import { bytesToHex, hashMessage, privateKeyToAddress, signDigest } from '../lib/eth.js';
+import { buildSiweMessage, createSiweNonce } from '../lib/siwe.js';
+
+const SINK_PORT = Number(process.env.SINK_PORT) || 3030;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const FID = Number(process.env.FID) || 1;
+const TOKEN = process.env.TOKEN || `local-${crypto.randomUUID()}`;
+const WALLETS = (process.env.WALLETS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+
+// Throwaway keys the stand-in hub vouches for
+const appKey = crypto.generateKeyPairSync('ed25519');
+const APP_KEY = '0x' + Buffer.from(appKey.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+const CUSTODY_KEY = bytesToHex(crypto.randomBytes(32));
+const CUSTODY_ADDRESS = privateKeyToAddress(CUSTODY_KEY).toLowerCase();
+
+function base64Url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Sign a webhook event with the app key, as a client would
+function signEvent(payload) {
+  const header = base64Url({ fid: FID, type: 'app_key', key: APP_KEY });
+  const body = base64Url(payload);
+  const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), appKey.privateKey);
+  return { header, payload: body, signature: signature.toString('base64url') };
+}
+
+// Sign In with Farcaster, signed by the custody address
+function signIn() {
+  const message = buildSiweMessage({
+    domain: new URL(APP_URL).host,
+    address: CUSTODY_ADDRESS,
+    statement: 'Farcaster Auth',
+    uri: APP_URL,
+    chainId: 10,
+    nonce: createSiweNonce(),
+    issuedAt: Date.now(),
+    resources: [`farcaster://fid/${FID}`]
+  });
+  return { message, signature: signDigest(hashMessage(message), CUSTODY_KEY) };
+}
+
+async function post(path, body) {
+  const response = await fetch(APP_URL + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`${path} failed: ${result.error || response.status}`);
+  return result;
+}
+
+// The hub HTTP API calls server/farcaster.js makes
+function answerHub(url) {
+  const fid = Number(url.searchParams.get('fid'));
+  switch (url.pathname) {
+    case '/v1/onChainSignersByFid':
+      return { events: fid === FID ? [{ signerEventBody: { key: APP_KEY, eventType: 'SIGNER_EVENT_TYPE_ADD' } }] : [] };
+    case '/v1/verificationsByFid':
+      return {
+        messages: fid === FID
+          ? WALLETS.map(address => ({ data: { fid, verificationAddAddressBody: { address } } }))
+          : []
+      };
+    case '/v1/onChainIdRegistryEventByAddress':
+      return url.searchParams.get('address') === CUSTODY_ADDRESS
+        ? { fid: FID, idRegisterEventBody: { to: CUSTODY_ADDRESS } }
+        : null;
+    default:
+      return null;
+  }
+}
+
+function startSink() {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET') {
+      const answer = answerHub(url);
+      res.writeHead(answer ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(answer || { error: 'Not found' }));
+      return;
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const notification = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    console.log(`\n${new Date().toISOString()} ${notification.title}`);
+    console.log(`  ${notification.body}`);
+    console.log(`  ${notification.targetUrl} (${notification.notificationId})`);
+
+    const tokens = notification.tokens || [];
+    const result = {
+      successfulTokens: tokens.filter(token => !token.startsWith('invalid')),
+      invalidTokens: tokens.filter(token => token.startsWith('invalid')),
+      rateLimitedTokens: []
+    };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ result }));
+  });
+  return new Promise(resolve => server.listen(SINK_PORT, () => resolve(server)));
+}
+
+async function main() {
+  await startSink();
+  const url = `http://localhost:${SINK_PORT}/notify`;
+  console.log(`Notification sink and hub listening at http://localhost:${SINK_PORT}`);
+
+  await post('/api/webhook', signEvent({ event: 'miniapp_added', notificationDetails: { url, token: TOKEN } }));
+  console.log(`Subscribed fid ${FID} with token ${TOKEN}`);
+
+  if (WALLETS.length > 0) {
+    await post('/api/reminders', { fid: FID, wallets: WALLETS, auth: signIn() });
+    console.log(`Linked ${WALLETS.length} wallet(s) to fid ${FID}`);
+  } else {
+    console.log('Set WALLETS to tell the app which wallets this fid checks in with');
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+// Write a seeded dataset of signed check-ins for trying the leaderboard
+// locally. Keys and histories are derived from the seed, so every run
+// produces the same wallets and streaks.
+//
+//   npm run seed
+//   DATA_FILE=data/checkins.seed.json npm run dev
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { keccak256 } from '../lib/keccak.js';
+import { bytesToHex, privateKeyToAddress } from '../lib/eth.js';
+import { signTypedData } from '../lib/eip712.js';
+import { buildCheckInTypedData } from '../lib/checkin.js';
+import { getTodayString, addDays } from '../lib/streak.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const OUT_FILE = process.env.DATA_FILE || path.join(ROOT_DIR, 'data', 'checkins.seed.json');
+const USERS = Number(process.env.SEED_USERS) || 24;
+const DAYS = Number(process.env.SEED_DAYS) || 40;
+const SEED = process.env.SEED || 'base-checkin';
+const TIME_ZONES = ['UTC', 'America/New_York', 'America/Los_Angeles', 'Europe/Berlin', 'Asia/Tokyo'];
+
+// Deterministic 0..1 values from the seed
+function random(...parts) {
+  const hash = keccak256([SEED, ...parts].join(':'));
+  return ((hash[0] << 16) | (hash[1] << 8) | hash[2]) / 0x1000000;
+}
+
+function seedUser(index) {
+  const privateKey = bytesToHex(keccak256(`${SEED}:key:${index}`));
+  const wallet = privateKeyToAddress(privateKey);
+  const timeZone = TIME_ZONES[index % TIME_ZONES.length];
+  const today = getTodayString(timeZone);
+  const attendance = 0.3 + random(index, 'attendance') * 0.7;
+
+  const record = { timeZone, dates: [], signatures: {}, messages: {} };
+  for (let offset = DAYS - 1; offset >= 0; offset--) {
+    if (random(index, offset) > attendance) continue;
+
+    const date = addDays(today, -offset);
+    const message = buildCheckInTypedData({
+      wallet,
+      date,
+      timeZone,
+      nonce: bytesToHex(keccak256(`${SEED}:nonce:${index}:${date}`)),
+      origin: 'http://localhost:3000'
+    });
+    record.dates.push(date);
+    record.signatures[date] = signTypedData(message, privateKey);
+    record.messages[date] = message;
+  }
+  return { wallet, record };
+}
+
+async function main() {
+  const users = {};
+  for (let i = 0; i < USERS; i++) {
+    const { wallet, record } = seedUser(i);
+    users[wallet.toLowerCase()] = record;
+    process.stdout.write(`\rSigned ${i + 1}/${USERS} wallets`);
+  }
+  process.stdout.write('\n');
+
+  await fs.mkdir(path.dirname(OUT_FILE), { recursive: true });
+  await fs.writeFile(OUT_FILE, JSON.stringify({ users }, null, 2));
+  console.log(`Wrote ${OUT_FILE}`);
+  console.log(`Run: DATA_FILE=${path.relative(ROOT_DIR, OUT_FILE)} npm run dev`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
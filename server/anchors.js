@@ -0,0 +1,138 @@
+// Daily anchoring: once a day has ended in every time zone, its verified
+// check-ins are committed to a Merkle root in the signed anchor log (see
+// lib/anchors.js), and users can fetch inclusion proofs for their days.
+// Check-ins that arrive for a day after it was anchored are not added to
+// it; their history simply shows no proof for that day.
+import { isAddress, privateKeyToAddress } from '../lib/eth.js';
+import { getTodayString, addDays } from '../lib/streak.js';
+import {
+  hashCheckInLeaf, buildMerkleLayers, getMerkleRoot, getMerkleProof, signAnchor, hashAnchor, GENESIS_HASH
+} from '../lib/anchors.js';
+import { HttpError, sendJson } from './http.js';
+
+export const ANCHOR_DEFAULTS = { intervalMs: 60 * 60 * 1000 };
+
+// UTC-12 is the last zone to finish any calendar day
+const LAST_ZONE = 'Etc/GMT+12';
+
+// The newest day that is over everywhere
+export function getLastFinishedDay() {
+  return addDays(getTodayString(LAST_ZONE), -1);
+}
+
+function toPublicAnchor({ leaves, ...anchor }) {
+  return anchor;
+}
+
+// Leaf hashes of every verified check-in recorded for a date
+export function collectDayLeaves(store, date) {
+  const leaves = [];
+  for (const address of store.listAddresses()) {
+    const record = store.getUser(address);
+    const signature = record.signatures[date];
+    if (record.dates.includes(date) && typeof signature === 'string') {
+      leaves.push(hashCheckInLeaf({ wallet: address, date, signature }));
+    }
+  }
+  return leaves;
+}
+
+// Days with check-ins after the last anchored day, up to the last
+// finished day, oldest first
+export function findDaysToAnchor(store, lastFinishedDay = getLastFinishedDay()) {
+  const anchors = store.listAnchors();
+  const lastAnchored = anchors.length > 0 ? anchors[anchors.length - 1].date : '';
+  const days = new Set();
+  for (const address of store.listAddresses()) {
+    for (const date of store.getUser(address).dates) {
+      if (date > lastAnchored && date <= lastFinishedDay) days.add(date);
+    }
+  }
+  return [...days].sort();
+}
+
+export async function anchorDay(store, date, privateKey) {
+  const anchors = store.listAnchors();
+  const prev = anchors.length > 0 ? hashAnchor(anchors[anchors.length - 1]) : GENESIS_HASH;
+  const layers = buildMerkleLayers(collectDayLeaves(store, date));
+  const anchor = {
+    ...signAnchor({ date, root: getMerkleRoot(layers), count: layers[0].length, prev }, privateKey),
+    leaves: layers[0],
+    createdAt: new Date().toISOString()
+  };
+  await store.appendAnchor(anchor);
+  return anchor;
+}
+
+// Anchor every finished day not anchored yet. Returns how many were added.
+export async function runAnchoring(store, { privateKey }) {
+  let anchored = 0;
+  for (const date of findDaysToAnchor(store)) {
+    await anchorDay(store, date, privateKey);
+    anchored++;
+  }
+  return anchored;
+}
+
+// Check for finished days every intervalMs. Returns a function that stops it.
+export function startAnchorScheduler(store, { privateKey, intervalMs = ANCHOR_DEFAULTS.intervalMs }) {
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const anchored = await runAnchoring(store, { privateKey });
+      if (anchored > 0) console.log(`Anchored ${anchored} day(s) of check-ins`);
+    } catch (error) {
+      console.error('Anchoring failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
+
+// privateKey: the anchor key, whose address is reported as the signer
+export function anchorRoutes(store, { privateKey = null } = {}) {
+  const signer = privateKey ? privateKeyToAddress(privateKey).toLowerCase() : null;
+  // Anchors never change once written, so their trees are kept
+  const layersByDate = new Map();
+
+  function getLayers(anchor) {
+    if (!layersByDate.has(anchor.date)) layersByDate.set(anchor.date, buildMerkleLayers(anchor.leaves));
+    return layersByDate.get(anchor.date);
+  }
+
+  function listAnchors(req, res) {
+    sendJson(res, 200, { signer, anchors: store.listAnchors().map(toPublicAnchor) });
+  }
+
+  // Proofs for the days the server holds for this wallet, keyed by date.
+  // Clients check them against their own signatures and the anchor log.
+  function getProofs(req, res, params) {
+    if (!isAddress(params.address)) throw new HttpError(400, 'Invalid address');
+    const record = store.getUser(params.address);
+    const anchorsByDate = new Map(store.listAnchors().map(anchor => [anchor.date, anchor]));
+
+    const proofs = {};
+    for (const date of record.dates) {
+      const anchor = anchorsByDate.get(date);
+      const signature = record.signatures[date];
+      if (!anchor || typeof signature !== 'string') continue;
+      const leaf = hashCheckInLeaf({ wallet: params.address, date, signature });
+      const proof = getMerkleProof(getLayers(anchor), leaf);
+      if (proof) proofs[date] = proof;
+    }
+    sendJson(res, 200, { address: params.address.toLowerCase(), signer, proofs });
+  }
+
+  return [
+    { method: 'GET', pattern: /^\/api\/anchors$/, handler: listAnchors },
+    { method: 'GET', pattern: /^\/api\/users\/(?<address>[^/]+)\/proofs$/, handler: getProofs }
+  ];
+}
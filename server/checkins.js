@@ -0,0 +1,109 @@
+// Check-in API routes
+import { isAddress } from '../lib/eth.js';
+import { isDevAddress } from '../lib/devtools.js';
+import { verifyCheckIn, summarizeUserData, isTypedCheckIn, getCheckInTimeZone } from '../lib/checkin.js';
+import { getDateString } from '../lib/streak.js';
+import { HttpError, sendJson, readJsonBody } from './http.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// How long after midnight yesterday's check-in is still taken, so one
+// signed just before midnight or queued offline for a moment still lands
+export const CHECKIN_GRACE_MS = 2 * 60 * 60 * 1000;
+
+// Only today in the signer's zone, or yesterday within the grace window,
+// judged by the server's clock. Anything older would let a client post a
+// whole backdated streak at once.
+export function isAcceptedCheckInDate(date, timeZone, { now = Date.now(), graceMs = CHECKIN_GRACE_MS } = {}) {
+  return date === getDateString(new Date(now), timeZone) ||
+    date === getDateString(new Date(now - graceMs), timeZone);
+}
+
+// Public view of a user: verified dates plus the proofs behind them, so
+// clients can re-verify instead of trusting the server. Entries were
+// verified on the way in, so they are not re-checked here.
+export function toUserResponse(address, record) {
+  const userData = summarizeUserData(record);
+  return {
+    address: address.toLowerCase(),
+    timeZone: userData.timeZone,
+    dates: userData.dates,
+    streak: userData.streak,
+    longest: userData.longest,
+    freezes: userData.freezes,
+    total: userData.total,
+    lastDate: userData.lastDate,
+    signatures: pick(userData.signatures, userData.dates),
+    messages: pick(userData.messages, userData.dates)
+  };
+}
+
+function pick(map, keys) {
+  const out = {};
+  for (const key of keys) {
+    if (map[key] !== undefined) out[key] = map[key];
+  }
+  return out;
+}
+
+// allowedOrigins: when non-empty, typed check-ins must name one of them
+// A typed check-in must be signed for one of the app's origins. Without
+// a configured list it must at least name the host it was posted to.
+function isAllowedOrigin(origin, req, allowedOrigins) {
+  if (allowedOrigins.length > 0) return allowedOrigins.includes(origin);
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (e) {
+    return false;
+  }
+}
+
+// allowDevWallets lets the test keys from ?dev=1 (lib/devtools.js) check in,
+// for a local server only: anyone can sign for them.
+export function checkInRoutes(store, { allowedOrigins = [], graceMs = CHECKIN_GRACE_MS, allowDevWallets = false } = {}) {
+  async function postCheckIn(req, res) {
+    const body = await readJsonBody(req);
+    const { wallet, date, signature, message } = body;
+
+    if (!isAddress(wallet)) throw new HttpError(400, 'wallet must be a 0x address');
+    if (!allowDevWallets && isDevAddress(wallet)) {
+      throw new HttpError(403, 'Dev wallets only check in on a server with ALLOW_DEV_WALLETS=1');
+    }
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date)) {
+      throw new HttpError(400, 'date must be YYYY-MM-DD');
+    }
+    if (typeof signature !== 'string') throw new HttpError(400, 'signature is required');
+
+    // "Today" is judged in the zone the check-in was signed for
+    const timeZone = getCheckInTimeZone(message);
+    const receivedAt = Date.now();
+    if (!isAcceptedCheckInDate(date, timeZone, { now: receivedAt, graceMs })) {
+      throw new HttpError(400, 'date must be today, or yesterday just after midnight');
+    }
+
+    if (!verifyCheckIn({ wallet, date, signature, message })) {
+      throw new HttpError(401, 'Signature does not match wallet and date');
+    }
+    if (isTypedCheckIn(message) && !isAllowedOrigin(message.message.origin, req, allowedOrigins)) {
+      throw new HttpError(403, 'Check-in was signed for a different app origin');
+    }
+
+    const added = await store.addCheckIn(wallet, {
+      date, signature, message: message || null, timeZone, receivedAt: new Date(receivedAt).toISOString()
+    });
+    sendJson(res, added ? 201 : 200, {
+      duplicate: !added,
+      user: toUserResponse(wallet, store.getUser(wallet))
+    });
+  }
+
+  function getUser(req, res, params) {
+    if (!isAddress(params.address)) throw new HttpError(400, 'Invalid address');
+    sendJson(res, 200, toUserResponse(params.address, store.getUser(params.address)));
+  }
+
+  return [
+    { method: 'POST', pattern: /^\/api\/checkins$/, handler: postCheckIn },
+    { method: 'GET', pattern: /^\/api\/users\/(?<address>[^/]+)$/, handler: getUser }
+  ];
+}
@@ -0,0 +1,151 @@
+// Farcaster checks for the server: which FID an app key, custody address
+// or verified address belongs to, looked up on a hub, and whether a
+// request carries proof that it speaks for an FID.
+//
+// Proofs are { token } for a quick-auth JWT, checked against the auth
+// server's published keys, or { message, signature } for a Sign In with
+// Farcaster message signed by the FID's custody address.
+import crypto from 'node:crypto';
+import { isAddress, sameAddress } from '../lib/eth.js';
+import { verifySiweMessage, getMessageFid, SESSION_TTL_MS } from '../lib/siwe.js';
+import { HttpError } from './http.js';
+
+export const QUICK_AUTH_DEFAULTS = { url: 'https://auth.farcaster.xyz' };
+
+// Signing keys are fetched again after this, or sooner for an unknown kid
+const JWKS_MAX_AGE_MS = 60 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+function decodeJwtPart(part) {
+  try {
+    return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function verifyJwtSignature(alg, jwk, signed, signature) {
+  try {
+    const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    switch (alg) {
+      case 'EdDSA':
+        return crypto.verify(null, signed, key, signature);
+      case 'ES256':
+        return crypto.verify('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, signature);
+      case 'RS256':
+        return crypto.verify('sha256', signed, key, signature);
+      default:
+        return false;
+    }
+  } catch (e) {
+    return false;
+  }
+}
+
+// hubUrl: hub HTTP API, e.g. https://hub.farcaster.xyz:2281. Every check
+// that needs it fails closed while it is unset.
+export function createFarcasterVerifier({ hubUrl = '', quickAuthUrl = QUICK_AUTH_DEFAULTS.url } = {}) {
+  const hub = hubUrl.replace(/\/+$/, '');
+  const issuer = quickAuthUrl.replace(/\/+$/, '');
+  let jwks = { keys: [], fetchedAt: 0 };
+
+  async function hubGet(path) {
+    if (!hub) throw new HttpError(503, 'FARCASTER_HUB_URL is not set, Farcaster checks are off');
+    const response = await fetch(`${hub}${path}`);
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`Hub returned ${response.status}`);
+    return response.json();
+  }
+
+  async function getSigningKey(kid) {
+    const find = () => jwks.keys.find(key => !kid || key.kid === kid);
+    const age = Date.now() - jwks.fetchedAt;
+    if (age > JWKS_MAX_AGE_MS || (!find() && age > JWKS_MIN_REFRESH_MS)) {
+      const response = await fetch(`${issuer}/.well-known/jwks.json`);
+      if (!response.ok) throw new Error(`Quick auth keys returned ${response.status}`);
+      const { keys = [] } = await response.json();
+      jwks = { keys, fetchedAt: Date.now() };
+    }
+    return find() || null;
+  }
+
+  // The FID of a quick-auth token issued for this domain, or null
+  async function verifyQuickAuthToken(token, { domain, now = Date.now() }) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) return null;
+    const header = decodeJwtPart(parts[0]);
+    const payload = decodeJwtPart(parts[1]);
+    if (!header || !payload) return null;
+
+    const jwk = await getSigningKey(header.kid);
+    const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+    if (!jwk || !verifyJwtSignature(header.alg, jwk, signed, Buffer.from(parts[2], 'base64url'))) return null;
+
+    const fid = Number(payload.sub);
+    if (payload.iss !== issuer || payload.aud !== domain || !(payload.exp * 1000 > now)) return null;
+    return Number.isInteger(fid) && fid > 0 ? fid : null;
+  }
+
+  async function isRegisteredAppKey(fid, appKey) {
+    const { events = [] } = (await hubGet(`/v1/onChainSignersByFid?fid=${fid}`)) || {};
+    return events.some(event =>
+      event.signerEventBody &&
+      event.signerEventBody.key.toLowerCase() === appKey &&
+      event.signerEventBody.eventType === 'SIGNER_EVENT_TYPE_ADD');
+  }
+
+  async function isCustodyAddress(fid, address) {
+    const event = await hubGet(`/v1/onChainIdRegistryEventByAddress?address=${address.toLowerCase()}`);
+    return !!event && Number(event.fid) === fid &&
+      !!event.idRegisterEventBody && sameAddress(event.idRegisterEventBody.to, address);
+  }
+
+  // Ethereum addresses the FID has verified, lowercased
+  async function getVerifiedAddresses(fid) {
+    const { messages = [] } = (await hubGet(`/v1/verificationsByFid?fid=${fid}`)) || {};
+    return messages
+      .map(message => message.data &&
+        (message.data.verificationAddAddressBody || message.data.verificationAddEthAddressBody))
+      .filter(body => body && isAddress(body.address))
+      .map(body => body.address.toLowerCase());
+  }
+
+  // Whether every address is the FID's custody address or verified by it
+  async function areFidAddresses(fid, addresses) {
+    const verified = await getVerifiedAddresses(fid);
+    for (const address of addresses) {
+      if (!verified.includes(address.toLowerCase()) && !(await isCustodyAddress(fid, address))) return false;
+    }
+    return true;
+  }
+
+  // { fid, method } for a proof made for this domain, or null
+  async function verifyFidProof(proof, { domain, now = Date.now() }) {
+    if (!proof || typeof proof !== 'object') return null;
+
+    if (typeof proof.token === 'string') {
+      const fid = await verifyQuickAuthToken(proof.token, { domain, now });
+      return fid ? { fid, method: 'quick-auth' } : null;
+    }
+
+    if (typeof proof.message === 'string' && typeof proof.signature === 'string') {
+      const fields = verifySiweMessage(proof.message, proof.signature, { domain, now });
+      const fid = fields && getMessageFid(fields);
+      // Messages without an expiry last as long as an app session would
+      if (!fid || now - Date.parse(fields.issuedAt) > SESSION_TTL_MS) return null;
+      if (!(await isCustodyAddress(fid, fields.address))) return null;
+      return { fid, method: 'farcaster' };
+    }
+    return null;
+  }
+
+  return {
+    enabled: Boolean(hub),
+    isRegisteredAppKey,
+    isCustodyAddress,
+    getVerifiedAddresses,
+    areFidAddresses,
+    verifyQuickAuthToken,
+    verifyFidProof
+  };
+}
@@ -0,0 +1,192 @@
+// Team groups and challenges. Every change is a group action signed by the
+// member's wallet (see lib/groups.js); reads are public like profiles,
+// except the invite code, which only goes to members who create or join.
+import crypto from 'node:crypto';
+import { isAddress } from '../lib/eth.js';
+import { summarizeUserData } from '../lib/checkin.js';
+import { getTodayString, isValidTimeZone, DEFAULT_TIME_ZONE } from '../lib/streak.js';
+import {
+  verifyGroupAction, getGroupActionId, isValidThreshold, validateChallenge, computeGroupStreak,
+  computeChallengeProgress, MAX_GROUP_MEMBERS, MAX_GROUP_NAME_LENGTH, ACTION_MAX_AGE_MS
+} from '../lib/groups.js';
+import { HttpError, sendJson, readJsonBody } from './http.js';
+
+const MAX_CHALLENGES = 20;
+const GROUP_ID_PATTERN = '[0-9a-f]{16}';
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+// Invite codes are typed in by hand, so no 0/O or 1/I/L
+function randomInviteCode() {
+  const alphabet = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+  return Array.from(crypto.randomBytes(10), byte => alphabet[byte % alphabet.length]).join('');
+}
+
+// Each signed action is taken once; it could otherwise be replayed while
+// it has not expired, e.g. a leave after the member joined again
+async function requireAction(store, body, action, subject) {
+  const { wallet, issuedAt, signature } = body;
+  if (!isAddress(wallet)) throw new HttpError(400, 'wallet must be a 0x address');
+  if (!verifyGroupAction({ action, wallet, subject, issuedAt, signature })) {
+    throw new HttpError(401, 'Signature does not match wallet and action, or has expired');
+  }
+  const id = getGroupActionId({ action, wallet, subject, issuedAt });
+  if (!(await store.useGroupAction(id, Date.parse(issuedAt) + ACTION_MAX_AGE_MS))) {
+    throw new HttpError(409, 'This signed action was already used');
+  }
+  return wallet.toLowerCase();
+}
+
+function isMember(group, address) {
+  return group.members.some(member => member.address === address);
+}
+
+// Group with every member's verified history applied
+export function toGroupResponse(store, group, { includeInvite = false } = {}) {
+  const today = getTodayString(group.timeZone);
+  const members = group.members.map(member => {
+    const userData = summarizeUserData(store.getUser(member.address));
+    return {
+      ...member,
+      dates: userData.dates,
+      streak: userData.streak,
+      lastDate: userData.lastDate,
+      // Judged in the member's own zone
+      checkedInToday: userData.lastDate === getTodayString(userData.timeZone)
+    };
+  });
+  const groupStreak = computeGroupStreak(members, group.threshold, group.timeZone, today);
+
+  return {
+    id: group.id,
+    name: group.name,
+    threshold: group.threshold,
+    timeZone: group.timeZone,
+    createdBy: group.createdBy,
+    createdAt: group.createdAt,
+    inviteCode: includeInvite ? group.inviteCode : undefined,
+    today,
+    streak: groupStreak.streak,
+    longest: groupStreak.longest,
+    required: groupStreak.required,
+    checkedInToday: members.filter(member => member.checkedInToday).length,
+    days: groupStreak.days,
+    counts: groupStreak.counts,
+    members: members.map(({ dates, ...member }) => member),
+    challenges: group.challenges.map(challenge => computeChallengeProgress(challenge, members, today))
+  };
+}
+
+export function groupRoutes(store) {
+  function getGroupOrThrow(id) {
+    const group = store.getGroup(id);
+    if (!group) throw new HttpError(404, 'Group not found');
+    return group;
+  }
+
+  function listGroups(req, res) {
+    const wallet = new URL(req.url, 'http://localhost').searchParams.get('wallet');
+    if (!isAddress(wallet)) throw new HttpError(400, 'wallet must be a 0x address');
+
+    const address = wallet.toLowerCase();
+    const groups = store.listGroups()
+      .filter(group => isMember(group, address))
+      .map(group => {
+        const { days, counts, challenges, ...summary } = toGroupResponse(store, group);
+        return { ...summary, challenges: challenges.length };
+      });
+    sendJson(res, 200, { groups });
+  }
+
+  async function createGroup(req, res) {
+    const body = await readJsonBody(req);
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_GROUP_NAME_LENGTH) {
+      throw new HttpError(400, `name must be 1-${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+    if (!isValidThreshold(body.threshold)) throw new HttpError(400, 'threshold must be between 0 and 1');
+    const timeZone = isValidTimeZone(body.timeZone) ? body.timeZone : DEFAULT_TIME_ZONE;
+    const address = await requireAction(store, body, 'create', name);
+
+    const group = {
+      id: randomId(8),
+      name,
+      inviteCode: randomInviteCode(),
+      threshold: body.threshold,
+      timeZone,
+      createdBy: address,
+      createdAt: new Date().toISOString(),
+      members: [{ address, joinedOn: getTodayString(timeZone) }],
+      challenges: []
+    };
+    await store.saveGroup(group);
+    sendJson(res, 201, toGroupResponse(store, group, { includeInvite: true }));
+  }
+
+  function getGroup(req, res, params) {
+    sendJson(res, 200, toGroupResponse(store, getGroupOrThrow(params.id)));
+  }
+
+  async function joinGroup(req, res) {
+    const body = await readJsonBody(req);
+    const inviteCode = typeof body.inviteCode === 'string' ? body.inviteCode.trim().toUpperCase() : '';
+    const group = inviteCode && store.findGroupByInvite(inviteCode);
+    if (!group) throw new HttpError(404, 'No group has that invite code');
+    const address = await requireAction(store, body, 'join', inviteCode);
+
+    if (!isMember(group, address)) {
+      if (group.members.length >= MAX_GROUP_MEMBERS) {
+        throw new HttpError(409, `A group can have at most ${MAX_GROUP_MEMBERS} members`);
+      }
+      group.members.push({ address, joinedOn: getTodayString(group.timeZone) });
+      await store.saveGroup(group);
+    }
+    sendJson(res, 200, toGroupResponse(store, group, { includeInvite: true }));
+  }
+
+  // The last member to leave deletes the group
+  async function leaveGroup(req, res, params) {
+    const group = getGroupOrThrow(params.id);
+    const address = await requireAction(store, await readJsonBody(req), 'leave', group.id);
+    if (!isMember(group, address)) throw new HttpError(403, 'Not a member of this group');
+
+    group.members = group.members.filter(member => member.address !== address);
+    if (group.members.length === 0) {
+      await store.removeGroup(group.id);
+    } else {
+      await store.saveGroup(group);
+    }
+    sendJson(res, 200, { left: true });
+  }
+
+  async function addChallenge(req, res, params) {
+    const group = getGroupOrThrow(params.id);
+    const body = await readJsonBody(req);
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    const challenge = { title, start: body.start, end: body.end };
+    const invalid = validateChallenge(challenge);
+    if (invalid) throw new HttpError(400, invalid);
+
+    const address = await requireAction(store, body, 'challenge', `${group.id} ${title} ${challenge.start}..${challenge.end}`);
+    if (!isMember(group, address)) throw new HttpError(403, 'Not a member of this group');
+    if (group.challenges.length >= MAX_CHALLENGES) {
+      throw new HttpError(409, `A group can have at most ${MAX_CHALLENGES} challenges`);
+    }
+
+    group.challenges.push({ id: randomId(6), ...challenge, createdBy: address });
+    await store.saveGroup(group);
+    sendJson(res, 201, toGroupResponse(store, group));
+  }
+
+  const groupPath = `^\\/api\\/groups\\/(?<id>${GROUP_ID_PATTERN})`;
+  return [
+    { method: 'GET', pattern: /^\/api\/groups$/, handler: listGroups },
+    { method: 'POST', pattern: /^\/api\/groups$/, handler: createGroup },
+    { method: 'POST', pattern: /^\/api\/groups\/join$/, handler: joinGroup },
+    { method: 'GET', pattern: new RegExp(`${groupPath}$`), handler: getGroup },
+    { method: 'POST', pattern: new RegExp(`${groupPath}\\/leave$`), handler: leaveGroup },
+    { method: 'POST', pattern: new RegExp(`${groupPath}\\/challenges$`), handler: addChallenge }
+  ];
+}
@@ -0,0 +1,60 @@
+// Small HTTP helpers for the API server
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export function sendJson(res, status, body, headers = {}) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(payload);
+}
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+export async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return {};
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (e) {
+    throw new HttpError(400, 'Request body is not valid JSON');
+  }
+  // Handlers read fields off the body, which null or a number cannot have
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  return body;
+}
+
+// Route table entries: { method, pattern: RegExp, handler(req, res, params) }
+export function matchRoute(routes, method, pathname) {
+  for (const route of routes) {
+    if (route.method !== method) continue;
+    const match = route.pattern.exec(pathname);
+    if (match) {
+      return { route, params: match.groups || {} };
+    }
+  }
+  return null;
+}
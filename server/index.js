@@ -0,0 +1,127 @@
+// Base Check-In server: serves the app and the check-in JSON API
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createStore } from './store.js';
+import { checkInRoutes } from './checkins.js';
+import { leaderboardRoutes } from './leaderboard.js';
+import { ogRoutes } from './og.js';
+import { notificationRoutes, NOTIFICATION_ORIGINS } from './notifications.js';
+import { createFarcasterVerifier, QUICK_AUTH_DEFAULTS } from './farcaster.js';
+import { groupRoutes } from './groups.js';
+import { sessionRoutes } from './sessions.js';
+import { anchorRoutes, startAnchorScheduler, ANCHOR_DEFAULTS } from './anchors.js';
+import { publicRoutes } from './public.js';
+import { startReminderScheduler, REMINDER_DEFAULTS } from './reminders.js';
+import { ROOT_DIR, serveStatic } from './static.js';
+import { HttpError, sendJson, matchRoute } from './http.js';
+
+const PORT = Number(process.env.PORT) || 3000;
+const DATA_FILE = process.env.DATA_FILE || path.join(ROOT_DIR, 'data', 'checkins.json');
+// Public base URL for absolute links in share meta, e.g. https://example.com
+const PUBLIC_URL = process.env.PUBLIC_URL || '';
+// Comma-separated origins typed check-ins may be signed for, e.g. https://example.com
+const APP_ORIGINS = (process.env.APP_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+// Take check-ins from the ?dev=1 test wallets, on a local server only
+const ALLOW_DEV_WALLETS = process.env.ALLOW_DEV_WALLETS === '1';
+// Streak reminders go out this many hours before the user's midnight
+const REMINDER_HOURS = Number(process.env.REMINDER_HOURS) || REMINDER_DEFAULTS.hoursBefore;
+const REMINDER_INTERVAL_MS = Number(process.env.REMINDER_INTERVAL_MS) || REMINDER_DEFAULTS.intervalMs;
+// 0x-prefixed 32-byte hex key that signs the daily anchor log
+const ANCHOR_PRIVATE_KEY = process.env.ANCHOR_PRIVATE_KEY || null;
+const ANCHOR_INTERVAL_MS = Number(process.env.ANCHOR_INTERVAL_MS) || ANCHOR_DEFAULTS.intervalMs;
+// Hub HTTP API for Farcaster checks, e.g. https://hub.farcaster.xyz:2281.
+// The Mini App webhook and reminders are off without it.
+const FARCASTER_HUB_URL = process.env.FARCASTER_HUB_URL || '';
+const QUICK_AUTH_URL = process.env.QUICK_AUTH_URL || QUICK_AUTH_DEFAULTS.url;
+// Comma-separated extra origins notifications may be sent to, e.g. a local sink
+const EXTRA_NOTIFICATION_ORIGINS = (process.env.NOTIFICATION_ORIGINS || '')
+  .split(',').map(o => o.trim()).filter(Boolean);
+
+export async function createServer({
+  dataFile = DATA_FILE,
+  allowedOrigins = APP_ORIGINS,
+  allowDevWallets = ALLOW_DEV_WALLETS,
+  publicUrl = PUBLIC_URL,
+  reminderHours = REMINDER_HOURS,
+  reminderIntervalMs = REMINDER_INTERVAL_MS,
+  anchorKey = ANCHOR_PRIVATE_KEY,
+  anchorIntervalMs = ANCHOR_INTERVAL_MS,
+  hubUrl = FARCASTER_HUB_URL,
+  quickAuthUrl = QUICK_AUTH_URL,
+  notificationOrigins = [...NOTIFICATION_ORIGINS, ...EXTRA_NOTIFICATION_ORIGINS]
+} = {}) {
+  const store = await createStore(dataFile);
+  const farcaster = createFarcasterVerifier({ hubUrl, quickAuthUrl });
+  // Typed check-ins are signed for the app's origin, PUBLIC_URL's by default
+  const checkInOrigins = allowedOrigins.length > 0 ? allowedOrigins
+    : publicUrl ? [new URL(publicUrl).origin] : [];
+  const routes = [
+    ...checkInRoutes(store, { allowedOrigins: checkInOrigins, allowDevWallets }),
+    ...leaderboardRoutes(store),
+    ...ogRoutes(store, { publicUrl }),
+    ...notificationRoutes(store, { farcaster, publicUrl, notificationOrigins }),
+    ...sessionRoutes(farcaster, { publicUrl }),
+    ...groupRoutes(store),
+    ...anchorRoutes(store, { privateKey: anchorKey }),
+    ...publicRoutes(store)
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      const matched = matchRoute(routes, req.method, pathname);
+      if (matched) {
+        await matched.route.handler(req, res, matched.params);
+      } else if (pathname.startsWith('/api/')) {
+        throw new HttpError(404, 'Unknown API route');
+      } else if (req.method === 'GET' || req.method === 'HEAD') {
+        await serveStatic(req, res, pathname);
+      } else {
+        throw new HttpError(405, 'Method not allowed');
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error('Request failed:', req.method, pathname, error);
+      if (!res.headersSent) {
+        sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+      }
+    }
+  });
+
+  // Notifications must link back to the app's own domain
+  if (publicUrl) {
+    const stopReminders = startReminderScheduler(store, {
+      appUrl: publicUrl,
+      hoursBefore: reminderHours,
+      intervalMs: reminderIntervalMs,
+      notificationOrigins
+    });
+    server.on('close', stopReminders);
+  } else {
+    console.log('PUBLIC_URL is not set, streak reminders and profile embeds are off');
+  }
+  if (checkInOrigins.length === 0) {
+    console.log('APP_ORIGINS and PUBLIC_URL are not set, check-ins are checked against the request host');
+  }
+  if (!hubUrl) {
+    console.log('FARCASTER_HUB_URL is not set, the Mini App webhook and reminders are off');
+  }
+
+  if (anchorKey) {
+    const stopAnchoring = startAnchorScheduler(store, { privateKey: anchorKey, intervalMs: anchorIntervalMs });
+    server.on('close', stopAnchoring);
+  } else {
+    console.log('ANCHOR_PRIVATE_KEY is not set, daily anchoring is off');
+  }
+
+  return server;
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const server = await createServer();
+  server.listen(PORT, () => {
+    console.log(`Base Check-In running at http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,81 @@
+// Leaderboard of current streak, longest streak and total days
+import { isAddress } from '../lib/eth.js';
+import { summarizeUserData } from '../lib/checkin.js';
+import { HttpError, sendJson } from './http.js';
+
+export const SORT_FIELDS = ['streak', 'longest', 'total'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const CACHE_BUCKET_MS = 15 * 60 * 1000;
+
+function compareBy(field) {
+  return (a, b) => {
+    if (b[field] !== a[field]) return b[field] - a[field];
+    for (const other of SORT_FIELDS) {
+      if (b[other] !== a[other]) return b[other] - a[other];
+    }
+    return a.address < b.address ? -1 : 1;
+  };
+}
+
+// Rank every wallet with at least one check-in by the given field
+export function rankUsers(users, field) {
+  return users
+    .filter(user => user.total > 0)
+    .sort(compareBy(field))
+    .map((user, index) => ({ rank: index + 1, ...user }));
+}
+
+export function leaderboardRoutes(store) {
+  // Streaks depend on the current day in each user's zone, so cached rows
+  // are also dropped every quarter hour
+  let cache = { key: null, rows: [] };
+
+  function allRows() {
+    const key = `${store.version}|${Math.floor(Date.now() / CACHE_BUCKET_MS)}`;
+    if (cache.key !== key) {
+      const rows = store.listAddresses().map(address => {
+        const userData = summarizeUserData(store.getUser(address));
+        return {
+          address,
+          streak: userData.streak,
+          longest: userData.longest,
+          total: userData.total,
+          lastDate: userData.lastDate
+        };
+      });
+      cache = { key, rows };
+    }
+    return cache.rows;
+  }
+
+  function getLeaderboard(req, res) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const sort = query.get('sort') || 'streak';
+    if (!SORT_FIELDS.includes(sort)) {
+      throw new HttpError(400, `sort must be one of ${SORT_FIELDS.join(', ')}`);
+    }
+
+    const page = Math.max(1, parseInt(query.get('page'), 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.get('pageSize'), 10) || DEFAULT_PAGE_SIZE));
+    const viewer = query.get('viewer');
+    if (viewer && !isAddress(viewer)) throw new HttpError(400, 'viewer must be a 0x address');
+
+    const ranked = rankUsers(allRows(), sort);
+    const start = (page - 1) * pageSize;
+
+    sendJson(res, 200, {
+      sort,
+      page,
+      pageSize,
+      totalEntries: ranked.length,
+      totalPages: Math.max(1, Math.ceil(ranked.length / pageSize)),
+      viewer: viewer ? ranked.find(row => row.address === viewer.toLowerCase()) || null : null,
+      entries: ranked.slice(start, start + pageSize)
+    });
+  }
+
+  return [
+    { method: 'GET', pattern: /^\/api\/leaderboard$/, handler: getLeaderboard }
+  ];
+}
@@ -0,0 +1,140 @@
+// Mini App webhook: Farcaster clients report when a user adds the app or
+// toggles notifications, with the token needed to notify them
+import crypto from 'node:crypto';
+import { isAddress } from '../lib/eth.js';
+import { HttpError, sendJson, readJsonBody } from './http.js';
+
+const MAX_REMINDER_WALLETS = 10;
+
+// Notification endpoints of known Farcaster clients. The server POSTs to
+// whatever URL a subscription names, so no other origin is taken.
+export const NOTIFICATION_ORIGINS = ['https://api.farcaster.xyz', 'https://api.warpcast.com'];
+
+export function isAllowedNotificationUrl(url, origins = NOTIFICATION_ORIGINS) {
+  try {
+    return origins.includes(new URL(url).origin);
+  } catch (e) {
+    return false;
+  }
+}
+
+function decodeBase64Url(value, what) {
+  if (typeof value !== 'string' || !value) throw new HttpError(400, `Webhook ${what} is missing`);
+  return Buffer.from(value, 'base64url');
+}
+
+function decodeJson(value, what) {
+  try {
+    return JSON.parse(decodeBase64Url(value, what).toString('utf8'));
+  } catch (e) {
+    if (e instanceof HttpError) throw e;
+    throw new HttpError(400, `Webhook ${what} is not valid JSON`);
+  }
+}
+
+// Events arrive as a JSON Farcaster Signature: base64url header and payload,
+// signed with Ed25519 by the user's app key. The header names the key
+// itself, so a valid signature only matters once the hub confirms the key
+// belongs to the FID.
+export function parseWebhookEvent(body) {
+  const header = decodeJson(body.header, 'header');
+  const payload = decodeJson(body.payload, 'payload');
+  const signature = decodeBase64Url(body.signature, 'signature');
+
+  const fid = Number(header.fid);
+  if (!Number.isInteger(fid) || fid <= 0) throw new HttpError(400, 'Webhook header has no valid fid');
+  if (header.type !== 'app_key' || !/^0x[0-9a-fA-F]{64}$/.test(header.key || '')) {
+    throw new HttpError(400, 'Webhook header has no app key');
+  }
+
+  const key = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(header.key.slice(2), 'hex').toString('base64url') },
+    format: 'jwk'
+  });
+  const signed = Buffer.from(`${body.header}.${body.payload}`);
+  if (!crypto.verify(null, signed, key, signature)) {
+    throw new HttpError(401, 'Webhook signature is invalid');
+  }
+
+  return { fid, appKey: header.key.toLowerCase(), event: payload.event, notificationDetails: payload.notificationDetails };
+}
+
+function isNotificationDetails(details) {
+  return Boolean(details) && typeof details.token === 'string' && details.token &&
+    typeof details.url === 'string';
+}
+
+// farcaster: a verifier from server/farcaster.js. Without a hub to check
+// app keys against, webhooks are refused. publicUrl names the domain
+// proofs for /api/reminders must be made for.
+export function notificationRoutes(store, { farcaster, publicUrl = '', notificationOrigins = NOTIFICATION_ORIGINS }) {
+  async function postWebhook(req, res) {
+    if (!farcaster.enabled) throw new HttpError(503, 'Webhooks need FARCASTER_HUB_URL to check app keys');
+    const { fid, appKey, event, notificationDetails } = parseWebhookEvent(await readJsonBody(req));
+
+    if (!(await farcaster.isRegisteredAppKey(fid, appKey))) {
+      throw new HttpError(401, 'App key is not registered to this fid');
+    }
+    if (isNotificationDetails(notificationDetails) &&
+        !isAllowedNotificationUrl(notificationDetails.url, notificationOrigins)) {
+      throw new HttpError(400, 'Notification URL is not a known Farcaster client endpoint');
+    }
+
+    // Older clients still send the frame_* names
+    switch (event) {
+      case 'miniapp_added':
+      case 'frame_added':
+      case 'notifications_enabled':
+        if (isNotificationDetails(notificationDetails)) {
+          await store.updateReminder(fid, { url: notificationDetails.url, token: notificationDetails.token });
+        } else if (event === 'notifications_enabled') {
+          throw new HttpError(400, 'notifications_enabled needs notificationDetails');
+        }
+        break;
+      case 'notifications_disabled':
+        await store.updateReminder(fid, { url: null, token: null });
+        break;
+      case 'miniapp_removed':
+      case 'frame_removed':
+        await store.removeReminder(fid);
+        break;
+      default:
+        throw new HttpError(400, `Unknown webhook event: ${event}`);
+    }
+
+    console.log(`Webhook ${event} for fid ${fid}`);
+    sendJson(res, 200, { ok: true });
+  }
+
+  // The app reports which wallets check in for an FID, so the scheduler can
+  // tell whether that person has checked in today. auth proves the request
+  // speaks for the FID (see server/farcaster.js), and every wallet must be
+  // the FID's custody address or one it verified.
+  async function postReminderWallets(req, res) {
+    if (!farcaster.enabled || !publicUrl) {
+      throw new HttpError(503, 'Reminders need FARCASTER_HUB_URL and PUBLIC_URL');
+    }
+    const { fid, wallets, auth } = await readJsonBody(req);
+    if (!Number.isInteger(fid) || fid <= 0) throw new HttpError(400, 'fid must be a positive integer');
+    if (!Array.isArray(wallets) || wallets.length === 0 || wallets.length > MAX_REMINDER_WALLETS ||
+        !wallets.every(isAddress)) {
+      throw new HttpError(400, `wallets must be 1 to ${MAX_REMINDER_WALLETS} 0x addresses`);
+    }
+
+    const proven = await farcaster.verifyFidProof(auth, { domain: new URL(publicUrl).host });
+    if (!proven) throw new HttpError(401, 'auth must be a Farcaster sign-in for this app');
+    if (proven.fid !== fid) throw new HttpError(403, 'auth is for a different fid');
+    if (!(await farcaster.areFidAddresses(fid, wallets))) {
+      throw new HttpError(403, 'wallets must be verified for this fid');
+    }
+
+    await store.updateReminder(fid, { wallets: [...new Set(wallets.map(w => w.toLowerCase()))] });
+    const reminder = store.getReminder(fid);
+    sendJson(res, 200, { fid, wallets: reminder.wallets, enabled: Boolean(reminder.token) });
+  }
+
+  return [
+    { method: 'POST', pattern: /^\/api\/webhook$/, handler: postWebhook },
+    { method: 'POST', pattern: /^\/api\/reminders$/, handler: postReminderWallets }
+  ];
+}
@@ -0,0 +1,176 @@
+// Per-profile share images and meta tags, so a cast embedding
+// ?user=0x... previews that wallet's live streak
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { isAddress } from '../lib/eth.js';
+import { isDevHost } from '../lib/devtools.js';
+import { summarizeUserData } from '../lib/checkin.js';
+import { drawStreakCard, formatAddress, resolveCardTemplate, CARD_SIZES } from '../lib/card.js';
+import { getEarnedBadges } from '../lib/achievements.js';
+import { computeStats } from '../lib/stats.js';
+import { HttpError } from './http.js';
+import { ROOT_DIR, serveStatic } from './static.js';
+
+const IMAGE_MAX_AGE_SECONDS = 300;
+
+// @napi-rs/canvas ships a prebuilt binary; load it lazily so the rest of
+// the server still runs where it is unavailable
+let canvasModule = null;
+async function loadCanvas() {
+  if (!canvasModule) {
+    try {
+      canvasModule = await import('@napi-rs/canvas');
+    } catch (e) {
+      throw new HttpError(501, 'Image rendering is not available on this server');
+    }
+    registerFonts(canvasModule.GlobalFonts);
+  }
+  return canvasModule;
+}
+
+// The card asks for JetBrains Mono and Arial, which servers rarely have.
+// FONT_DIR can supply them; otherwise map them onto DejaVu so text and
+// the freeze glyph still render.
+function registerFonts(fonts) {
+  if (process.env.FONT_DIR) {
+    fonts.loadFontsFromDir(process.env.FONT_DIR);
+  }
+  const families = new Set(fonts.families.map(font => font.family));
+  const fallbacks = { 'JetBrains Mono': 'DejaVu Sans Mono', Arial: 'DejaVu Sans' };
+  for (const [wanted, fallback] of Object.entries(fallbacks)) {
+    if (!families.has(wanted) && families.has(fallback)) {
+      fonts.setAlias(fallback, wanted);
+    }
+  }
+}
+
+// template picks the theme and size as in the app's card modal; badges
+// and stats add the same extras its toggles do
+export async function renderStreakCardPng(address, userData, { template, badges = false, stats = false } = {}) {
+  const { createCanvas } = await loadCanvas();
+  const resolved = resolveCardTemplate(template);
+  const { width, height } = CARD_SIZES[resolved.size];
+  const canvas = createCanvas(width, height);
+  drawStreakCard(canvas.getContext('2d'), {
+    streak: userData.streak,
+    total: userData.total,
+    freezes: userData.freezes,
+    wallet: address,
+    date: userData.lastDate ? `Last check-in ${userData.lastDate}` : 'No check-ins yet',
+    badges: badges ? getEarnedBadges(userData.dates, userData.timeZone).map(badge => badge.icon) : [],
+    stats: stats ? computeStats(userData.dates, userData.timeZone) : null
+  }, resolved);
+  return canvas.encode('png');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Embeds are cached and shared, so their links must not come from the
+// request: PUBLIC_URL, or the Host header only when it names this machine
+// (local development). null means no base URL to link to.
+export function getBaseUrl(req, publicUrl) {
+  if (publicUrl) return publicUrl.replace(/\/+$/, '');
+  try {
+    const { hostname, host } = new URL(`http://${req.headers.host}`);
+    return isDevHost(hostname) ? `http://${host}` : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Meta for a profile page: a Mini App embed (fc:frame) and Open Graph tags
+// pointing at the live image. The image URL changes with the last check-in
+// so clients that cache embeds pick up new streaks.
+export function buildProfileMeta(address, userData, baseUrl) {
+  const profileUrl = `${baseUrl}/?user=${address}`;
+  const imageUrl = `${baseUrl}/og/${address}.png?d=${userData.lastDate || 'none'}`;
+  const title = `${formatAddress(address)} · ${userData.streak} day streak`;
+  const description = `${userData.total} total check-ins on Base Check-In`;
+
+  const embed = {
+    version: 'next',
+    imageUrl,
+    button: {
+      title: 'View streak',
+      action: {
+        type: 'launch_frame',
+        name: 'Base Check-In',
+        url: profileUrl,
+        splashImageUrl: `${baseUrl}/splash.png`,
+        splashBackgroundColor: '#0052FF'
+      }
+    }
+  };
+
+  return [
+    `<meta name="fc:frame" content="${escapeHtml(JSON.stringify(embed))}">`,
+    `<meta property="og:title" content="${escapeHtml(title)}">`,
+    `<meta property="og:description" content="${escapeHtml(description)}">`,
+    `<meta property="og:image" content="${escapeHtml(imageUrl)}">`,
+    `<meta property="og:url" content="${escapeHtml(profileUrl)}">`,
+    '<meta name="twitter:card" content="summary_large_image">',
+    `<meta name="twitter:image" content="${escapeHtml(imageUrl)}">`
+  ].join('\n  ');
+}
+
+export function ogRoutes(store, { publicUrl = '' } = {}) {
+  // ?theme=&size=&badges=1&stats=1 render the card as picked in the app
+  async function getImage(req, res, params) {
+    if (!isAddress(params.address)) throw new HttpError(400, 'Invalid address');
+
+    const address = params.address.toLowerCase();
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const png = await renderStreakCardPng(address, summarizeUserData(store.getUser(address)), {
+      template: { theme: query.get('theme'), size: query.get('size') },
+      badges: query.get('badges') === '1',
+      stats: query.get('stats') === '1'
+    });
+    res.writeHead(200, {
+      'Content-Type': 'image/png',
+      'Content-Length': png.length,
+      'Cache-Control': `public, max-age=${IMAGE_MAX_AGE_SECONDS}`
+    });
+    res.end(req.method === 'HEAD' ? undefined : png);
+  }
+
+  // index.html with the generic share meta swapped for the profile's own
+  async function getAppPage(req, res, params) {
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const user = query.get('user');
+    const baseUrl = getBaseUrl(req, publicUrl);
+    if (!isAddress(user) || !baseUrl) {
+      await serveStatic(req, res, '/index.html');
+      return;
+    }
+
+    const address = user.toLowerCase();
+    const userData = summarizeUserData(store.getUser(address));
+    const meta = buildProfileMeta(address, userData, baseUrl);
+
+    const template = await fs.readFile(path.join(ROOT_DIR, 'index.html'), 'utf8');
+    const html = template
+      .replace(/\s*<meta name="(fc:frame|og:title|og:description)"[^>]*>/g, '')
+      .replace('<title>', meta + '\n  <title>');
+
+    res.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Content-Length': Buffer.byteLength(html),
+      'Cache-Control': 'no-cache'
+    });
+    res.end(req.method === 'HEAD' ? undefined : html);
+  }
+
+  return [
+    { method: 'GET', pattern: /^\/og\/(?<address>0x[0-9a-fA-F]{40})\.png$/, handler: getImage },
+    { method: 'HEAD', pattern: /^\/og\/(?<address>0x[0-9a-fA-F]{40})\.png$/, handler: getImage },
+    { method: 'GET', pattern: /^\/(index\.html)?$/, handler: getAppPage },
+    { method: 'HEAD', pattern: /^\/(index\.html)?$/, handler: getAppPage }
+  ];
+}
@@ -0,0 +1,108 @@
+// Public read-only API for other sites: a wallet's streak as JSON and as
+// an SVG badge for READMEs, open to every origin. The numbers come from
+// the same verified records and streak computation as the app's own API.
+//
+//   GET /api/v1/streak/0x...            { address, streak, longest, total, lastDate, timeZone }
+//   GET /api/v1/streak/0x.../badge.svg  badge image
+import { isAddress } from '../lib/eth.js';
+import { summarizeUserData } from '../lib/checkin.js';
+import { CARD_THEMES } from '../lib/card.js';
+import { sendJson } from './http.js';
+
+const PUBLIC_MAX_AGE_SECONDS = 300;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// Badge text is set in 11px Verdana, about this wide per character
+const BADGE_CHAR_WIDTH = 6.5;
+const BADGE_LABEL = 'base check-in';
+
+export function toPublicStreak(address, record) {
+  const userData = summarizeUserData(record);
+  return {
+    address: address.toLowerCase(),
+    streak: userData.streak,
+    longest: userData.longest,
+    total: userData.total,
+    lastDate: userData.lastDate,
+    timeZone: userData.timeZone
+  };
+}
+
+// Two-part badge in the usual README style: label, then the streak
+export function buildStreakBadge(streak) {
+  const value = `${streak} day streak`;
+  const labelWidth = Math.round(BADGE_LABEL.length * BADGE_CHAR_WIDTH) + 10;
+  const valueWidth = Math.round(value.length * BADGE_CHAR_WIDTH) + 10;
+  const width = labelWidth + valueWidth;
+  const color = streak > 0 ? CARD_THEMES.base.background[0] : '#9f9f9f';
+  const text = (content, x) =>
+    `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${content}</text>` +
+    `<text x="${x}" y="14">${content}</text>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${BADGE_LABEL}: ${value}">`,
+    `<title>${BADGE_LABEL}: ${value}</title>`,
+    '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>',
+    `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`,
+    '<g clip-path="url(#r)">',
+    `<rect width="${labelWidth}" height="20" fill="#555"/>`,
+    `<rect x="${labelWidth}" width="${valueWidth}" height="20" fill="${color}"/>`,
+    `<rect width="${width}" height="20" fill="url(#s)"/>`,
+    '</g>',
+    '<g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">',
+    text(BADGE_LABEL, labelWidth / 2),
+    text(value, labelWidth + valueWidth / 2),
+    '</g>',
+    '</svg>'
+  ].join('');
+}
+
+// Errors are answered here rather than thrown, so they carry the CORS
+// headers and other sites can read them
+export function publicRoutes(store) {
+  function getStreak(req, res, params) {
+    if (!isAddress(params.address)) {
+      sendJson(res, 400, { error: 'Invalid address' }, CORS_HEADERS);
+      return;
+    }
+    sendJson(res, 200, toPublicStreak(params.address, store.getUser(params.address)), {
+      ...CORS_HEADERS,
+      'Cache-Control': `public, max-age=${PUBLIC_MAX_AGE_SECONDS}`
+    });
+  }
+
+  function getBadge(req, res, params) {
+    if (!isAddress(params.address)) {
+      sendJson(res, 400, { error: 'Invalid address' }, CORS_HEADERS);
+      return;
+    }
+    const { streak } = toPublicStreak(params.address, store.getUser(params.address));
+    const svg = buildStreakBadge(streak);
+    res.writeHead(200, {
+      ...CORS_HEADERS,
+      'Content-Type': 'image/svg+xml; charset=utf-8',
+      'Content-Length': Buffer.byteLength(svg),
+      'Cache-Control': `public, max-age=${PUBLIC_MAX_AGE_SECONDS}`
+    });
+    res.end(req.method === 'HEAD' ? undefined : svg);
+  }
+
+  // CORS preflight
+  function allowOrigins(req, res) {
+    res.writeHead(204, { ...CORS_HEADERS, 'Access-Control-Max-Age': '86400' });
+    res.end();
+  }
+
+  const streakPath = '^\\/api\\/v1\\/streak\\/(?<address>[^/]+)';
+  return [
+    { method: 'GET', pattern: new RegExp(`${streakPath}$`), handler: getStreak },
+    { method: 'GET', pattern: new RegExp(`${streakPath}\\/badge\\.svg$`), handler: getBadge },
+    { method: 'HEAD', pattern: new RegExp(`${streakPath}\\/badge\\.svg$`), handler: getBadge },
+    { method: 'OPTIONS', pattern: /^\/api\/v1\//, handler: allowOrigins }
+  ];
+}
@@ -0,0 +1,143 @@
+// Daily reminders: notify users whose streak is about to end because they
+// have not checked in yet today in their own time zone
+import { summarizeUserData } from '../lib/checkin.js';
+import { DEFAULT_TIME_ZONE, getTodayString } from '../lib/streak.js';
+import { isAllowedNotificationUrl, NOTIFICATION_ORIGINS } from './notifications.js';
+
+export const REMINDER_DEFAULTS = { hoursBefore: 4, intervalMs: 15 * 60 * 1000 };
+
+// Longest body the Farcaster notification API accepts
+const BODY_MAX = 128;
+
+// Hours until midnight in a zone. DST days are off by an hour at most,
+// which is fine for a reminder.
+export function hoursLeftInDay(timeZone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return 24 - get('hour') - get('minute') / 60;
+}
+
+// One history for all of an FID's wallets, in the zone of the newest check-in
+function getReminderUserData(store, wallets) {
+  const dates = new Set();
+  let timeZone = DEFAULT_TIME_ZONE;
+  let newest = '';
+  for (const wallet of wallets) {
+    const record = store.getUser(wallet);
+    for (const date of record.dates) dates.add(date);
+    const last = record.dates[record.dates.length - 1];
+    if (last && last > newest && record.timeZone) {
+      newest = last;
+      timeZone = record.timeZone;
+    }
+  }
+  return summarizeUserData({ timeZone }, [...dates]);
+}
+
+// Subscriptions that should be notified now
+export function findDueReminders(store, { hoursBefore = REMINDER_DEFAULTS.hoursBefore } = {}) {
+  const due = [];
+  for (const reminder of store.listReminders()) {
+    if (!reminder.token || reminder.wallets.length === 0) continue;
+
+    const userData = getReminderUserData(store, reminder.wallets);
+    const today = getTodayString(userData.timeZone);
+    if (userData.streak === 0 || userData.dates.includes(today)) continue;
+    if (reminder.remindedOn === today) continue;
+
+    const hoursLeft = hoursLeftInDay(userData.timeZone);
+    if (hoursLeft > hoursBefore) continue;
+
+    due.push({ ...reminder, today, streak: userData.streak, hoursLeft: Math.max(1, Math.ceil(hoursLeft)) });
+  }
+  return due;
+}
+
+export function buildReminderNotification({ streak, hoursLeft, today }, appUrl) {
+  const hours = `${hoursLeft} hour${hoursLeft === 1 ? '' : 's'}`;
+  return {
+    notificationId: `streak-reminder-${today}`,
+    title: 'Keep your streak going',
+    body: `Your ${streak}-day streak ends in ${hours}. Check in now to keep it.`.slice(0, BODY_MAX),
+    targetUrl: appUrl
+  };
+}
+
+// POST one notification to the URL the client gave for the token
+export async function sendNotification(url, notification, tokens) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...notification, tokens })
+  });
+  if (!response.ok) {
+    throw new Error(`Notification server returned ${response.status}`);
+  }
+  const { result = {} } = await response.json();
+  return {
+    successfulTokens: result.successfulTokens || [],
+    invalidTokens: result.invalidTokens || [],
+    rateLimitedTokens: result.rateLimitedTokens || []
+  };
+}
+
+// Send every due reminder once. Rate-limited tokens are left for the next run.
+// Subscriptions stored before notification URLs were checked may name
+// any URL, so only allowed origins are sent to.
+export async function runReminders(store, { appUrl, hoursBefore, notificationOrigins = NOTIFICATION_ORIGINS } = {}) {
+  let sent = 0;
+  for (const reminder of findDueReminders(store, { hoursBefore })) {
+    if (!isAllowedNotificationUrl(reminder.url, notificationOrigins)) {
+      console.warn(`Skipping reminder for fid ${reminder.fid}: notification URL is not allowed`);
+      continue;
+    }
+    try {
+      const result = await sendNotification(
+        reminder.url, buildReminderNotification(reminder, appUrl), [reminder.token]
+      );
+      if (result.successfulTokens.includes(reminder.token)) {
+        await store.updateReminder(reminder.fid, { remindedOn: reminder.today });
+        sent++;
+      }
+      if (result.invalidTokens.includes(reminder.token)) {
+        await store.dropNotificationToken(reminder.token);
+      }
+    } catch (error) {
+      console.error(`Reminder for fid ${reminder.fid} failed:`, error.message);
+    }
+  }
+  return sent;
+}
+
+// Check for due reminders every intervalMs. Returns a function that stops it.
+export function startReminderScheduler(store, {
+  appUrl,
+  hoursBefore = REMINDER_DEFAULTS.hoursBefore,
+  intervalMs = REMINDER_DEFAULTS.intervalMs,
+  notificationOrigins = NOTIFICATION_ORIGINS
+} = {}) {
+  let running = false;
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const sent = await runReminders(store, { appUrl, hoursBefore, notificationOrigins });
+      if (sent > 0) console.log(`Sent ${sent} streak reminder(s)`);
+    } catch (error) {
+      console.error('Streak reminders failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  tick();
+  return () => clearInterval(timer);
+}
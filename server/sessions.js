@@ -0,0 +1,21 @@
+// Farcaster sign-in confirmation. The app cannot check a quick-auth
+// token's signature or whether a Sign In with Farcaster message was signed
+// by the FID's custody address, so it asks here before it keeps a session
+// for the FID.
+//
+//   POST /api/sessions/farcaster  { auth }  ->  { fid, method }
+import { HttpError, sendJson, readJsonBody } from './http.js';
+
+export function sessionRoutes(farcaster, { publicUrl = '' }) {
+  async function postFarcasterSession(req, res) {
+    if (!publicUrl) throw new HttpError(503, 'Farcaster sign-in needs PUBLIC_URL');
+    const { auth } = await readJsonBody(req);
+    const proven = await farcaster.verifyFidProof(auth, { domain: new URL(publicUrl).host });
+    if (!proven) throw new HttpError(401, 'auth must be a Farcaster sign-in for this app');
+    sendJson(res, 200, proven);
+  }
+
+  return [
+    { method: 'POST', pattern: /^\/api\/sessions\/farcaster$/, handler: postFarcasterSession }
+  ];
+}
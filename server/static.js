@@ -0,0 +1,59 @@
+// Static file serving for the app itself
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { HttpError } from './http.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json; charset=utf-8',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+// Never serve server code, stored data or tooling from the static handler
+const PRIVATE_DIRS = new Set(['server', 'data', 'scripts', 'node_modules', '.git']);
+const PRIVATE_FILES = new Set(['package.json', 'package-lock.json']);
+
+export async function serveStatic(req, res, pathname) {
+  let relative;
+  try {
+    relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch (e) {
+    // Malformed percent-encoding, e.g. /%E0%A4%A
+    throw new HttpError(400, 'Bad request path');
+  }
+  if (relative === '' || relative.endsWith('/')) relative += 'index.html';
+
+  const filePath = path.resolve(ROOT_DIR, relative);
+  const topDir = relative.split('/')[0];
+  if (!filePath.startsWith(ROOT_DIR + path.sep) || PRIVATE_DIRS.has(topDir) || PRIVATE_FILES.has(relative) ||
+      (topDir.startsWith('.') && topDir !== '.well-known')) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  const contentType = CONTENT_TYPES[path.extname(filePath)];
+  if (!contentType) throw new HttpError(404, 'Not found');
+
+  let body;
+  try {
+    body = await fs.readFile(filePath);
+  } catch (e) {
+    throw new HttpError(404, 'Not found');
+  }
+
+  // Public files; other sites load embed.js and the modules it imports
+  res.writeHead(200, {
+    'Content-Type': contentType,
+    'Content-Length': body.length,
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
@@ -0,0 +1,162 @@
+// File-backed check-in store
+// The whole dataset is one JSON document, rewritten atomically on change.
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+function emptyRecord() {
+  return { dates: [], signatures: {}, messages: {}, receivedAt: {} };
+}
+
+export async function createStore(filePath) {
+  let data = { users: {}, reminders: {}, groups: {}, usedGroupActions: {}, anchors: [] };
+
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    data.users = data.users || {};
+    data.reminders = data.reminders || {};
+    data.groups = data.groups || {};
+    data.usedGroupActions = data.usedGroupActions || {};
+    data.anchors = data.anchors || [];
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new Error(`Could not read store at ${filePath}: ${e.message}`);
+    }
+  }
+
+  // Serialize writes so concurrent requests never interleave a rename. A
+  // failed write only fails its own caller; the next one writes everything.
+  let writeQueue = Promise.resolve();
+  // Bumped on every change so derived views (leaderboard) can cache
+  let version = 0;
+
+  function persist() {
+    version++;
+    const snapshot = JSON.stringify(data, null, 2);
+    const write = writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tmpPath, snapshot);
+      await fs.rename(tmpPath, filePath);
+    });
+    writeQueue = write;
+    return write;
+  }
+
+  return {
+    get version() {
+      return version;
+    },
+
+    getUser(address) {
+      return data.users[address.toLowerCase()] || emptyRecord();
+    },
+
+    listAddresses() {
+      return Object.keys(data.users);
+    },
+
+    // Returns false when the date was already recorded
+    // The zone of the newest signed check-in becomes the user's zone.
+    // receivedAt is when the server took it, by its own clock.
+    async addCheckIn(address, { date, signature, message, timeZone, receivedAt }) {
+      const key = address.toLowerCase();
+      const record = data.users[key] || emptyRecord();
+      if (record.dates.includes(date)) return false;
+
+      record.dates.push(date);
+      record.dates.sort();
+      if (timeZone && record.dates[record.dates.length - 1] === date) {
+        record.timeZone = timeZone;
+      }
+      record.signatures[date] = signature;
+      record.messages[date] = message;
+      // Records from before receive times were kept have none
+      record.receivedAt = { ...record.receivedAt, [date]: receivedAt };
+      data.users[key] = record;
+
+      await persist();
+      return true;
+    },
+
+    // Reminder subscriptions, keyed by FID: { url, token, wallets, remindedOn }.
+    // url and token come from the Mini App webhook, wallets from the app.
+    getReminder(fid) {
+      return data.reminders[fid] || null;
+    },
+
+    listReminders() {
+      return Object.entries(data.reminders).map(([fid, reminder]) => ({ fid: Number(fid), ...reminder }));
+    },
+
+    async updateReminder(fid, changes) {
+      const reminder = data.reminders[fid] || { url: null, token: null, wallets: [], remindedOn: null };
+      data.reminders[fid] = { ...reminder, ...changes };
+      await persist();
+    },
+
+    async removeReminder(fid) {
+      if (!data.reminders[fid]) return;
+      delete data.reminders[fid];
+      await persist();
+    },
+
+    // Groups, keyed by id: { id, name, inviteCode, threshold, timeZone,
+    // createdBy, createdAt, members: [{ address, joinedOn }], challenges }
+    getGroup(id) {
+      return data.groups[id] || null;
+    },
+
+    findGroupByInvite(inviteCode) {
+      return Object.values(data.groups).find(group => group.inviteCode === inviteCode) || null;
+    },
+
+    listGroups() {
+      return Object.values(data.groups);
+    },
+
+    async saveGroup(group) {
+      data.groups[group.id] = group;
+      await persist();
+    },
+
+    async removeGroup(id) {
+      if (!data.groups[id]) return;
+      delete data.groups[id];
+      await persist();
+    },
+
+    // Signed group actions taken so far, until they expire: false when id
+    // was already used, so a captured action cannot be sent again
+    async useGroupAction(id, expiresAt, now = Date.now()) {
+      for (const [used, expiry] of Object.entries(data.usedGroupActions)) {
+        if (expiry <= now) delete data.usedGroupActions[used];
+      }
+      if (data.usedGroupActions[id]) return false;
+      data.usedGroupActions[id] = expiresAt;
+      await persist();
+      return true;
+    },
+
+    // Daily anchor log, oldest first and only ever appended to:
+    // { date, root, count, prev, signature, leaves, createdAt }
+    listAnchors() {
+      return data.anchors;
+    },
+
+    async appendAnchor(anchor) {
+      data.anchors.push(anchor);
+      await persist();
+    },
+
+    // Tokens the notification server reports as invalid stop being used
+    async dropNotificationToken(token) {
+      for (const reminder of Object.values(data.reminders)) {
+        if (reminder.token === token) {
+          reminder.url = null;
+          reminder.token = null;
+        }
+      }
+      await persist();
+    }
+  };
+}
@@ -0,0 +1,105 @@
+// Service worker: keeps the app shell cached so the app installs to the
+// home screen and opens without a connection. Bump CACHE_VERSION when the
+// PRECACHE list changes.
+const CACHE_VERSION = 'v4';
+const CACHE_NAME = `base-checkin-${CACHE_VERSION}`;
+
+// Everything index.html loads, including each module game.js imports
+const PRECACHE = [
+  './',
+  'index.html',
+  'game.js',
+  'style.css',
+  'manifest.webmanifest',
+  'vendor/miniapp-sdk.js',
+  'fonts/fonts.css',
+  'fonts/jetbrains-mono-latin-400-normal.woff2',
+  'fonts/jetbrains-mono-latin-600-normal.woff2',
+  'fonts/jetbrains-mono-latin-700-normal.woff2',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'lib/achievements.js',
+  'lib/anchors.js',
+  'lib/bundle.js',
+  'lib/card.js',
+  'lib/checkin.js',
+  'lib/config.js',
+  'lib/devtools.js',
+  'lib/eip712.js',
+  'lib/errors.js',
+  'lib/eth.js',
+  'lib/groups.js',
+  'lib/heatmap.js',
+  'lib/identity.js',
+  'lib/keccak.js',
+  'lib/onchain.js',
+  'lib/outbox.js',
+  'lib/secp256k1.js',
+  'lib/share.js',
+  'lib/siwe.js',
+  'lib/stats.js',
+  'lib/storage.js',
+  'lib/streak.js',
+  'lib/wallets.js'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('base-checkin-') && key !== CACHE_NAME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Fetch and store a fresh copy under cacheKey, if given; failures leave
+// the cached one in place
+function refresh(request, cacheKey = request) {
+  return fetch(request).then(response => {
+    if (response.ok && cacheKey) {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(cacheKey, copy));
+    }
+    return response;
+  });
+}
+
+// The API and share images always go to the network; offline check-ins
+// are queued by the app itself. Pages try the network first so profile
+// links keep their share meta, then fall back to the cached app. Other
+// files are served from the cache and refreshed in the background, so a
+// deploy shows up on the next launch.
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/og/')) return;
+
+  if (request.mode === 'navigate') {
+    const isAppShell = /^\/(index\.html)?$/.test(url.pathname) && !url.search;
+    event.respondWith(
+      refresh(request, isAppShell ? 'index.html' : null)
+        .catch(() => caches.match(request, { ignoreSearch: true })
+          .then(cached => cached || caches.match('index.html')))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then(cached => {
+      const fresh = refresh(request);
+      if (!cached) return fresh;
+      fresh.catch(() => {});
+      return cached;
+    })
+  );
+});
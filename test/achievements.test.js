@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateAchievements, getEarnedBadges, findNewBadges, ACHIEVEMENTS } from '../lib/achievements.js';
+import { addDays } from '../lib/streak.js';
+
+function daysEndingAt(last, count) {
+  return Array.from({ length: count }, (_, i) => addDays(last, i - count + 1));
+}
+
+function unlocks(dates) {
+  return Object.fromEntries(evaluateAchievements(dates, 'UTC').map(({ id, unlockedOn }) => [id, unlockedOn]));
+}
+
+test('every achievement is listed, earned or not', () => {
+  const achievements = evaluateAchievements([], 'UTC');
+  assert.deepEqual(achievements.map(achievement => achievement.id), ACHIEVEMENTS.map(achievement => achievement.id));
+  assert.ok(achievements.every(achievement => achievement.unlockedOn === null && !('rule' in achievement)));
+});
+
+test('streak badges unlock on the day the streak reaches them', () => {
+  const earned = unlocks(daysEndingAt('2026-03-31', 31));
+  assert.equal(earned['streak-7'], '2026-03-07');
+  assert.equal(earned['streak-30'], '2026-03-30');
+  assert.equal(earned['streak-100'], null);
+  assert.equal(earned['perfect-month'], '2026-03-31');
+});
+
+test('a freeze keeps the streak going but spoils the month', () => {
+  // The freeze earned on the 7th covers the 8th
+  const earned = unlocks([...daysEndingAt('2026-03-07', 7), ...daysEndingAt('2026-04-01', 24)]);
+  assert.equal(earned['streak-30'], '2026-03-31');
+  assert.equal(earned['perfect-month'], null);
+});
+
+test('a short month can be perfect, and the 50th day is a badge', () => {
+  const earned = unlocks([...daysEndingAt('2026-01-31', 28), ...daysEndingAt('2026-02-28', 28)]);
+  assert.equal(earned['perfect-month'], '2026-02-28');
+  assert.equal(earned['total-50'], '2026-02-22');
+});
+
+test('coming back after more than a week away', () => {
+  assert.equal(unlocks([...daysEndingAt('2026-01-06', 6), '2026-01-16'])['comeback'], '2026-01-16');
+  // A week to the day is not long enough
+  assert.equal(unlocks(['2026-01-06', '2026-01-13'])['comeback'], null);
+});
+
+test('duplicates and order do not change unlock days', () => {
+  const dates = daysEndingAt('2026-03-07', 7);
+  assert.deepEqual(unlocks([...dates, ...dates].reverse()), unlocks(dates));
+});
+
+test('earned badges come oldest first', () => {
+  const badges = getEarnedBadges([...daysEndingAt('2026-01-06', 6), ...daysEndingAt('2026-01-22', 7)], 'UTC');
+  assert.deepEqual(badges.map(badge => [badge.id, badge.unlockedOn]), [
+    ['comeback', '2026-01-16'],
+    ['streak-7', '2026-01-22']
+  ]);
+});
+
+test('new badges are the ones not earned before', () => {
+  const before = getEarnedBadges(daysEndingAt('2026-03-06', 6), 'UTC');
+  const after = getEarnedBadges(daysEndingAt('2026-03-07', 7), 'UTC');
+  assert.deepEqual(findNewBadges(before, after).map(badge => badge.id), ['streak-7']);
+  assert.deepEqual(findNewBadges(after, after), []);
+});
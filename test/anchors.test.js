@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { findDaysToAnchor } from '../server/anchors.js';
+import { createStore } from '../server/store.js';
+import {
+  buildMerkleLayers, getMerkleRoot, getMerkleProof, verifyMerkleProof, hashCheckInLeaf, signAnchor,
+  hashAnchor, findBrokenAnchor, verifyInclusion, GENESIS_HASH
+} from '../lib/anchors.js';
+import { bytesToHex, privateKeyToAddress } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+
+const ANCHOR_KEY = bytesToHex(keccak256('base-checkin anchor key'));
+const SIGNER = privateKeyToAddress(ANCHOR_KEY);
+const OTHER_KEY = bytesToHex(keccak256('base-checkin other key'));
+
+function wallet(n) {
+  return '0x' + String(n).repeat(40);
+}
+
+function checkIn(n, date = '2026-03-01') {
+  return { wallet: wallet(n), date, signature: bytesToHex(keccak256(`signature ${n} ${date}`)) + '1b' };
+}
+
+function leaves(count) {
+  return Array.from({ length: count }, (_, i) => hashCheckInLeaf(checkIn(i + 1)));
+}
+
+// A log of anchors for consecutive days, each linked to the one before
+function buildLog(days, privateKey = ANCHOR_KEY) {
+  const log = [];
+  let prev = GENESIS_HASH;
+  for (let day = 1; day <= days; day++) {
+    const layers = buildMerkleLayers(leaves(day));
+    const anchor = signAnchor({
+      date: `2026-03-0${day}`, root: getMerkleRoot(layers), count: day, prev
+    }, privateKey);
+    log.push(anchor);
+    prev = hashAnchor(anchor);
+  }
+  return log;
+}
+
+test('every leaf has a proof up to the root', () => {
+  for (const count of [1, 2, 3, 5, 8]) {
+    const layers = buildMerkleLayers(leaves(count));
+    const root = getMerkleRoot(layers);
+    for (const leaf of layers[0]) {
+      assert.equal(verifyMerkleProof(leaf, getMerkleProof(layers, leaf), root), true, `${count} leaves`);
+    }
+  }
+  assert.equal(getMerkleRoot(buildMerkleLayers([])), GENESIS_HASH);
+  const [only] = leaves(1);
+  assert.equal(getMerkleRoot(buildMerkleLayers([only])), only);
+});
+
+test('proofs do not carry over to other leaves or roots', () => {
+  const layers = buildMerkleLayers(leaves(5));
+  const root = getMerkleRoot(layers);
+  const [first, second] = layers[0];
+  const proof = getMerkleProof(layers, first);
+
+  assert.equal(verifyMerkleProof(second, proof, root), false);
+  assert.equal(verifyMerkleProof(first, proof, getMerkleRoot(buildMerkleLayers(leaves(4)))), false);
+  assert.equal(verifyMerkleProof(first, proof.slice(1), root), false);
+  assert.equal(verifyMerkleProof(first, 'not a proof', root), false);
+  assert.equal(getMerkleProof(layers, hashCheckInLeaf(checkIn(9))), null);
+  // The leaf order given does not change the tree
+  assert.equal(getMerkleRoot(buildMerkleLayers([...layers[0]].reverse())), root);
+});
+
+test('an intact log holds together', () => {
+  assert.equal(findBrokenAnchor(buildLog(4), SIGNER), -1);
+  assert.equal(findBrokenAnchor([], SIGNER), -1);
+});
+
+test('a rewritten entry breaks the log where it was changed', () => {
+  const log = buildLog(4);
+
+  // A new root without a new signature
+  const edited = log.map((anchor, i) => i === 2 ? { ...anchor, root: hashCheckInLeaf(checkIn(7)) } : anchor);
+  assert.equal(findBrokenAnchor(edited, SIGNER), 2);
+
+  // Re-signed by the key, but the next entry still names the old one
+  const resigned = [...log];
+  resigned[1] = signAnchor({ ...log[1], count: 99 }, ANCHOR_KEY);
+  assert.equal(findBrokenAnchor(resigned, SIGNER), 2);
+
+  // A dropped entry
+  assert.equal(findBrokenAnchor([log[0], ...log.slice(2)], SIGNER), 1);
+  // Another key
+  assert.equal(findBrokenAnchor(buildLog(2, OTHER_KEY), SIGNER), 0);
+});
+
+test('inclusion needs the signer\'s anchor for the day and a proof', () => {
+  const checkIns = [1, 2, 3].map(n => checkIn(n));
+  const layers = buildMerkleLayers(checkIns.map(hashCheckInLeaf));
+  const anchor = signAnchor({ date: '2026-03-01', root: getMerkleRoot(layers), count: 3, prev: GENESIS_HASH }, ANCHOR_KEY);
+  const proof = getMerkleProof(layers, hashCheckInLeaf(checkIns[1]));
+
+  assert.equal(verifyInclusion(checkIns[1], anchor, proof, SIGNER), true);
+  assert.equal(verifyInclusion({ ...checkIns[1], signature: checkIn(4).signature }, anchor, proof, SIGNER), false);
+  assert.equal(verifyInclusion(checkIns[1], { ...anchor, date: '2026-03-02' }, proof, SIGNER), false);
+  assert.equal(verifyInclusion(checkIns[1], anchor, proof, privateKeyToAddress(OTHER_KEY)), false);
+});
+
+test('the server anchors finished days and serves proofs that check out', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  const dataFile = path.join(dataDir, 'checkins.json');
+  const seeded = [checkIn(1, '2026-03-01'), checkIn(2, '2026-03-01'), checkIn(1, '2026-03-02')];
+  const users = {};
+  for (const { wallet: address, date, signature } of seeded) {
+    users[address] = users[address] || { dates: [], signatures: {}, messages: {} };
+    users[address].dates.push(date);
+    users[address].signatures[date] = signature;
+  }
+  await fs.writeFile(dataFile, JSON.stringify({ users }));
+  assert.deepEqual(findDaysToAnchor(await createStore(dataFile)), ['2026-03-01', '2026-03-02']);
+
+  const server = await createServer({ dataFile, publicUrl: '', anchorKey: ANCHOR_KEY });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  try {
+    // The first run starts with the server
+    let log;
+    for (let tries = 0; tries < 50; tries++) {
+      log = await (await fetch(`${baseUrl}/api/anchors`)).json();
+      if (log.anchors.length === 2) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.equal(log.signer, SIGNER.toLowerCase());
+    assert.deepEqual(log.anchors.map(anchor => [anchor.date, anchor.count]), [['2026-03-01', 2], ['2026-03-02', 1]]);
+    assert.equal(findBrokenAnchor(log.anchors, log.signer), -1);
+
+    const { proofs } = await (await fetch(`${baseUrl}/api/users/${wallet(1)}/proofs`)).json();
+    for (const entry of [seeded[0], seeded[2]]) {
+      const anchor = log.anchors.find(a => a.date === entry.date);
+      assert.equal(verifyInclusion(entry, anchor, proofs[entry.date], log.signer), true, entry.date);
+    }
+
+    // A server that rewrote a day it had anchored is caught by the client
+    const tampered = structuredClone(log.anchors);
+    tampered[0].count = 1;
+    assert.equal(findBrokenAnchor(tampered, log.signer), 0);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createProofBundle, parseProofBundle, checkProofBundle, isBundleForWallet, BUNDLE_FORMAT, BUNDLE_VERSION
+} from '../lib/bundle.js';
+import { buildCheckInMessage, buildCheckInTypedData } from '../lib/checkin.js';
+import { TYPED_CHECKIN_SINCE } from '../lib/config.js';
+import { signTypedData } from '../lib/eip712.js';
+import { bytesToHex, hashMessage, privateKeyToAddress, signDigest } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { addDays } from '../lib/streak.js';
+
+const PRIVATE_KEY = bytesToHex(keccak256('base-checkin bundle wallet'));
+const WALLET = privateKeyToAddress(PRIVATE_KEY);
+const LEGACY_DAY = addDays(TYPED_CHECKIN_SINCE, -2);
+const TYPED_DAY = addDays(TYPED_CHECKIN_SINCE, -1);
+const ONCHAIN_DAY = TYPED_CHECKIN_SINCE;
+
+function signTyped(date) {
+  const message = buildCheckInTypedData({
+    wallet: WALLET,
+    date,
+    timeZone: 'UTC',
+    nonce: bytesToHex(keccak256(`nonce:${date}`)),
+    origin: 'http://localhost:3000'
+  });
+  return { message, signature: signTypedData(message, PRIVATE_KEY) };
+}
+
+// A legacy proof stored without its message, a typed one, and an onchain
+// day with no signature at all
+function buildUserData() {
+  const typed = signTyped(TYPED_DAY);
+  return {
+    dates: [LEGACY_DAY, TYPED_DAY, ONCHAIN_DAY],
+    signatures: {
+      [LEGACY_DAY]: signDigest(hashMessage(buildCheckInMessage(WALLET, LEGACY_DAY)), PRIVATE_KEY),
+      [TYPED_DAY]: typed.signature
+    },
+    messages: { [TYPED_DAY]: typed.message }
+  };
+}
+
+function roundTrip(bundle) {
+  return parseProofBundle(JSON.stringify(bundle));
+}
+
+test('bundles hold every signed day and skip onchain ones', () => {
+  const bundle = createProofBundle(WALLET, buildUserData());
+  assert.equal(bundle.format, BUNDLE_FORMAT);
+  assert.equal(bundle.version, BUNDLE_VERSION);
+  assert.equal(bundle.wallet, WALLET);
+  assert.ok(!Number.isNaN(Date.parse(bundle.exportedAt)));
+  assert.deepEqual(bundle.entries.map(entry => entry.date), [LEGACY_DAY, TYPED_DAY]);
+  assert.equal(bundle.entries[0].message, null);
+});
+
+test('an exported bundle imports in full on a fresh browser', () => {
+  const report = checkProofBundle(roundTrip(createProofBundle(WALLET, buildUserData())));
+  assert.deepEqual(report.accepted.map(entry => entry.date), [LEGACY_DAY, TYPED_DAY]);
+  assert.equal(report.accepted[0].message, undefined);
+  assert.deepEqual(report.accepted[1].message, buildUserData().messages[TYPED_DAY]);
+  assert.deepEqual(report.rejected, []);
+  assert.deepEqual(report.duplicates, []);
+});
+
+test('days already held are duplicates, and so are repeats in the file', () => {
+  const bundle = roundTrip(createProofBundle(WALLET, buildUserData()));
+  bundle.entries.push(bundle.entries[1]);
+  const report = checkProofBundle(bundle, [LEGACY_DAY]);
+  assert.deepEqual(report.accepted.map(entry => entry.date), [TYPED_DAY]);
+  assert.deepEqual(report.duplicates, [LEGACY_DAY, TYPED_DAY]);
+});
+
+test('edited entries are rejected with a reason', () => {
+  const bundle = roundTrip(createProofBundle(WALLET, buildUserData()));
+  const [legacy, typed] = bundle.entries;
+  bundle.entries = [
+    { ...legacy, date: addDays(LEGACY_DAY, -1) },
+    { ...typed, signature: legacy.signature },
+    { ...typed, date: '19/10/2026' },
+    null
+  ];
+  assert.deepEqual(checkProofBundle(bundle).rejected, [
+    { date: addDays(LEGACY_DAY, -1), reason: 'signature does not match wallet and date' },
+    { date: TYPED_DAY, reason: 'signature does not match wallet and date' },
+    { date: '19/10/2026', reason: 'invalid date' },
+    { date: 'null', reason: 'invalid date' }
+  ]);
+});
+
+test('a bundle moved to another wallet proves nothing', () => {
+  const bundle = roundTrip(createProofBundle(WALLET, buildUserData()));
+  const other = privateKeyToAddress(bytesToHex(keccak256('base-checkin other wallet')));
+  assert.equal(isBundleForWallet(bundle, WALLET.toLowerCase()), true);
+  assert.equal(isBundleForWallet(bundle, other), false);
+
+  const report = checkProofBundle({ ...bundle, wallet: other });
+  assert.deepEqual(report.accepted, []);
+  assert.equal(report.rejected.length, 2);
+});
+
+test('files that are not bundles are refused with a readable message', () => {
+  const bundle = createProofBundle(WALLET, buildUserData());
+  const cases = [
+    ['{not json', /not valid JSON/],
+    ['null', /not a Base Check-In proof bundle/],
+    [JSON.stringify({ ...bundle, format: 'other' }), /not a Base Check-In proof bundle/],
+    [JSON.stringify({ ...bundle, version: 2 }), /Unsupported bundle version 2/],
+    [JSON.stringify({ ...bundle, wallet: '0x1234' }), /no valid wallet address/],
+    [JSON.stringify({ ...bundle, entries: {} }), /no entries/]
+  ];
+  for (const [text, message] of cases) {
+    assert.throws(() => parseProofBundle(text), message, text);
+  }
+});
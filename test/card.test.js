@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveCardTemplate, formatAddress, formatFreezes, createRandom, drawStreakCard, drawCompactStreakCard,
+  CARD_SIZES, CARD_THEMES, DEFAULT_CARD_TEMPLATE
+} from '../lib/card.js';
+
+const WALLET = '0x' + 'ab'.repeat(20);
+const CARD = { streak: 12, total: 40, freezes: { available: 2 }, wallet: WALLET, date: '2026-03-10' };
+
+// A 2D context that records what is drawn
+function createRecorder() {
+  const calls = [];
+  const record = name => (...args) => { calls.push([name, ...args]); };
+  const gradient = { addColorStop: record('addColorStop') };
+  const ctx = new Proxy({ calls }, {
+    get(target, name) {
+      if (name in target) return target[name];
+      if (name === 'createLinearGradient' || name === 'createRadialGradient') {
+        return (...args) => {
+          calls.push([name, ...args]);
+          return gradient;
+        };
+      }
+      if (name === 'measureText') return text => ({ width: text.length * 10 });
+      return record(name);
+    },
+    set(target, name, value) {
+      calls.push(['set', name, value === gradient ? 'gradient' : value]);
+      return true;
+    }
+  });
+  return ctx;
+}
+
+function textsDrawn(ctx) {
+  return ctx.calls.filter(([name]) => name === 'fillText').map(([, text, x, y]) => ({ text, x, y }));
+}
+
+test('unknown themes and sizes fall back to the defaults', () => {
+  assert.deepEqual(resolveCardTemplate(), DEFAULT_CARD_TEMPLATE);
+  assert.deepEqual(resolveCardTemplate({ theme: 'paper', size: 'story' }), { theme: 'paper', size: 'story' });
+  assert.deepEqual(resolveCardTemplate({ theme: 'neon', size: 'poster' }), DEFAULT_CARD_TEMPLATE);
+});
+
+test('addresses are shortened and freezes counted', () => {
+  assert.equal(formatAddress(WALLET), '0xabab...abab');
+  assert.equal(formatAddress(null), '');
+  assert.equal(formatFreezes({ available: 1 }), '❄ 1 freeze');
+  assert.equal(formatFreezes({ available: 2 }), '❄ 2 freezes');
+  assert.equal(formatFreezes(null), '❄ 0 freezes');
+});
+
+test('the seeded generator repeats for a seed and stays in range', () => {
+  const sequence = seed => {
+    const random = createRandom(seed);
+    return Array.from({ length: 50 }, () => random());
+  };
+  assert.deepEqual(sequence(`${WALLET}|2026-03-10`), sequence(`${WALLET}|2026-03-10`));
+  assert.notDeepEqual(sequence(`${WALLET}|2026-03-10`), sequence(`${WALLET}|2026-03-11`));
+  assert.ok(sequence('range').every(value => value >= 0 && value < 1));
+});
+
+test('a card draws its streak, totals, wallet and date', () => {
+  const ctx = createRecorder();
+  drawStreakCard(ctx, CARD);
+  assert.deepEqual(textsDrawn(ctx).map(({ text }) => text), [
+    'Base Check-In', '12', 'DAY STREAK', '40 total days · ❄ 2 freezes', '0xabab...abab', '2026-03-10'
+  ]);
+  assert.ok(ctx.calls.some(([name, ...args]) =>
+    name === 'addColorStop' && args[1] === CARD_THEMES.base.background[0]));
+});
+
+test('the same card draws the same way every time', () => {
+  const first = createRecorder();
+  const second = createRecorder();
+  drawStreakCard(first, CARD, { theme: 'midnight', size: 'square' });
+  drawStreakCard(second, { ...CARD }, { theme: 'midnight', size: 'square' });
+  assert.deepEqual(first.calls, second.calls);
+
+  const nextDay = createRecorder();
+  drawStreakCard(nextDay, { ...CARD, date: '2026-03-11' }, { theme: 'midnight', size: 'square' });
+  const arcs = ctx => ctx.calls.filter(([name]) => name === 'arc');
+  assert.notDeepEqual(arcs(nextDay), arcs(first));
+});
+
+test('badges and stats add lines, and the frame footer moves down for stats', () => {
+  const plain = createRecorder();
+  drawStreakCard(plain, CARD);
+  const full = createRecorder();
+  drawStreakCard(full, {
+    ...CARD,
+    badges: ['🔥', '🌕'],
+    stats: { longest: { length: 9 }, completion: { 30: 0.4667 } }
+  });
+
+  const texts = textsDrawn(full).map(({ text }) => text);
+  assert.ok(texts.includes('🔥 🌕'));
+  assert.ok(texts.includes('best 9 · 47% of last 30 days'));
+  const y = (ctx, text) => textsDrawn(ctx).find(drawn => drawn.text === text).y;
+  assert.equal(y(full, '2026-03-10'), y(plain, '2026-03-10') + 12);
+});
+
+test('larger sizes scale the layout from the 600px frame', () => {
+  const frame = createRecorder();
+  drawStreakCard(frame, CARD, { size: 'frame' });
+  const square = createRecorder();
+  drawStreakCard(square, CARD, { size: 'square' });
+  const scale = CARD_SIZES.square.width / CARD_SIZES.frame.width;
+  const titleX = ctx => textsDrawn(ctx)[0].x;
+  assert.equal(titleX(square), titleX(frame) * scale);
+  assert.ok(square.calls.some(([name, property, value]) =>
+    name === 'set' && property === 'font' && value === `bold ${Math.round(72 * scale)}px JetBrains Mono, monospace`));
+});
+
+test('the compact card puts the label after the streak', () => {
+  const ctx = createRecorder();
+  drawCompactStreakCard(ctx, { streak: 365, total: 1, wallet: WALLET });
+  const texts = textsDrawn(ctx);
+  assert.deepEqual(texts.map(({ text }) => text), ['Base Check-In', '365', 'DAY STREAK', '0xabab...abab · 1 total day']);
+  assert.equal(texts[2].x, texts[1].x + '365'.length * 10 + 10);
+});
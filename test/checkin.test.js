@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyCheckIn, buildCheckInMessage, buildCheckInTypedData } from '../lib/checkin.js';
+import { TYPED_CHECKIN_SINCE } from '../lib/config.js';
+import { signTypedData } from '../lib/eip712.js';
+import { bytesToHex, hashMessage, privateKeyToAddress, signDigest } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { addDays } from '../lib/streak.js';
+
+const PRIVATE_KEY = bytesToHex(keccak256('base-checkin test wallet'));
+const WALLET = privateKeyToAddress(PRIVATE_KEY);
+
+function signLegacy(date) {
+  const message = buildCheckInMessage(WALLET, date);
+  return { wallet: WALLET, date, message, signature: signDigest(hashMessage(message), PRIVATE_KEY) };
+}
+
+function signTyped(date) {
+  const message = buildCheckInTypedData({
+    wallet: WALLET,
+    date,
+    timeZone: 'UTC',
+    nonce: bytesToHex(keccak256(`nonce:${date}`)),
+    origin: 'http://localhost:3000'
+  });
+  return { wallet: WALLET, date, message, signature: signTypedData(message, PRIVATE_KEY) };
+}
+
+test('legacy proofs back days before the cutover', () => {
+  assert.equal(verifyCheckIn(signLegacy(addDays(TYPED_CHECKIN_SINCE, -1))), true);
+});
+
+test('legacy proofs do not back the cutover day or later', () => {
+  assert.equal(verifyCheckIn(signLegacy(TYPED_CHECKIN_SINCE)), false);
+  assert.equal(verifyCheckIn(signLegacy(addDays(TYPED_CHECKIN_SINCE, 30))), false);
+});
+
+test('typed check-ins verify on either side of the cutover', () => {
+  assert.equal(verifyCheckIn(signTyped(addDays(TYPED_CHECKIN_SINCE, -1))), true);
+  assert.equal(verifyCheckIn(signTyped(TYPED_CHECKIN_SINCE)), true);
+});
+
+test('a proof for one day does not back another', () => {
+  const proof = signTyped(TYPED_CHECKIN_SINCE);
+  assert.equal(verifyCheckIn({ ...proof, date: addDays(TYPED_CHECKIN_SINCE, 1) }), false);
+});
@@ -0,0 +1,136 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { isAcceptedCheckInDate, CHECKIN_GRACE_MS } from '../server/checkins.js';
+import { buildCheckInTypedData } from '../lib/checkin.js';
+import { signTypedData } from '../lib/eip712.js';
+import { bytesToHex, privateKeyToAddress } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { getDevPrivateKey } from '../lib/devtools.js';
+import { getDateString, addDays } from '../lib/streak.js';
+
+const PRIVATE_KEY = bytesToHex(keccak256('base-checkin test wallet'));
+const WALLET = privateKeyToAddress(PRIVATE_KEY);
+
+function signCheckIn(date, { timeZone = 'UTC', privateKey = PRIVATE_KEY, origin = baseUrl } = {}) {
+  const wallet = privateKeyToAddress(privateKey);
+  const message = buildCheckInTypedData({
+    wallet,
+    date,
+    timeZone,
+    nonce: bytesToHex(keccak256(`nonce:${date}`)),
+    origin
+  });
+  return { wallet, date, signature: signTypedData(message, privateKey), message };
+}
+
+test('today is accepted, yesterday only within the grace window', () => {
+  // 01:00 UTC on March 10th
+  const now = Date.UTC(2026, 2, 10, 1);
+  assert.equal(isAcceptedCheckInDate('2026-03-10', 'UTC', { now }), true);
+  assert.equal(isAcceptedCheckInDate('2026-03-09', 'UTC', { now }), true);
+  assert.equal(isAcceptedCheckInDate('2026-03-09', 'UTC', { now: now + CHECKIN_GRACE_MS }), false);
+  assert.equal(isAcceptedCheckInDate('2026-03-08', 'UTC', { now }), false);
+  assert.equal(isAcceptedCheckInDate('2026-03-11', 'UTC', { now }), false);
+});
+
+test('days are judged in the signer\'s zone', () => {
+  // Still March 9th in Los Angeles
+  const now = Date.UTC(2026, 2, 10, 5);
+  assert.equal(isAcceptedCheckInDate('2026-03-09', 'America/Los_Angeles', { now }), true);
+  assert.equal(isAcceptedCheckInDate('2026-03-10', 'America/Los_Angeles', { now }), false);
+});
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+function postCheckIn(body) {
+  return fetch(`${baseUrl}/api/checkins`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('backdated check-ins are rejected', async () => {
+  const today = getDateString(new Date(), 'UTC');
+  for (const offset of [2, 30]) {
+    const response = await postCheckIn(signCheckIn(addDays(today, -offset)));
+    assert.equal(response.status, 400);
+  }
+  const user = await (await fetch(`${baseUrl}/api/users/${WALLET}`)).json();
+  assert.deepEqual(user.dates, []);
+});
+
+test('today\'s check-in is stored with the time it arrived', async () => {
+  const today = getDateString(new Date(), 'UTC');
+  const before = Date.now();
+  const response = await postCheckIn(signCheckIn(today));
+  assert.equal(response.status, 201);
+
+  const stored = JSON.parse(await fs.readFile(path.join(dataDir, 'checkins.json'), 'utf8'));
+  const receivedAt = Date.parse(stored.users[WALLET.toLowerCase()].receivedAt[today]);
+  assert.ok(receivedAt >= before && receivedAt <= Date.now());
+});
+
+test('dev wallets are refused unless the server allows them', async () => {
+  const today = getDateString(new Date(), 'UTC');
+  assert.equal((await postCheckIn(signCheckIn(today, { privateKey: getDevPrivateKey(3) }))).status, 403);
+
+  const devServer = await createServer({
+    dataFile: path.join(dataDir, 'dev.json'), publicUrl: '', anchorKey: null, allowDevWallets: true
+  });
+  await new Promise(resolve => devServer.listen(0, '127.0.0.1', resolve));
+  const devUrl = `http://127.0.0.1:${devServer.address().port}`;
+  try {
+    const response = await fetch(`${devUrl}/api/checkins`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(signCheckIn(today, { privateKey: getDevPrivateKey(3), origin: devUrl }))
+    });
+    assert.equal(response.status, 201);
+  } finally {
+    await new Promise(resolve => devServer.close(resolve));
+  }
+});
+
+test('check-ins signed for another origin are refused', async () => {
+  const today = getDateString(new Date(), 'UTC');
+  const response = await postCheckIn(signCheckIn(today, { origin: 'https://phishing.example' }));
+  assert.equal(response.status, 403);
+});
+
+test('PUBLIC_URL names the origin when APP_ORIGINS is not set', async () => {
+  const publicServer = await createServer({
+    dataFile: path.join(dataDir, 'public.json'), publicUrl: 'https://checkin.example', anchorKey: null
+  });
+  await new Promise(resolve => publicServer.listen(0, '127.0.0.1', resolve));
+  const post = body => fetch(`http://127.0.0.1:${publicServer.address().port}/api/checkins`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  try {
+    const today = getDateString(new Date(), 'UTC');
+    assert.equal((await post(signCheckIn(today))).status, 403);
+    assert.equal((await post(signCheckIn(today, { origin: 'https://checkin.example' }))).status, 201);
+  } finally {
+    await new Promise(resolve => publicServer.close(resolve));
+  }
+});
@@ -0,0 +1,130 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createMockProvider, createSdkStub, createDevTools, getDevPrivateKey, isDevAddress, isDevHost, DEV_ACCOUNT_COUNT
+} from '../lib/devtools.js';
+import { BASE_CHAIN_ID, buildCheckInMessage, buildCheckInTypedData, verifyCheckIn } from '../lib/checkin.js';
+import { bytesToHex, privateKeyToAddress } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { createSiweSession } from '../lib/siwe.js';
+import { addDays, getDateString, getTodayString, setDayOffset } from '../lib/streak.js';
+import { TYPED_CHECKIN_SINCE } from '../lib/config.js';
+
+const PRIVATE_KEY = getDevPrivateKey(0);
+
+function toUtf8Hex(text) {
+  return bytesToHex(new TextEncoder().encode(text));
+}
+
+async function connect(provider) {
+  const [account] = await provider.request({ method: 'eth_requestAccounts' });
+  return account;
+}
+
+before(() => {
+  globalThis.window = { location: { host: 'localhost:3000', origin: 'http://localhost:3000' } };
+});
+
+after(() => {
+  delete globalThis.window;
+  setDayOffset(0);
+});
+
+test('personal_sign check-ins verify', async () => {
+  const provider = createMockProvider({ privateKey: PRIVATE_KEY });
+  const wallet = await connect(provider);
+  const date = addDays(TYPED_CHECKIN_SINCE, -1);
+  const message = buildCheckInMessage(wallet, date);
+  const signature = await provider.request({ method: 'personal_sign', params: [toUtf8Hex(message), wallet] });
+  assert.equal(verifyCheckIn({ wallet, date, signature, message }), true);
+});
+
+test('typed check-ins verify', async () => {
+  const provider = createMockProvider({ privateKey: PRIVATE_KEY });
+  const wallet = await connect(provider);
+  const date = TYPED_CHECKIN_SINCE;
+  const message = buildCheckInTypedData({
+    wallet, date, timeZone: 'UTC', nonce: bytesToHex(keccak256('nonce')), origin: 'http://localhost:3000'
+  });
+  const signature = await provider.request({ method: 'eth_signTypedData_v4', params: [wallet, JSON.stringify(message)] });
+  assert.equal(verifyCheckIn({ wallet, date, signature, message }), true);
+});
+
+test('signing needs a connected account', async () => {
+  const provider = createMockProvider({ privateKey: PRIVATE_KEY });
+  await assert.rejects(provider.request({ method: 'personal_sign', params: ['0x00', provider.address] }), { code: 4100 });
+});
+
+test('rejectNextRequest turns down the next prompt only', async () => {
+  const provider = createMockProvider({ privateKey: PRIVATE_KEY });
+  provider.rejectNextRequest();
+  assert.deepEqual(await provider.request({ method: 'eth_chainId' }), '0x' + BASE_CHAIN_ID.toString(16));
+  await assert.rejects(provider.request({ method: 'eth_requestAccounts' }), { code: 4001 });
+  assert.deepEqual(await provider.request({ method: 'eth_requestAccounts' }), [provider.address]);
+});
+
+test('setChain reports the change once', async () => {
+  const provider = createMockProvider({ privateKey: PRIVATE_KEY });
+  const changes = [];
+  provider.on('chainChanged', chainId => changes.push(chainId));
+  provider.setChain(10);
+  provider.setChain(10);
+  await provider.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: '0x2105' }] });
+  assert.deepEqual(changes, ['0xa', '0x2105']);
+});
+
+test('the SDK stand-in signs in with Farcaster for its fid', async () => {
+  const provider = createMockProvider({ privateKey: PRIVATE_KEY });
+  const sdk = createSdkStub({ provider, privateKey: PRIVATE_KEY, fid: 5 });
+  const { message, signature } = await sdk.actions.signIn({ nonce: 'abcdef0123456789' });
+  const session = createSiweSession(message, signature, { domain: 'localhost:3000', nonce: 'abcdef0123456789' });
+  assert.equal(session.method, 'farcaster');
+  assert.equal(session.fid, 5);
+  assert.equal(session.address, provider.address);
+
+  const context = await sdk.context;
+  assert.deepEqual(context.user.verifiedAddresses, [provider.address]);
+});
+
+test('the SDK stand-in reports casts as posted', async () => {
+  const sdk = createSdkStub({ provider: createMockProvider({ privateKey: PRIVATE_KEY }), privateKey: PRIVATE_KEY });
+  const { cast } = await sdk.actions.composeCast({ text: 'gm', embeds: ['https://example.com'] });
+  assert.match(cast.hash, /^0x[0-9a-f]{40}$/);
+});
+
+test('devAccount is limited to the test keys', () => {
+  const address = index => privateKeyToAddress(getDevPrivateKey(index)).toLowerCase();
+  const account = value => createDevTools(new URLSearchParams({ devAccount: value })).provider.address;
+  assert.equal(account('4'), address(4));
+  assert.equal(account(String(DEV_ACCOUNT_COUNT)), address(0));
+  assert.equal(account('-1'), address(0));
+  assert.equal(account('1.5'), address(0));
+});
+
+test('devDay moves today', () => {
+  const realToday = getDateString(new Date(), 'UTC');
+  const tools = createDevTools(new URLSearchParams({ devDay: '2' }));
+  assert.equal(getTodayString('UTC'), addDays(realToday, 2));
+  tools.nextDay();
+  assert.equal(tools.getDay(), 3);
+  tools.setDay(0);
+  assert.equal(getTodayString('UTC'), realToday);
+});
+
+test('dev addresses are recognised in any case', () => {
+  for (let index = 0; index < DEV_ACCOUNT_COUNT; index++) {
+    assert.equal(isDevAddress(privateKeyToAddress(getDevPrivateKey(index))), true);
+  }
+  assert.equal(isDevAddress(privateKeyToAddress(getDevPrivateKey(0)).toUpperCase().replace('0X', '0x')), true);
+  assert.equal(isDevAddress(privateKeyToAddress(bytesToHex(keccak256('someone')))), false);
+  assert.equal(isDevAddress(null), false);
+});
+
+test('dev mode hosts are local only', () => {
+  for (const host of ['localhost', 'app.localhost', '127.0.0.1', '[::1]']) {
+    assert.equal(isDevHost(host), true, host);
+  }
+  for (const host of ['example.com', 'localhost.example.com', '127.0.0.1.nip.io', '10.0.0.1']) {
+    assert.equal(isDevHost(host), false, host);
+  }
+});
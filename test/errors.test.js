@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AppError, toAppError, ERROR_CATEGORIES } from '../lib/errors.js';
+
+function categoryOf(error) {
+  return toAppError(error).category;
+}
+
+test('app errors default to their category\'s message', () => {
+  const error = new AppError('wrong-account');
+  assert.ok(error instanceof Error);
+  assert.equal(error.name, 'AppError');
+  assert.equal(error.message, ERROR_CATEGORIES['wrong-account'].message);
+  assert.equal(toAppError(error), error);
+});
+
+test('every category has a title, message and matching action label', () => {
+  for (const [category, { title, message, action, label }] of Object.entries(ERROR_CATEGORIES)) {
+    assert.ok(title && message, category);
+    assert.ok([null, 'retry', 'reconnect'].includes(action), category);
+    assert.equal(Boolean(label), action !== null, category);
+  }
+});
+
+test('wallet error codes map to categories', () => {
+  const codes = {
+    4001: 'rejected',
+    4100: 'unauthorized',
+    4200: 'unsupported',
+    4900: 'disconnected',
+    4901: 'wrong-chain',
+    4902: 'wrong-chain',
+    [-32002]: 'pending'
+  };
+  for (const [code, category] of Object.entries(codes)) {
+    assert.equal(categoryOf({ code: Number(code), message: 'x' }), category, code);
+  }
+});
+
+test('codes are found where wallets and the SDK nest them', () => {
+  assert.equal(categoryOf(new Error('wrapped', { cause: { code: 4001 } })), 'rejected');
+  assert.equal(categoryOf({ code: -32603, data: { originalError: { code: 4902 } } }), 'wrong-chain');
+  assert.equal(categoryOf({ error: { code: 4100 } }), 'unauthorized');
+  // Too deep to look for
+  let nested = { code: 4001 };
+  for (let i = 0; i < 5; i++) nested = { cause: nested };
+  assert.equal(categoryOf(nested), 'unknown');
+});
+
+test('names and messages sort errors without codes', () => {
+  const named = (name, message = '') => Object.assign(new Error(message), { name });
+  assert.equal(categoryOf(named('SignIn.RejectedByUser')), 'rejected');
+  assert.equal(categoryOf(named('AbortError')), 'timeout');
+  assert.equal(categoryOf(named('TimeoutError')), 'timeout');
+  assert.equal(categoryOf(new TypeError('Failed to fetch')), 'network');
+  assert.equal(categoryOf(new TypeError('Load failed')), 'network');
+  assert.equal(categoryOf(new Error('User rejected the request.')), 'rejected');
+  assert.equal(categoryOf(new Error('Method eth_signTypedData_v4 not supported')), 'unsupported');
+});
+
+test('HTTP failures are server errors only at 5xx', () => {
+  assert.equal(categoryOf({ status: 503, message: 'Service Unavailable' }), 'server');
+  const refused = toAppError({ status: 400, message: 'Signature does not match' });
+  assert.equal(refused.category, 'unknown');
+  assert.equal(refused.message, 'Signature does not match');
+});
+
+test('known categories get their own message, unknown ones keep theirs', () => {
+  const original = { code: 4001, message: 'MetaMask Tx Signature: User denied' };
+  const error = toAppError(original);
+  assert.equal(error.message, ERROR_CATEGORIES.rejected.message);
+  assert.equal(error.cause, original);
+
+  assert.equal(toAppError(new Error('Already checked in today')).message, 'Already checked in today');
+  for (const thrown of [undefined, null, 'text', {}]) {
+    const unknown = toAppError(thrown);
+    assert.equal(unknown.category, 'unknown');
+    assert.equal(unknown.message, ERROR_CATEGORIES.unknown.message);
+  }
+});
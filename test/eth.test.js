@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  bytesToHex, hexToBytes, toChecksumAddress, hashMessage, privateKeyToAddress, recoverMessageAddress, signDigest,
+  parseSignature
+} from '../lib/eth.js';
+import { getPublicKey, CURVE_ORDER } from '../lib/secp256k1.js';
+
+// The web3.js accounts.sign example: key, personal_sign digest of
+// 'Some data', its published signature and the key's address
+const KEY = '0x4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318';
+const ADDRESS = '0x2c7536E3605D9C16a7a3D7b1898e529396a65c23';
+const DIGEST = '0x1da44b586eb0729ff70a73c326926f6ed5a25f5b056e7f47fbc6e58d86871655';
+const SIGNATURE = '0xb91467e570a6466aa9e9876cbcd013baba02900b8979d43fe208a4a4f339f5fd' +
+  '6007e74cd82e037b800186422fc2da167c747ef045e5d18a5f5d4300f8e1a0291c';
+
+test('EIP-55 checksums', () => {
+  // From the EIP
+  for (const address of [
+    '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed',
+    '0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359',
+    '0xdbF03B407c01E7cD3CBea99509d93f8DDDC8C6FB',
+    '0xD1220A0cf47c7B9Be7A2E6BA89F429762e7b9aDb'
+  ]) {
+    assert.equal(toChecksumAddress(address.toLowerCase()), address);
+    assert.equal(toChecksumAddress(address.toUpperCase().replace('0X', '0x')), address);
+  }
+});
+
+test('public keys and addresses for fixed keys', () => {
+  const generator = getPublicKey(1n);
+  assert.equal(generator.x, 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n);
+  assert.equal(generator.y, 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n);
+  assert.equal(getPublicKey(2n).x, 0xc6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5n);
+
+  assert.equal(privateKeyToAddress('0x' + '1'.padStart(64, '0')), '0x7E5F4552091A69125d5DfCb7b8C2659029395Bdf');
+  assert.equal(privateKeyToAddress('0x' + '2'.padStart(64, '0')), '0x2B5AD5c4795c026514f8317c7a215E218DcCD6cF');
+  assert.equal(privateKeyToAddress(KEY), ADDRESS);
+});
+
+test('EIP-191 personal_sign digests', () => {
+  assert.equal(bytesToHex(hashMessage('Some data')), DIGEST);
+  assert.equal(bytesToHex(hashMessage('Hello World')),
+    '0xa1de988600a42c4b4ab089b619297c17d53cffae5d5120d82d8a92d0bb3b78f2');
+  assert.deepEqual(hashMessage('Some data'), hashMessage(new TextEncoder().encode('Some data')));
+});
+
+test('a published personal_sign signature recovers its signer', () => {
+  assert.equal(recoverMessageAddress('Some data', SIGNATURE), ADDRESS);
+  assert.notEqual(recoverMessageAddress('Some datA', SIGNATURE), ADDRESS);
+});
+
+test('signatures for a fixed key and digest do not change', () => {
+  // The nonce comes from keccak of key and digest, not RFC 6979, so this
+  // differs from the published signature; checked with @noble/curves
+  const signature = signDigest(hexToBytes(DIGEST), KEY);
+  assert.equal(signature, '0xd5ccc35ac2f827f7bf259fb3a03e932cdb82ed694e62752c2841c2afe0e842af' +
+    '059bdf674c4fec1688e11eb354c533d1c551aa1902bd373443cf89834311fe721c');
+  assert.equal(recoverMessageAddress('Some data', signature), ADDRESS);
+});
+
+test('malleable and malformed signatures are refused', () => {
+  const { r, s, v } = parseSignature(SIGNATURE);
+  const highS = '0x' + r.toString(16).padStart(64, '0') + (CURVE_ORDER - s).toString(16).padStart(64, '0') +
+    (28 - v).toString(16);
+  assert.equal(parseSignature(highS), null);
+  assert.equal(recoverMessageAddress('Some data', highS), null);
+  assert.equal(parseSignature(SIGNATURE.slice(0, -2)), null);
+  assert.equal(parseSignature('0xzz'), null);
+  assert.equal(parseSignature(null), null);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import {
+  buildGroupActionMessage, computeGroupStreak, verifyGroupAction, requiredMembers, ACTION_MAX_AGE_MS
+} from '../lib/groups.js';
+import { bytesToHex, hashMessage, privateKeyToAddress, signDigest } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { addDays, getTodayString } from '../lib/streak.js';
+
+const TODAY = getTodayString('UTC');
+const KEY = bytesToHex(keccak256('base-checkin group member'));
+const WALLET = privateKeyToAddress(KEY);
+const OTHER_KEY = bytesToHex(keccak256('base-checkin group owner'));
+
+function days(...offsets) {
+  return offsets.map(offset => addDays(TODAY, -offset));
+}
+
+function signAction(action, subject, { key = KEY, issuedAt = new Date().toISOString() } = {}) {
+  const wallet = privateKeyToAddress(key);
+  const message = buildGroupActionMessage({ action, wallet, subject, issuedAt });
+  return { action, subject, wallet, issuedAt, signature: signDigest(hashMessage(message), key) };
+}
+
+test('a group day counts when enough members checked in', () => {
+  const members = [
+    { address: 'a', joinedOn: addDays(TODAY, -5), dates: days(0, 1, 2, 3) },
+    { address: 'b', joinedOn: addDays(TODAY, -5), dates: days(0, 1, 3) },
+    { address: 'c', joinedOn: addDays(TODAY, -5), dates: days(1) }
+  ];
+  const half = computeGroupStreak(members, 0.5, 'UTC', TODAY);
+  assert.deepEqual(half.days, days(3, 1, 0));
+  assert.equal(half.streak, 2);
+  assert.equal(half.required, 2);
+  assert.deepEqual(half.counts[addDays(TODAY, -2)], { checked: 1, of: 3, required: 2 });
+
+  const everyone = computeGroupStreak(members, 1, 'UTC', TODAY);
+  assert.deepEqual(everyone.days, days(1));
+  // Today can still count, so yesterday's day holds the streak
+  assert.equal(everyone.streak, 1);
+  assert.equal(everyone.longest, 1);
+});
+
+test('members only count from the day they joined', () => {
+  const members = [
+    { address: 'a', joinedOn: addDays(TODAY, -3), dates: days(0, 1, 2, 3) },
+    { address: 'b', joinedOn: TODAY, dates: [] }
+  ];
+  const group = computeGroupStreak(members, 1, 'UTC', TODAY);
+  assert.deepEqual(group.days, days(3, 2, 1));
+  assert.equal(group.streak, 3);
+  assert.deepEqual(group.counts[TODAY], { checked: 1, of: 2, required: 2 });
+});
+
+test('an empty group has no streak', () => {
+  assert.deepEqual(computeGroupStreak([], 0.5, 'UTC', TODAY).days, []);
+  assert.equal(requiredMembers(0.5, 0), 1);
+});
+
+test('group actions verify for the signer, subject and a recent time', () => {
+  const now = Date.now();
+  const signed = signAction('join', 'ABCDEFGHJK', { issuedAt: new Date(now).toISOString() });
+  assert.equal(verifyGroupAction(signed, now), true);
+  assert.equal(verifyGroupAction({ ...signed, subject: 'OTHERCODE1' }, now), false);
+  assert.equal(verifyGroupAction({ ...signed, action: 'leave' }, now), false);
+  assert.equal(verifyGroupAction({ ...signed, wallet: privateKeyToAddress(OTHER_KEY) }, now), false);
+  assert.equal(verifyGroupAction(signed, now + ACTION_MAX_AGE_MS + 1), false);
+  assert.equal(verifyGroupAction(signed, now - ACTION_MAX_AGE_MS - 1), false);
+});
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+function post(route, body) {
+  return fetch(`${baseUrl}/api/groups${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+test('a signed action cannot be replayed', async () => {
+  const create = signAction('create', 'Runners', { key: OTHER_KEY });
+  const created = await post('', { ...create, name: 'Runners', threshold: 0.5 });
+  assert.equal(created.status, 201);
+  const { id, inviteCode } = await created.json();
+  assert.equal((await post('', { ...create, name: 'Runners', threshold: 0.5 })).status, 409);
+
+  const join = signAction('join', inviteCode);
+  assert.equal((await post('/join', { ...join, inviteCode })).status, 200);
+  const leave = signAction('leave', id);
+  assert.equal((await post(`/${id}/leave`, leave)).status, 200);
+
+  // Back in with a new signature; the captured leave does not take them out
+  assert.equal((await post('/join', { ...join, inviteCode })).status, 409);
+  const rejoin = signAction('join', inviteCode, { issuedAt: new Date(Date.now() + 1).toISOString() });
+  assert.equal((await post('/join', { ...rejoin, inviteCode })).status, 200);
+  assert.equal((await post(`/${id}/leave`, leave)).status, 409);
+
+  const group = await (await fetch(`${baseUrl}/api/groups/${id}`)).json();
+  assert.equal(group.members.length, 2);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildHeatmap, shiftMonth, formatMonth, HEATMAP_MONTHS } from '../lib/heatmap.js';
+import { addDays } from '../lib/streak.js';
+
+test('months shift across year ends', () => {
+  assert.equal(shiftMonth('2026-01', -1), '2025-12');
+  assert.equal(shiftMonth('2025-12', 1), '2026-01');
+  assert.equal(shiftMonth('2026-03', -14), '2025-01');
+  assert.equal(shiftMonth('2026-03', 0), '2026-03');
+});
+
+test('months read as short name and year', () => {
+  assert.equal(formatMonth('2026-03'), 'Mar 2026');
+  assert.equal(formatMonth('2025-12'), 'Dec 2025');
+});
+
+test('a month starting on a Sunday needs no leading padding', () => {
+  // March 2026 starts on a Sunday and ends on a Tuesday
+  const { weeks, labels, start, end } = buildHeatmap('2026-03', '2026-12-31', 1);
+  assert.equal(start, '2026-03-01');
+  assert.equal(end, '2026-03-31');
+  assert.equal(weeks.length, 5);
+  assert.deepEqual(weeks[0], ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07']);
+  assert.deepEqual(weeks[4], ['2026-03-29', '2026-03-30', '2026-03-31', null, null, null, null]);
+  assert.deepEqual(labels, ['Mar', '', '', '', '']);
+});
+
+test('weeks are padded to start on Sunday', () => {
+  // April 2026 starts on a Wednesday
+  const { weeks } = buildHeatmap('2026-04', '2026-12-31', 1);
+  assert.deepEqual(weeks[0], [null, null, null, '2026-04-01', '2026-04-02', '2026-04-03', '2026-04-04']);
+});
+
+test('days after today are left out', () => {
+  const { end, weeks } = buildHeatmap('2026-03', '2026-03-10', 1);
+  assert.equal(end, '2026-03-10');
+  assert.equal(weeks.length, 2);
+  assert.deepEqual(weeks[1], ['2026-03-08', '2026-03-09', '2026-03-10', null, null, null, null]);
+});
+
+test('a year of weeks covers every day once, in order', () => {
+  const heatmap = buildHeatmap('2026-03', '2026-03-31');
+  assert.equal(heatmap.startMonth, shiftMonth('2026-03', -(HEATMAP_MONTHS - 1)));
+  assert.equal(heatmap.start, '2025-04-01');
+
+  const days = heatmap.weeks.flat().filter(Boolean);
+  assert.ok(heatmap.weeks.every(week => week.length === 7));
+  assert.equal(days[0], heatmap.start);
+  assert.equal(days.length, 365);
+  days.forEach((day, i) => i > 0 && assert.equal(day, addDays(days[i - 1], 1)));
+
+  // One label per month, on the week holding its first day
+  const labelled = heatmap.labels.filter(Boolean);
+  assert.deepEqual(labelled, ['Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec', 'Jan', 'Feb', 'Mar']);
+  heatmap.labels.forEach((label, i) => {
+    if (label) assert.ok(heatmap.weeks[i].some(day => day && day.endsWith('-01')));
+  });
+});
@@ -0,0 +1,35 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('JSON bodies that are not objects are bad requests', async () => {
+  for (const route of ['/api/checkins', '/api/groups', '/api/groups/join']) {
+    for (const body of ['null', '42', '[]', '"text"']) {
+      const response = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+      });
+      assert.equal(response.status, 400, `${route} ${body}`);
+    }
+  }
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeIdentity, getContextAddresses, linkWallets, unlinkWallet, mergeLinkedUserData
+} from '../lib/identity.js';
+import { addDays, getTodayString } from '../lib/streak.js';
+
+const A = '0x' + 'aA'.repeat(20);
+const B = '0x' + 'bB'.repeat(20);
+const C = '0x' + 'cc'.repeat(20);
+
+test('identities need a positive whole fid', () => {
+  assert.equal(normalizeIdentity(null), null);
+  for (const fid of [0, -3, 1.5, 'abc', undefined]) {
+    assert.equal(normalizeIdentity({ fid, wallets: [A] }), null, String(fid));
+  }
+  assert.deepEqual(normalizeIdentity({ fid: '42' }), { fid: 42, wallets: [], removed: [] });
+});
+
+test('wallet lists are lowercased, de-duplicated and checked', () => {
+  const identity = normalizeIdentity({ fid: 42, wallets: [A, A.toLowerCase(), 'nope', B], removed: [C, C] });
+  assert.deepEqual(identity, { fid: 42, wallets: [A.toLowerCase(), B.toLowerCase()], removed: [C] });
+});
+
+test('context addresses come from either SDK shape', () => {
+  assert.deepEqual(getContextAddresses(null), []);
+  assert.deepEqual(getContextAddresses({ custodyAddress: A, verifiedAddresses: [B, 'nope'] }), [A, B]);
+  assert.deepEqual(getContextAddresses({
+    connectedAddress: C,
+    custodyAddress: 'nope',
+    verifiedAddresses: { ethAddresses: [A], solAddresses: ['So1ana'] }
+  }), [C, A]);
+  assert.deepEqual(getContextAddresses({ verifiedAddresses: {} }), []);
+});
+
+test('an unlinked wallet stays out until linked again by hand', () => {
+  const identity = normalizeIdentity({ fid: 42, wallets: [A, B] });
+  const unlinked = unlinkWallet(identity, B);
+  assert.deepEqual(unlinked, { fid: 42, wallets: [A.toLowerCase()], removed: [B.toLowerCase()] });
+
+  const relinked = linkWallets(unlinked, [B, 'nope']);
+  assert.deepEqual(relinked, { fid: 42, wallets: [A.toLowerCase(), B.toLowerCase()], removed: [] });
+  assert.deepEqual(linkWallets(relinked, [A]), relinked);
+});
+
+test('linked histories merge, the first wallet backing shared days', () => {
+  const today = getTodayString('UTC');
+  const days = offsets => offsets.map(offset => addDays(today, offset));
+  const merged = mergeLinkedUserData([
+    { wallet: A, userData: { dates: days([-4, -2]), invalidDates: [addDays(today, -9)] } },
+    { wallet: B, userData: { dates: days([-3, -2, -1]) } }
+  ], { timeZone: 'UTC' });
+
+  assert.deepEqual(merged.dates, days([-4, -3, -2, -1]));
+  assert.equal(merged.total, 4);
+  assert.equal(merged.streak, 4);
+  assert.equal(merged.lastDate, addDays(today, -1));
+  assert.deepEqual(merged.wallets, [A, B]);
+  assert.deepEqual(merged.signers, {
+    [addDays(today, -4)]: A, [addDays(today, -3)]: B, [addDays(today, -2)]: A, [addDays(today, -1)]: B
+  });
+  assert.deepEqual(merged.invalidDates, [addDays(today, -9)]);
+});
+
+test('merging no wallets is an empty history', () => {
+  const merged = mergeLinkedUserData([]);
+  assert.equal(merged.total, 0);
+  assert.equal(merged.timeZone, 'UTC');
+  assert.deepEqual(merged.signers, {});
+});
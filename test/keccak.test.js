@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { keccak256 } from '../lib/keccak.js';
+import { bytesToHex } from '../lib/eth.js';
+
+// Published Keccak-256 vectors (the pre-standard padding Ethereum uses,
+// not SHA3-256)
+test('known answers', () => {
+  assert.equal(bytesToHex(keccak256('')), '0xc5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470');
+  assert.equal(bytesToHex(keccak256('abc')), '0x4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45');
+  assert.equal(bytesToHex(keccak256('The quick brown fox jumps over the lazy dog')),
+    '0x4d741b6f1eb29cb2a9b9911c82f56fa8d73b04959d3d9d222895df6c0b28aa15');
+});
+
+test('strings hash as their UTF-8 bytes', () => {
+  assert.deepEqual(keccak256('abc'), keccak256(new Uint8Array([0x61, 0x62, 0x63])));
+  assert.deepEqual(keccak256('é'), keccak256(new Uint8Array([0xc3, 0xa9])));
+});
+
+test('input of exactly one block is padded into a second', () => {
+  // 136 bytes is the rate; checked against @noble/hashes keccak_256
+  assert.equal(bytesToHex(keccak256('a'.repeat(136))),
+    '0xa6c4d403279fe3e0af03729caada8374b5ca54d8065329a3ebcaeb4b60aa386e');
+  assert.notDeepEqual(keccak256('a'.repeat(135)), keccak256('a'.repeat(136)));
+});
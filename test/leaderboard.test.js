@@ -0,0 +1,121 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { rankUsers } from '../server/leaderboard.js';
+import { buildCheckInTypedData } from '../lib/checkin.js';
+import { signTypedData } from '../lib/eip712.js';
+import { bytesToHex, privateKeyToAddress } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { addDays, getTodayString } from '../lib/streak.js';
+
+const TODAY = getTodayString('UTC');
+const PRIVATE_KEY = bytesToHex(keccak256('base-checkin leaderboard wallet'));
+const NEWCOMER = privateKeyToAddress(PRIVATE_KEY).toLowerCase();
+
+function address(n) {
+  return '0x' + String(n).repeat(40);
+}
+
+// Days back from today, oldest first
+function run(length, endOffset = 0) {
+  return Array.from({ length }, (_, i) => addDays(TODAY, -(endOffset + length - 1 - i)));
+}
+
+const SEED = {
+  // Long history, streak broken
+  [address(1)]: run(10, 5),
+  // Current streak of 4
+  [address(2)]: run(4),
+  // Same streak and totals as 2: address order decides
+  [address(3)]: run(4),
+  // Current streak of 2, more days in total
+  [address(4)]: [...run(6, 10), ...run(2)],
+  // Never checked in
+  [address(5)]: []
+};
+
+test('rankUsers orders by the field, then the other fields, then address', () => {
+  const users = [
+    { address: '0xb', streak: 3, longest: 5, total: 9 },
+    { address: '0xa', streak: 3, longest: 5, total: 9 },
+    { address: '0xc', streak: 3, longest: 7, total: 4 },
+    { address: '0xd', streak: 8, longest: 8, total: 8 },
+    { address: '0xe', streak: 0, longest: 0, total: 0 }
+  ];
+  assert.deepEqual(rankUsers(users, 'streak').map(user => user.address), ['0xd', '0xc', '0xa', '0xb']);
+  assert.deepEqual(rankUsers(users, 'total').map(user => [user.rank, user.address]),
+    [[1, '0xa'], [2, '0xb'], [3, '0xd'], [4, '0xc']]);
+  assert.deepEqual(rankUsers(users, 'longest').map(user => user.address), ['0xd', '0xc', '0xa', '0xb']);
+});
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  const users = {};
+  for (const [wallet, dates] of Object.entries(SEED)) {
+    users[wallet] = { dates, signatures: {}, messages: {}, timeZone: 'UTC' };
+  }
+  await fs.writeFile(path.join(dataDir, 'checkins.json'), JSON.stringify({ users }));
+  server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+async function getLeaderboard(query = '') {
+  const response = await fetch(`${baseUrl}/api/leaderboard${query}`);
+  assert.equal(response.status, 200);
+  return response.json();
+}
+
+test('the leaderboard ranks seeded wallets by streak by default', async () => {
+  const board = await getLeaderboard();
+  assert.equal(board.sort, 'streak');
+  assert.equal(board.totalEntries, 4);
+  assert.deepEqual(board.entries.map(entry => [entry.rank, entry.address, entry.streak]), [
+    [1, address(2), 4],
+    [2, address(3), 4],
+    [3, address(4), 2],
+    [4, address(1), 0]
+  ]);
+});
+
+test('other sorts, pages and the viewer\'s own row', async () => {
+  const byTotal = await getLeaderboard('?sort=total');
+  assert.deepEqual(byTotal.entries.map(entry => entry.address), [address(1), address(4), address(2), address(3)]);
+
+  const page = await getLeaderboard(`?sort=longest&page=2&pageSize=3&viewer=${address(3).toUpperCase().replace('0X', '0x')}`);
+  assert.equal(page.totalPages, 2);
+  assert.deepEqual(page.entries.map(entry => entry.rank), [4]);
+  assert.equal(page.viewer.address, address(3));
+  assert.equal((await fetch(`${baseUrl}/api/leaderboard?sort=name`)).status, 400);
+});
+
+test('a new check-in shows up without waiting for the cache', async () => {
+  const before = await getLeaderboard('?sort=total');
+  assert.equal(before.entries.some(entry => entry.address === NEWCOMER), false);
+
+  const message = buildCheckInTypedData({
+    wallet: NEWCOMER, date: TODAY, timeZone: 'UTC', nonce: bytesToHex(keccak256('leaderboard')), origin: baseUrl
+  });
+  const response = await fetch(`${baseUrl}/api/checkins`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ wallet: NEWCOMER, date: TODAY, signature: signTypedData(message, PRIVATE_KEY), message })
+  });
+  assert.equal(response.status, 201);
+
+  const after = await getLeaderboard('?sort=total');
+  assert.equal(after.totalEntries, before.totalEntries + 1);
+  assert.equal(after.entries.find(entry => entry.address === NEWCOMER).total, 1);
+});
@@ -0,0 +1,176 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { bytesToHex, hashMessage, privateKeyToAddress, signDigest } from '../lib/eth.js';
+import { buildSiweMessage } from '../lib/siwe.js';
+import { keccak256 } from '../lib/keccak.js';
+
+const FID = 42;
+const PUBLIC_URL = 'https://checkin.example';
+const CUSTODY_KEY = bytesToHex(keccak256('custody'));
+const CUSTODY = privateKeyToAddress(CUSTODY_KEY).toLowerCase();
+const VERIFIED = privateKeyToAddress(bytesToHex(keccak256('verified'))).toLowerCase();
+const STRANGER = privateKeyToAddress(bytesToHex(keccak256('stranger'))).toLowerCase();
+const NOTIFY_URL = 'https://api.farcaster.xyz/v1/frame-notifications';
+
+const appKey = crypto.generateKeyPairSync('ed25519');
+const APP_KEY = '0x' + Buffer.from(appKey.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+const authKey = crypto.generateKeyPairSync('ed25519');
+
+// Hub and quick-auth key server in one
+function startStandIn() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const fid = Number(url.searchParams.get('fid'));
+    const answers = {
+      '/v1/onChainSignersByFid': () => ({
+        events: fid === FID ? [{ signerEventBody: { key: APP_KEY, eventType: 'SIGNER_EVENT_TYPE_ADD' } }] : []
+      }),
+      '/v1/verificationsByFid': () => ({
+        messages: fid === FID ? [{ data: { fid, verificationAddAddressBody: { address: VERIFIED } } }] : []
+      }),
+      '/v1/onChainIdRegistryEventByAddress': () => url.searchParams.get('address') === CUSTODY
+        ? { fid: FID, idRegisterEventBody: { to: CUSTODY } }
+        : null,
+      '/.well-known/jwks.json': () => ({
+        keys: [{ ...authKey.publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'EdDSA' }]
+      })
+    };
+    const answer = answers[url.pathname] && answers[url.pathname]();
+    res.writeHead(answer ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answer || {}));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function base64Url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signEvent(payload, { fid = FID, key = appKey } = {}) {
+  const publicKey = '0x' + Buffer.from(key.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex');
+  const header = base64Url({ fid, type: 'app_key', key: publicKey });
+  const body = base64Url(payload);
+  const signature = crypto.sign(null, Buffer.from(`${header}.${body}`), key.privateKey);
+  return { header, payload: body, signature: signature.toString('base64url') };
+}
+
+function signIn({ fid = FID, privateKey = CUSTODY_KEY } = {}) {
+  const message = buildSiweMessage({
+    domain: new URL(PUBLIC_URL).host,
+    address: privateKeyToAddress(privateKey),
+    statement: 'Farcaster Auth',
+    uri: PUBLIC_URL,
+    chainId: 10,
+    nonce: 'abcdef0123456789',
+    issuedAt: Date.now(),
+    resources: [`farcaster://fid/${fid}`]
+  });
+  return { message, signature: signDigest(hashMessage(message), privateKey) };
+}
+
+function quickAuthToken({ fid = FID, aud = new URL(PUBLIC_URL).host, key = authKey } = {}) {
+  const header = base64Url({ alg: 'EdDSA', typ: 'JWT', kid: 'test' });
+  const payload = base64Url({ iss: standInUrl, sub: fid, aud, iat: Math.floor(Date.now() / 1000), exp: Math.floor(Date.now() / 1000) + 3600 });
+  const signature = crypto.sign(null, Buffer.from(`${header}.${payload}`), key.privateKey);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+let standIn;
+let standInUrl;
+let dataDir;
+const servers = [];
+
+async function startApp(options) {
+  const server = await createServer({
+    dataFile: path.join(dataDir, `${servers.length}.json`),
+    publicUrl: '',
+    anchorKey: null,
+    ...options
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return (route, body) => fetch(baseUrl + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+let post;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  standIn = await startStandIn();
+  standInUrl = `http://127.0.0.1:${standIn.address().port}`;
+  post = await startApp({ hubUrl: standInUrl, quickAuthUrl: standInUrl });
+});
+
+after(async () => {
+  for (const server of [...servers, standIn]) await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('webhooks are refused without a hub to check app keys', async () => {
+  const postWithoutHub = await startApp({ hubUrl: '' });
+  const response = await postWithoutHub('/api/webhook',
+    signEvent({ event: 'miniapp_added', notificationDetails: { url: NOTIFY_URL, token: 't' } }));
+  assert.equal(response.status, 503);
+});
+
+test('a webhook signed by a registered app key is taken', async () => {
+  const response = await post('/api/webhook',
+    signEvent({ event: 'miniapp_added', notificationDetails: { url: NOTIFY_URL, token: 't' } }));
+  assert.equal(response.status, 200);
+});
+
+test('a webhook signed by a key the hub does not know is refused', async () => {
+  const response = await post('/api/webhook',
+    signEvent({ event: 'miniapp_removed' }, { key: crypto.generateKeyPairSync('ed25519') }));
+  assert.equal(response.status, 401);
+});
+
+test('notification URLs must belong to a known client', async () => {
+  for (const url of ['http://169.254.169.254/latest/meta-data', 'https://api.farcaster.xyz.evil.test/notify']) {
+    const response = await post('/api/webhook',
+      signEvent({ event: 'notifications_enabled', notificationDetails: { url, token: 't' } }));
+    assert.equal(response.status, 400, url);
+  }
+});
+
+test('reminders are refused without a public URL to check proofs against', async () => {
+  const response = await post('/api/reminders', { fid: FID, wallets: [VERIFIED], auth: signIn() });
+  assert.equal(response.status, 503);
+});
+
+test('reminder wallets need a sign-in for the fid', async () => {
+  const postReminders = await startApp({ hubUrl: standInUrl, quickAuthUrl: standInUrl, publicUrl: PUBLIC_URL });
+
+  assert.equal((await postReminders('/api/reminders', { fid: FID, wallets: [VERIFIED] })).status, 401);
+  assert.equal((await postReminders('/api/reminders', { fid: FID, wallets: [VERIFIED], auth: signIn() })).status, 200);
+  assert.equal((await postReminders('/api/reminders', { fid: FID, wallets: [CUSTODY], auth: signIn() })).status, 200);
+
+  // Signed by an address that is not the fid's custody address
+  const forged = signIn({ privateKey: bytesToHex(keccak256('stranger')) });
+  assert.equal((await postReminders('/api/reminders', { fid: FID, wallets: [VERIFIED], auth: forged })).status, 401);
+  // A proof for this fid does not cover another one
+  assert.equal((await postReminders('/api/reminders', { fid: FID + 1, wallets: [VERIFIED], auth: signIn() })).status, 403);
+  // Only the fid's own wallets
+  assert.equal((await postReminders('/api/reminders', { fid: FID, wallets: [STRANGER], auth: signIn() })).status, 403);
+});
+
+test('quick-auth tokens are checked against the auth server\'s keys', async () => {
+  const postReminders = await startApp({ hubUrl: standInUrl, quickAuthUrl: standInUrl, publicUrl: PUBLIC_URL });
+  const body = token => ({ fid: FID, wallets: [VERIFIED], auth: { token } });
+
+  assert.equal((await postReminders('/api/reminders', body(quickAuthToken()))).status, 200);
+  assert.equal((await postReminders('/api/reminders', body(quickAuthToken({ aud: 'other.example' })))).status, 401);
+  const selfSigned = quickAuthToken({ key: crypto.generateKeyPairSync('ed25519') });
+  assert.equal((await postReminders('/api/reminders', body(selfSigned))).status, 401);
+});
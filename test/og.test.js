@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { buildProfileMeta, getBaseUrl, renderStreakCardPng } from '../server/og.js';
+import { summarizeUserData } from '../lib/checkin.js';
+import { addDays, getTodayString } from '../lib/streak.js';
+
+const WALLET = '0x' + 'ab'.repeat(20);
+const TODAY = getTodayString('UTC');
+const DATES = [addDays(TODAY, -2), addDays(TODAY, -1), TODAY];
+
+let dataDir;
+const servers = {};
+
+async function startApp(name, options) {
+  const server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), anchorKey: null, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers[name] = server;
+}
+
+// fetch does not let the Host header be set
+function getPage(server, route, host) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port: server.address().port, path: route, headers: { host } }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  await fs.writeFile(path.join(dataDir, 'checkins.json'), JSON.stringify({
+    users: { [WALLET]: { dates: DATES, signatures: {}, messages: {}, timeZone: 'UTC' } }
+  }));
+  await startApp('public', { publicUrl: 'https://checkin.example/' });
+  await startApp('unset', { publicUrl: '' });
+});
+
+after(async () => {
+  for (const server of Object.values(servers)) await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('profile meta links the live image and escapes its values', () => {
+  const meta = buildProfileMeta(WALLET, summarizeUserData({ dates: DATES, timeZone: 'UTC' }), 'https://checkin.example');
+  assert.match(meta, new RegExp(`<meta property="og:image" content="https://checkin.example/og/${WALLET}.png\\?d=${TODAY}">`));
+  assert.match(meta, /<meta property="og:title" content="0xabab\.\.\.abab · 3 day streak">/);
+  assert.match(meta, /<meta property="og:description" content="3 total check-ins on Base Check-In">/);
+
+  const embed = JSON.parse(/name="fc:frame" content="([^"]*)"/.exec(meta)[1].replace(/&quot;/g, '"'));
+  assert.equal(embed.button.action.url, `https://checkin.example/?user=${WALLET}`);
+  assert.equal(embed.imageUrl, `https://checkin.example/og/${WALLET}.png?d=${TODAY}`);
+  assert.doesNotMatch(buildProfileMeta(WALLET, summarizeUserData({ dates: [] }), 'https://x"><script>'), /<script>/);
+});
+
+test('the base URL never comes from a public Host header', () => {
+  const req = host => ({ headers: { host } });
+  assert.equal(getBaseUrl(req('evil.example'), 'https://checkin.example/'), 'https://checkin.example');
+  assert.equal(getBaseUrl(req('evil.example'), ''), null);
+  assert.equal(getBaseUrl(req('localhost:3000'), ''), 'http://localhost:3000');
+  assert.equal(getBaseUrl(req('127.0.0.1:3000'), ''), 'http://127.0.0.1:3000');
+  assert.equal(getBaseUrl(req(undefined), ''), null);
+});
+
+test('profile pages link to PUBLIC_URL whatever the Host header says', async () => {
+  const { status, body } = await getPage(servers.public, `/?user=${WALLET}`, 'evil.example');
+  assert.equal(status, 200);
+  assert.match(body, /og:image" content="https:\/\/checkin\.example\/og\//);
+  assert.doesNotMatch(body, /evil\.example/);
+});
+
+test('without PUBLIC_URL, a public Host header gets no profile meta', async () => {
+  const { status, body } = await getPage(servers.unset, `/?user=${WALLET}`, 'evil.example');
+  assert.equal(status, 200);
+  assert.doesNotMatch(body, /evil\.example/);
+  assert.doesNotMatch(body, /og:image" content="[^"]*\/og\//);
+
+  const local = await getPage(servers.unset, `/?user=${WALLET}`, 'localhost:3000');
+  assert.match(local.body, /og:image" content="http:\/\/localhost:3000\/og\//);
+});
+
+test('the card renders as a PNG', async t => {
+  let png;
+  try {
+    png = await renderStreakCardPng(WALLET, summarizeUserData({ dates: DATES, timeZone: 'UTC' }), { badges: true, stats: true });
+  } catch (e) {
+    if (e.status === 501) return t.skip('no canvas on this machine');
+    throw e;
+  }
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const response = await getPage(servers.public, `/og/${WALLET}.png`, 'checkin.example');
+  assert.equal(response.status, 200);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHECK_IN_SELECTOR, CHECKED_IN_TOPIC, dateToDayIndex, dayIndexToDate, encodeCheckInCall,
+  normalizeOnchainConfig, parseCheckInLogs
+} from '../lib/onchain.js';
+
+const WALLET = '0x' + 'ab'.repeat(20);
+const OTHER = '0x' + 'cd'.repeat(20);
+
+function walletTopic(wallet) {
+  return '0x' + wallet.slice(2).padStart(64, '0');
+}
+
+function dayTopic(day) {
+  return '0x' + day.toString(16).padStart(64, '0');
+}
+
+function log(wallet, date, extra = {}) {
+  return {
+    topics: [CHECKED_IN_TOPIC, walletTopic(wallet), dayTopic(dateToDayIndex(date))],
+    transactionHash: '0x' + '01'.repeat(32),
+    blockNumber: '0x10',
+    ...extra
+  };
+}
+
+test('selector and topic match the contract\'s signatures', () => {
+  // keccak256("checkIn(uint256)") and keccak256("CheckedIn(address,uint256)")
+  assert.equal(CHECK_IN_SELECTOR, '0xe95a644f');
+  assert.equal(CHECKED_IN_TOPIC, '0xdddb6e14f7f2101397a6526aab95e964de7f1f44ed06aa47a1c9a0e6b9924456');
+});
+
+test('days are counted from the epoch', () => {
+  assert.equal(dateToDayIndex('1970-01-01'), 0);
+  assert.equal(dateToDayIndex('2026-03-10'), 20522);
+  assert.equal(dayIndexToDate(20522), '2026-03-10');
+});
+
+test('the call data is the selector and the day as one 32-byte word', () => {
+  const data = encodeCheckInCall('2026-03-10');
+  assert.equal(data.length, 2 + 8 + 64);
+  assert.equal(data, '0xe95a644f' + '502a'.padStart(64, '0'));
+  assert.equal(encodeCheckInCall('1970-01-01'), '0xe95a644f' + '0'.repeat(64));
+});
+
+test('logs are read for the wallet only', () => {
+  const logs = [
+    log(WALLET, '2026-03-09'),
+    log(OTHER, '2026-03-09'),
+    log(WALLET.toUpperCase().replace('0X', '0x'), '2026-03-10'),
+    log(WALLET, '2026-03-08', { removed: true }),
+    { ...log(WALLET, '2026-03-07'), topics: ['0x' + '00'.repeat(32), walletTopic(WALLET), dayTopic(1)] },
+    { topics: [CHECKED_IN_TOPIC, walletTopic(WALLET)] }
+  ];
+  assert.deepEqual(parseCheckInLogs(logs, WALLET).map(entry => entry.date), ['2026-03-09', '2026-03-10']);
+  assert.deepEqual(parseCheckInLogs(logs, WALLET)[0], {
+    date: '2026-03-09', txHash: '0x' + '01'.repeat(32), blockNumber: '0x10'
+  });
+  assert.equal(parseCheckInLogs(logs).length, 3);
+  assert.deepEqual(parseCheckInLogs(null, WALLET), []);
+});
+
+test('configs need a contract address and a chain', () => {
+  assert.deepEqual(normalizeOnchainConfig({ contract: WALLET, chainId: '8453', fromBlock: 255 }),
+    { contract: WALLET, chainId: 8453, fromBlock: '0xff' });
+  assert.equal(normalizeOnchainConfig({ contract: WALLET, chainId: 8453 }).fromBlock, '0x0');
+  assert.equal(normalizeOnchainConfig({ contract: 'nope', chainId: 8453 }), null);
+  assert.equal(normalizeOnchainConfig({ contract: WALLET, chainId: null }), null);
+  assert.equal(normalizeOnchainConfig(null), null);
+});
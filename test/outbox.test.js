@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { addToOutbox, getDeliveryResult, getPendingEntries, getRejectedEntries, sendOutbox } from '../lib/outbox.js';
+import { buildCheckInTypedData } from '../lib/checkin.js';
+import { signTypedData } from '../lib/eip712.js';
+import { bytesToHex, privateKeyToAddress } from '../lib/eth.js';
+import { keccak256 } from '../lib/keccak.js';
+import { getDateString, addDays } from '../lib/streak.js';
+
+const PRIVATE_KEY = bytesToHex(keccak256('base-checkin outbox wallet'));
+const WALLET = privateKeyToAddress(PRIVATE_KEY);
+const TODAY = getDateString(new Date(), 'UTC');
+
+function signCheckIn(date) {
+  const message = buildCheckInTypedData({
+    wallet: WALLET,
+    date,
+    timeZone: 'UTC',
+    nonce: bytesToHex(keccak256(`outbox:${date}`)),
+    origin: baseUrl
+  });
+  return { wallet: WALLET, date, signature: signTypedData(message, PRIVATE_KEY), message };
+}
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+// What the app's postRemoteCheckIn does, against the test server
+async function send(entry) {
+  const response = await fetch(`${baseUrl}/api/checkins`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(entry)
+  });
+  const body = await response.json();
+  return { result: getDeliveryResult(response.status), reason: body.error };
+}
+
+test('a check-in queued too long ago is kept, marked rejected', async () => {
+  const stale = signCheckIn(addDays(TODAY, -3));
+  let outbox = addToOutbox(addToOutbox([], stale), signCheckIn(TODAY));
+  const sent = [];
+
+  await sendOutbox({
+    load: () => outbox,
+    save: saved => { outbox = saved; },
+    send: entry => {
+      sent.push(entry.date);
+      return send(entry);
+    }
+  });
+
+  assert.deepEqual(sent, [stale.date, TODAY]);
+  assert.deepEqual(getPendingEntries(outbox), []);
+  const [rejected] = getRejectedEntries(outbox);
+  assert.equal(rejected.date, stale.date);
+  assert.equal(rejected.signature, stale.signature);
+  assert.match(rejected.rejected.reason, /today/);
+
+  // Refused entries are not sent again, even when queued again
+  outbox = addToOutbox(outbox, stale);
+  await sendOutbox({ load: () => outbox, save: saved => { outbox = saved; }, send });
+  assert.equal(getRejectedEntries(outbox).length, 1);
+});
+
+test('sending stops at the first entry that cannot be delivered', async () => {
+  let outbox = addToOutbox(addToOutbox([], signCheckIn(TODAY)), signCheckIn(addDays(TODAY, -1)));
+  const sent = [];
+  await sendOutbox({
+    load: () => outbox,
+    save: saved => { outbox = saved; },
+    send: async entry => {
+      sent.push(entry.date);
+      return { result: 'offline' };
+    }
+  });
+  assert.deepEqual(sent, [TODAY]);
+  assert.equal(getPendingEntries(outbox).length, 2);
+});
+
+test('delivery results by status', () => {
+  assert.equal(getDeliveryResult(undefined), 'offline');
+  assert.equal(getDeliveryResult(503), 'offline');
+  assert.equal(getDeliveryResult(429), 'offline');
+  assert.equal(getDeliveryResult(201), 'sent');
+  assert.equal(getDeliveryResult(400), 'rejected');
+  assert.equal(getDeliveryResult(401), 'rejected');
+});
+
+test('a new proof for a day replaces the queued one', () => {
+  const first = { wallet: WALLET, date: TODAY, signature: '0x01' };
+  const second = { wallet: WALLET.toLowerCase(), date: TODAY, signature: '0x02' };
+  assert.deepEqual(addToOutbox([{ ...first, rejected: { reason: 'no' } }], second), [second]);
+});
@@ -0,0 +1,97 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { toPublicStreak, buildStreakBadge } from '../server/public.js';
+import { CARD_THEMES } from '../lib/card.js';
+import { addDays, getTodayString } from '../lib/streak.js';
+
+const TODAY = getTodayString('UTC');
+const WALLET = '0x' + 'ab'.repeat(20);
+const MIXED_CASE = '0x' + 'aB'.repeat(20);
+// Five days ending yesterday, after an older run of two
+const DATES = [-9, -8, -5, -4, -3, -2, -1].map(days => addDays(TODAY, days));
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  const dataFile = path.join(dataDir, 'checkins.json');
+  await fs.writeFile(dataFile, JSON.stringify({
+    users: { [WALLET]: { dates: DATES, signatures: {}, messages: {}, timeZone: 'UTC' } }
+  }));
+  server = await createServer({ dataFile, publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('the public streak has only the summary fields', () => {
+  const record = { dates: [...DATES].reverse(), signatures: { [DATES[0]]: '0x00' }, messages: {}, timeZone: 'UTC' };
+  assert.deepEqual(toPublicStreak(MIXED_CASE, record), {
+    address: WALLET, streak: 5, longest: 5, total: 7, lastDate: addDays(TODAY, -1), timeZone: 'UTC'
+  });
+});
+
+test('a wallet without check-ins has an empty streak', () => {
+  assert.deepEqual(toPublicStreak(WALLET, { dates: [], timeZone: 'Not/AZone' }), {
+    address: WALLET, streak: 0, longest: 0, total: 0, lastDate: null, timeZone: 'UTC'
+  });
+});
+
+test('the badge shows the streak and greys out at zero', () => {
+  const badge = buildStreakBadge(12);
+  assert.match(badge, /^<svg [^>]*aria-label="base check-in: 12 day streak"/);
+  assert.match(badge, /<title>base check-in: 12 day streak<\/title>/);
+  assert.ok(badge.includes(`fill="${CARD_THEMES.base.background[0]}"`));
+  assert.ok(buildStreakBadge(0).includes('fill="#9f9f9f"'));
+});
+
+test('the badge grows with the streak text', () => {
+  const width = badge => Number(badge.match(/^<svg [^>]*width="(\d+)"/)[1]);
+  assert.ok(width(buildStreakBadge(1000)) > width(buildStreakBadge(1)));
+});
+
+test('the streak is served to any origin', async () => {
+  const response = await fetch(`${baseUrl}/api/v1/streak/${MIXED_CASE}`);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('access-control-allow-origin'), '*');
+  assert.match(response.headers.get('cache-control'), /^public, max-age=\d+$/);
+  const body = await response.json();
+  assert.equal(body.address, WALLET);
+  assert.equal(body.streak, 5);
+  assert.equal(body.total, 7);
+});
+
+test('errors carry the CORS headers too', async () => {
+  for (const route of ['/api/v1/streak/0x1234', '/api/v1/streak/0x1234/badge.svg']) {
+    const response = await fetch(baseUrl + route);
+    assert.equal(response.status, 400, route);
+    assert.equal(response.headers.get('access-control-allow-origin'), '*', route);
+    assert.equal((await response.json()).error, 'Invalid address');
+  }
+});
+
+test('the badge is served as SVG, with HEAD and preflight answered', async () => {
+  const badgeUrl = `${baseUrl}/api/v1/streak/${WALLET}/badge.svg`;
+  const response = await fetch(badgeUrl);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^image\/svg\+xml/);
+  assert.equal(await response.text(), buildStreakBadge(5));
+
+  const head = await fetch(badgeUrl, { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(head.headers.get('content-length'), String(Buffer.byteLength(buildStreakBadge(5))));
+
+  const preflight = await fetch(badgeUrl, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-methods'), /GET/);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startReminderScheduler } from '../server/reminders.js';
+
+test('a failed reminder run is logged and the next one still goes', async t => {
+  const errors = t.mock.method(console, 'error', () => {});
+  const unhandled = [];
+  const onUnhandled = error => unhandled.push(error);
+  process.on('unhandledRejection', onUnhandled);
+
+  let runs = 0;
+  const store = {
+    listReminders() {
+      runs++;
+      throw new Error('store unavailable');
+    }
+  };
+  const stop = startReminderScheduler(store, { appUrl: 'https://checkin.example', intervalMs: 10 });
+  try {
+    await new Promise(resolve => setTimeout(resolve, 60));
+  } finally {
+    stop();
+    process.off('unhandledRejection', onUnhandled);
+  }
+
+  assert.ok(runs >= 2, `ran ${runs} time(s)`);
+  assert.deepEqual(unhandled, []);
+  assert.match(errors.mock.calls[0].arguments.join(' '), /store unavailable/);
+});
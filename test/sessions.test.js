@@ -0,0 +1,119 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+import { bytesToHex, hashMessage, privateKeyToAddress, signDigest } from '../lib/eth.js';
+import { buildSiweMessage } from '../lib/siwe.js';
+import { keccak256 } from '../lib/keccak.js';
+
+const FID = 7;
+const PUBLIC_URL = 'https://checkin.example';
+const DOMAIN = new URL(PUBLIC_URL).host;
+const CUSTODY_KEY = bytesToHex(keccak256('custody'));
+const CUSTODY = privateKeyToAddress(CUSTODY_KEY).toLowerCase();
+const authKey = crypto.generateKeyPairSync('ed25519');
+
+// Hub lookups of custody addresses and the quick-auth server's keys
+function startStandIn() {
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let answer = null;
+    if (url.pathname === '/v1/onChainIdRegistryEventByAddress' && url.searchParams.get('address') === CUSTODY) {
+      answer = { fid: FID, idRegisterEventBody: { to: CUSTODY } };
+    } else if (url.pathname === '/.well-known/jwks.json') {
+      answer = { keys: [{ ...authKey.publicKey.export({ format: 'jwk' }), kid: 'test', alg: 'EdDSA' }] };
+    }
+    res.writeHead(answer ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answer || {}));
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+function signIn({ fid = FID, privateKey = CUSTODY_KEY, domain = DOMAIN } = {}) {
+  const message = buildSiweMessage({
+    domain,
+    address: privateKeyToAddress(privateKey),
+    statement: 'Farcaster Auth',
+    uri: PUBLIC_URL,
+    chainId: 10,
+    nonce: 'abcdef0123456789',
+    issuedAt: Date.now(),
+    resources: [`farcaster://fid/${fid}`]
+  });
+  return { message, signature: signDigest(hashMessage(message), privateKey) };
+}
+
+function quickAuthToken({ key = authKey, exp = Math.floor(Date.now() / 1000) + 3600 } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const header = encode({ alg: 'EdDSA', typ: 'JWT', kid: 'test' });
+  const payload = encode({ iss: standInUrl, sub: FID, aud: DOMAIN, iat: exp - 3600, exp });
+  const signature = crypto.sign(null, Buffer.from(`${header}.${payload}`), key.privateKey);
+  return `${header}.${payload}.${signature.toString('base64url')}`;
+}
+
+let standIn;
+let standInUrl;
+let dataDir;
+const servers = [];
+
+async function startApp(options) {
+  const server = await createServer({
+    dataFile: path.join(dataDir, `${servers.length}.json`),
+    anchorKey: null,
+    hubUrl: standInUrl,
+    quickAuthUrl: standInUrl,
+    ...options
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  servers.push(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return auth => fetch(baseUrl + '/api/sessions/farcaster', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ auth })
+  });
+}
+
+let confirm;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  standIn = await startStandIn();
+  standInUrl = `http://127.0.0.1:${standIn.address().port}`;
+  confirm = await startApp({ publicUrl: PUBLIC_URL });
+});
+
+after(async () => {
+  for (const server of [...servers, standIn]) await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('a sign-in by the fid\'s custody address is confirmed', async () => {
+  const response = await confirm(signIn());
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { fid: FID, method: 'farcaster' });
+});
+
+test('a sign-in naming an fid the signer does not own is refused', async () => {
+  assert.equal((await confirm(signIn({ privateKey: bytesToHex(keccak256('someone')) }))).status, 401);
+  assert.equal((await confirm(signIn({ fid: FID + 1 }))).status, 401);
+  assert.equal((await confirm(signIn({ domain: 'other.example' }))).status, 401);
+});
+
+test('quick-auth tokens are confirmed only with the auth server\'s signature', async () => {
+  const response = await confirm({ token: quickAuthToken() });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { fid: FID, method: 'quick-auth' });
+
+  assert.equal((await confirm({ token: quickAuthToken({ key: crypto.generateKeyPairSync('ed25519') }) })).status, 401);
+  assert.equal((await confirm({ token: quickAuthToken({ exp: Math.floor(Date.now() / 1000) - 60 }) })).status, 401);
+});
+
+test('sign-ins are not confirmed without a public URL to check them for', async () => {
+  const confirmWithoutUrl = await startApp({ publicUrl: '' });
+  assert.equal((await confirmWithoutUrl({ token: quickAuthToken() })).status, 503);
+});
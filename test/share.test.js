@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findMilestones, renderShareText, buildShareEmbeds, buildComposeUrl, SHARE_TEMPLATES, DEFAULT_SHARE_TEMPLATE
+} from '../lib/share.js';
+import { addDays } from '../lib/streak.js';
+
+const WALLET = '0x' + 'aB'.repeat(20);
+
+function daysEndingAt(last, count) {
+  return Array.from({ length: count }, (_, i) => addDays(last, i - count + 1));
+}
+
+test('a seventh day in a row is a milestone, a record and a badge', () => {
+  const dates = daysEndingAt('2026-03-07', 7);
+  assert.deepEqual(findMilestones({ dates, streak: 7, timeZone: 'UTC' }, '2026-03-07'), [
+    '🎯 7-day milestone',
+    '🏆 New longest streak',
+    '🔥 On Fire unlocked'
+  ]);
+});
+
+test('milestones are only the ones reached on the day shared', () => {
+  // Two days, then back after two weeks away for three more
+  const dates = ['2026-02-01', '2026-02-02', ...daysEndingAt('2026-02-20', 3)];
+  const sharedOn = (today, streak) =>
+    findMilestones({ dates: dates.filter(date => date <= today), streak, timeZone: 'UTC' }, today);
+
+  assert.deepEqual(sharedOn('2026-02-18', 1), ['🔁 Comeback unlocked']);
+  // Equal to the old best is not a new one
+  assert.deepEqual(sharedOn('2026-02-19', 2), []);
+  assert.deepEqual(sharedOn('2026-02-20', 3), ['🏆 New longest streak']);
+});
+
+test('no milestones without a check-in on the day, or on the very first one', () => {
+  const dates = daysEndingAt('2026-03-07', 7);
+  assert.deepEqual(findMilestones({ dates, streak: 7, timeZone: 'UTC' }, '2026-03-08'), []);
+  assert.deepEqual(findMilestones({ dates: ['2026-03-01'], streak: 1, timeZone: 'UTC' }, '2026-03-01'), []);
+});
+
+test('templates are filled in and empty milestones fold away', () => {
+  const stats = { streak: 12, total: 40, longest: 20 };
+  assert.equal(renderShareText(DEFAULT_SHARE_TEMPLATE, stats),
+    'Just checked in on Base! 🔵\n\n🔥 12 day streak\n📅 40 total days\n\nProof of human, every day.');
+  assert.equal(renderShareText(SHARE_TEMPLATES.short.text, stats), '🔥 Day 12 on Base Check-In');
+  assert.equal(renderShareText(SHARE_TEMPLATES.record.text, { ...stats, milestones: ['🎯 a', '🏆 b'] }),
+    '12 days in a row on Base 🔵\nLongest streak so far: 20\n🎯 a · 🏆 b');
+});
+
+test('unknown placeholders are left as written', () => {
+  assert.equal(renderShareText('{streak} {name}', { streak: 3, total: 3, longest: 3 }), '3 {name}');
+});
+
+test('embeds are the card for the last check-in and the profile', () => {
+  const template = { theme: 'night', size: 'square' };
+  assert.deepEqual(buildShareEmbeds('https://checkin.example', { wallet: WALLET, lastDate: '2026-03-07', template }), [
+    `https://checkin.example/og/${WALLET.toLowerCase()}.png?d=2026-03-07&theme=night&size=square`,
+    `https://checkin.example/?user=${WALLET.toLowerCase()}`
+  ]);
+  const [card] = buildShareEmbeds('', { wallet: WALLET, lastDate: null, template, badges: true, stats: true });
+  assert.equal(card, `/og/${WALLET.toLowerCase()}.png?d=none&theme=night&size=square&badges=1&stats=1`);
+});
+
+test('the compose link carries the text and every embed', () => {
+  const url = new URL(buildComposeUrl('Day 3 & counting', ['https://a.example/1', 'https://a.example/2']));
+  assert.equal(url.origin + url.pathname, 'https://warpcast.com/~/compose');
+  assert.equal(url.searchParams.get('text'), 'Day 3 & counting');
+  assert.deepEqual(url.searchParams.getAll('embeds[]'), ['https://a.example/1', 'https://a.example/2']);
+});
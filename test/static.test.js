@@ -0,0 +1,40 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createServer } from '../server/index.js';
+
+let server;
+let baseUrl;
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  server = await createServer({ dataFile: path.join(dataDir, 'checkins.json'), publicUrl: '', anchorKey: null });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('a malformed escape in the path is a bad request', async () => {
+  const response = await fetch(`${baseUrl}/%E0%A4%A`);
+  assert.equal(response.status, 400);
+});
+
+test('private files are not served', async () => {
+  for (const file of ['/package.json', '/server/index.js', '/%2e%2e/etc/passwd']) {
+    const response = await fetch(`${baseUrl}${file}`);
+    assert.equal(response.status, 404, file);
+  }
+});
+
+test('app files are served', async () => {
+  const response = await fetch(`${baseUrl}/lib/streak.js`);
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/javascript/);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats } from '../lib/stats.js';
+
+// March 2026 starts on a Sunday. The first run earns a freeze on the 7th
+// and spends it on the 8th; the breaks after it are 3, 4 and 9 days.
+const TODAY = '2026-03-31';
+const DATES = [
+  '2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07',
+  '2026-03-09', '2026-03-10',
+  '2026-03-14', '2026-03-15',
+  '2026-03-20',
+  '2026-03-30', '2026-03-31'
+];
+
+test('longest streak runs across a spent freeze', () => {
+  const stats = computeStats(DATES, 'UTC', TODAY);
+  assert.deepEqual(stats.longest, { length: 9, start: '2026-03-01', end: '2026-03-10' });
+});
+
+test('streaks are only split by gaps a freeze did not bridge', () => {
+  const stats = computeStats(DATES, 'UTC', TODAY);
+  assert.equal(stats.total, 14);
+  assert.equal(stats.streaks, 4);
+  assert.equal(stats.averageStreak, (9 + 2 + 1 + 2) / 4);
+});
+
+test('average break is the mean number of days missed', () => {
+  const stats = computeStats(DATES, 'UTC', TODAY);
+  assert.equal(stats.averageBreak, (3 + 4 + 9) / 3);
+});
+
+test('completion windows end today', () => {
+  const { completion } = computeStats(DATES, 'UTC', TODAY);
+  assert.equal(completion[7], 2 / 7);
+  assert.equal(completion[30], 13 / 30);
+  assert.equal(completion[90], 14 / 90);
+  assert.equal(completion.all, 14 / 31);
+});
+
+test('weekday counts run Sunday to Saturday', () => {
+  const { weekdays } = computeStats(DATES, 'UTC', TODAY);
+  assert.deepEqual(weekdays, [2, 3, 3, 1, 1, 2, 2]);
+});
+
+test('ties for the longest streak go to the most recent one', () => {
+  const stats = computeStats(['2026-03-01', '2026-03-02', '2026-03-05', '2026-03-06'], 'UTC', TODAY);
+  assert.deepEqual(stats.longest, { length: 2, start: '2026-03-05', end: '2026-03-06' });
+});
+
+test('duplicate dates count once', () => {
+  const stats = computeStats(['2026-03-30', '2026-03-31', '2026-03-31'], 'UTC', TODAY);
+  assert.equal(stats.total, 2);
+  assert.equal(stats.streaks, 1);
+});
+
+test('no check-ins', () => {
+  const stats = computeStats([], 'UTC', TODAY);
+  assert.equal(stats.total, 0);
+  assert.equal(stats.streaks, 0);
+  assert.equal(stats.longest, null);
+  assert.equal(stats.averageStreak, null);
+  assert.equal(stats.averageBreak, null);
+  assert.equal(stats.completion.all, 0);
+  assert.deepEqual(stats.weekdays, [0, 0, 0, 0, 0, 0, 0]);
+});
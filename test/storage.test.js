@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrate, openStorage, SCHEMA_VERSION } from '../lib/storage.js';
+
+test('migrating drops a contract remembered from a link', () => {
+  const doc = migrate({
+    version: 2,
+    checkinMode: 'onchain',
+    onchainConfig: { contract: '0x' + '11'.repeat(20), chainId: 8453, fromBlock: 0 },
+    users: {}
+  });
+  assert.equal(doc.version, SCHEMA_VERSION);
+  assert.equal('onchainConfig' in doc, false);
+  assert.equal(doc.checkinMode, 'onchain');
+});
+
+function createTestBackend(text = null) {
+  const items = new Map(text === null ? [] : [['base_checkin_store', text]]);
+  const backend = {
+    name: 'test',
+    writes: 0,
+    onChange: null,
+    async read(key) {
+      return items.has(key) ? items.get(key) : null;
+    },
+    async write(key, value) {
+      backend.writes++;
+      items.set(key, value);
+    },
+    watch(key, onChange) {
+      backend.onChange = onChange;
+    },
+    items
+  };
+  return backend;
+}
+
+test('data from a newer version is opened read-only and left as it was', async () => {
+  const saved = JSON.stringify({ version: SCHEMA_VERSION + 1, users: { '0xabc': { days: 3 } } });
+  const backend = createTestBackend(saved);
+  const storage = await openStorage({ backend });
+
+  assert.equal(storage.readOnly, true);
+  assert.deepEqual(storage.get('users'), {});
+  await storage.set('connectedWallet', '0xabc');
+  assert.equal(storage.get('connectedWallet'), '0xabc');
+  assert.equal(backend.writes, 0);
+  assert.equal(backend.items.get('base_checkin_store'), saved);
+});
+
+test('a failed reload after another tab saved is caught', async () => {
+  const backend = createTestBackend(JSON.stringify({ version: SCHEMA_VERSION, users: {} }));
+  const storage = await openStorage({ backend });
+  assert.equal(storage.readOnly, false);
+
+  backend.read = async () => {
+    throw new Error('IndexedDB closed');
+  };
+  await backend.onChange();
+  assert.deepEqual(storage.get('users'), {});
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { promises as fs } from 'node:fs';
+import { createStore } from '../server/store.js';
+
+const WALLET = '0x' + '12'.repeat(20);
+
+test('a failed write does not stop later ones', async () => {
+  const dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-checkin-'));
+  const dataFile = path.join(dataDir, 'checkins.json');
+  try {
+    const store = await createStore(dataFile);
+    // A directory where the file goes makes the rename fail
+    await fs.mkdir(dataFile);
+    await assert.rejects(store.addCheckIn(WALLET, { date: '2026-03-01', signature: '0x01', timeZone: 'UTC' }));
+
+    await fs.rmdir(dataFile);
+    await store.addCheckIn(WALLET, { date: '2026-03-02', signature: '0x02', timeZone: 'UTC' });
+    const saved = JSON.parse(await fs.readFile(dataFile, 'utf8'));
+    assert.deepEqual(saved.users[WALLET].dates, ['2026-03-01', '2026-03-02']);
+  } finally {
+    await fs.rm(dataDir, { recursive: true, force: true });
+  }
+});
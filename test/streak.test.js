@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStreak, getTodayString, addDays } from '../lib/streak.js';
+
+// UTC+14 and UTC-11: the east is always one or two days ahead of the west
+const EAST = 'Pacific/Kiritimati';
+const WEST = 'Pacific/Pago_Pago';
+
+function daysEndingAt(last, count) {
+  return Array.from({ length: count }, (_, i) => addDays(last, i - count + 1));
+}
+
+test('a check-in yesterday keeps the streak', () => {
+  const today = getTodayString('UTC');
+  assert.equal(computeStreak(daysEndingAt(addDays(today, -1), 3), 'UTC').streak, 3);
+});
+
+test('a banked freeze covers a missed yesterday', () => {
+  const today = getTodayString('UTC');
+  const { streak, freezes } = computeStreak(daysEndingAt(addDays(today, -2), 7), 'UTC');
+  assert.equal(streak, 7);
+  assert.equal(freezes.available, 0);
+  assert.deepEqual(freezes.used, [addDays(today, -1)]);
+});
+
+test('two missed days end the streak even with a freeze', () => {
+  const today = getTodayString('UTC');
+  const { streak, longest, freezes } = computeStreak(daysEndingAt(addDays(today, -3), 7), 'UTC');
+  assert.equal(streak, 0);
+  assert.equal(longest, 7);
+  assert.equal(freezes.available, 1);
+});
+
+test('a freeze bridges one missed day inside a run', () => {
+  const today = getTodayString('UTC');
+  const dates = [...daysEndingAt(addDays(today, -3), 7), addDays(today, -1), today];
+  const { streak, freezes } = computeStreak(dates, 'UTC');
+  assert.equal(streak, 9);
+  assert.deepEqual(freezes.used, [addDays(today, -2)]);
+});
+
+test('the streak is judged by today in the record\'s zone', () => {
+  const dates = daysEndingAt(addDays(getTodayString(WEST), -1), 3);
+  assert.equal(computeStreak(dates, WEST).streak, 3);
+  assert.equal(computeStreak(dates, EAST).streak, 0);
+});
+
+test('a day after today in a zone further west counts like today', () => {
+  const dates = daysEndingAt(getTodayString(EAST), 3);
+  assert.equal(computeStreak(dates, WEST).streak, 3);
+});